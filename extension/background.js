@@ -2,22 +2,56 @@
 // SPDX-License-Identifier: Apache-2.0
 //
 // CrossclimbSolver - Background Service Worker
-// Handles cross-origin fetching from crossclimbanswer.io and trusted drag via debugger API.
-// Content scripts can't fetch cross-origin, so they message us to do it.
+// Handles cross-origin fetching from the registered answer sources and trusted drag via debugger API.
+// Content scripts can't fetch cross-origin, so they message us to do it. Answer pages
+// are parsed here (in an offscreen document) and only puzzleData is sent back, so
+// third-party markup never reaches the LinkedIn page.
 // The debugger API produces isTrusted:true input events that React/Ember state machines accept.
+// Also prefetches and caches each day's puzzle shortly after release (chrome.alarms),
+// so the first solve of the day needs no network.
+
+importScripts('shared/answer-sources.js', 'shared/puzzle-archive.js', 'shared/puzzle-schema.js', 'shared/answer-cache.js');
 
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.type === 'FETCH_ANSWERS') {
-    handleFetchAnswers(message.puzzleNumber)
+    handleFetchAnswers(message.sourceId, message.puzzleNumber, message.shape)
       .then(data => sendResponse({ success: true, data }))
-      .catch(error => sendResponse({ success: false, error: error.message }));
+      .catch(error => sendResponse({ success: false, error: error.message, code: error.code || FETCH_ERROR.UNKNOWN }));
     return true; // Keep channel open for async response
   }
 
+  if (message.type === 'RUN_STRATEGIES') {
+    handleRunStrategies(message.sourceId, message.puzzleNumber, message.shape)
+      .then(data => sendResponse({ success: true, data }))
+      .catch(error => sendResponse({ success: false, error: error.message, code: error.code || FETCH_ERROR.UNKNOWN }));
+    return true;
+  }
+
+  if (message.type === 'CHECK_SOURCES') {
+    handleCheckSources()
+      .then(data => sendResponse({ success: true, data }))
+      .catch(error => sendResponse({ success: false, error: error.message, code: error.code || FETCH_ERROR.UNKNOWN }));
+    return true;
+  }
+
   if (message.type === 'FETCH_LATEST') {
-    handleFetchLatest()
+    handleFetchLatest(message.sourceId)
       .then(data => sendResponse({ success: true, data }))
-      .catch(error => sendResponse({ success: false, error: error.message }));
+      .catch(error => sendResponse({ success: false, error: error.message, code: error.code || FETCH_ERROR.UNKNOWN }));
+    return true;
+  }
+
+  if (message.type === 'FETCH_ARCHIVE') {
+    handleFetchArchive(message.sourceId)
+      .then(data => sendResponse({ success: true, data }))
+      .catch(error => sendResponse({ success: false, error: error.message, code: error.code || FETCH_ERROR.UNKNOWN }));
+    return true;
+  }
+
+  if (message.type === 'PREFETCH_NOW') {
+    runPrefetch('manual')
+      .then(data => sendResponse({ success: true, data }))
+      .catch(error => sendResponse({ success: false, error: error.message, code: error.code || FETCH_ERROR.UNKNOWN }));
     return true;
   }
 
@@ -130,34 +164,392 @@ function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
-// Fetch the homepage to discover the latest puzzle number
-async function handleFetchLatest() {
-  const response = await fetch('https://crossclimbanswer.io/');
-  if (!response.ok) {
-    throw new Error(`Homepage fetch failed: ${response.status}`);
+// Resolve a source id from a message, defaulting to the highest-priority source
+function resolveSource(sourceId) {
+  const source = sourceId ? AnswerSources.get(sourceId) : AnswerSources.getDefault();
+  if (!source) {
+    throw new Error(`Unknown answer source: ${sourceId}`);
+  }
+  return source;
+}
+
+function fetchHomepage(source) {
+  return fetchText(source.homepageUrl, `${source.name} homepage`);
+}
+
+// Fetch a source's homepage to discover the latest puzzle number.
+// The same page lists the archive, so the archive index is refreshed on the way.
+async function handleFetchLatest(sourceId) {
+  const source = resolveSource(sourceId);
+  const html = await fetchHomepage(source);
+
+  const latest = source.discoverLatest(html);
+  if (!latest) {
+    throw fetchError(FETCH_ERROR.PARSE_FAILED, `Could not find any puzzle numbers on ${source.name} homepage`);
+  }
+
+  try {
+    await PuzzleArchive.store(source.id, PuzzleArchive.buildIndex(source, html));
+  } catch (e) {
+    console.warn('[CrossclimbSolver BG] Archive index update failed:', e);
+  }
+
+  return { puzzleNumber: latest, sourceId: source.id };
+}
+
+// Rebuild the archive index of every puzzle listed on a source's homepage
+async function handleFetchArchive(sourceId) {
+  const source = resolveSource(sourceId);
+  const entries = PuzzleArchive.buildIndex(source, await fetchHomepage(source));
+  if (entries.length === 0) {
+    throw fetchError(FETCH_ERROR.PARSE_FAILED, `No archived puzzles found on ${source.name} homepage`);
+  }
+  await PuzzleArchive.store(source.id, entries);
+  return { sourceId: source.id, entries };
+}
+
+// Fetch a specific puzzle's answer page (HTML stays in the extension's own contexts)
+async function fetchAnswerPage(sourceId, puzzleNumber) {
+  const source = resolveSource(sourceId);
+  const url = source.puzzleUrl(puzzleNumber);
+  // A missing answer page almost always means the site hasn't written it up yet
+  const html = await fetchText(url, `${source.name} puzzle #${puzzleNumber}`, { notFound: FETCH_ERROR.NOT_PUBLISHED });
+  return { html, puzzleNumber, url, sourceId: source.id };
+}
+
+// Fetch and parse a specific puzzle. shape is the board's { rows, wordLength } when
+// the caller has the game on screen. Returns { puzzleData, parserVersion, puzzleNumber, url, sourceId }.
+async function handleFetchAnswers(sourceId, puzzleNumber, shape) {
+  const page = await fetchAnswerPage(sourceId, puzzleNumber);
+  const { puzzleData, parserVersion } = await parseInOffscreen(page.sourceId, page.html, shape);
+  puzzleData.puzzleNumber = puzzleData.puzzleNumber || puzzleNumber;
+  puzzleData.source = page.sourceId;
+  return { puzzleData, parserVersion, puzzleNumber, url: page.url, sourceId: page.sourceId };
+}
+
+// Run every parser strategy on its own against a puzzle's answer page.
+// Returns { results: AnswerParser.runStrategies() output, puzzleNumber, url, sourceId }.
+async function handleRunStrategies(sourceId, puzzleNumber, shape) {
+  const page = await fetchAnswerPage(sourceId, puzzleNumber);
+  const results = await offscreenRequest({ type: 'RUN_STRATEGIES', html: page.html, shape }, 'Strategy run');
+  return { results, puzzleNumber, url: page.url, sourceId: page.sourceId };
+}
+
+// ----- FETCH LAYER -----
+// Every answer-site request goes through fetchText(): each attempt has a timeout,
+// transient failures are retried with exponential backoff, and identical requests
+// already in flight (several frames or tabs initialising at once) share one fetch.
+// Failures carry a FETCH_ERROR code that is passed on to the content script.
+
+const FETCH_ERROR = {
+  OFFLINE: 'OFFLINE',             // the browser has no network
+  NETWORK: 'NETWORK',             // request failed (DNS, TLS, connection reset)
+  TIMEOUT: 'TIMEOUT',             // no complete response within FETCH_TIMEOUT_MS
+  NOT_PUBLISHED: 'NOT_PUBLISHED', // 404 for a puzzle page: answers not up yet
+  SERVER_ERROR: 'SERVER_ERROR',   // 5xx from the answer site
+  HTTP_ERROR: 'HTTP_ERROR',       // any other non-OK status
+  PARSE_FAILED: 'PARSE_FAILED',   // page fetched but nothing usable in it
+  UNKNOWN: 'UNKNOWN'
+};
+
+const FETCH_TIMEOUT_MS = 10000;
+// Retries after the first attempt, waiting FETCH_BACKOFF_MS, then twice that, ...
+const FETCH_RETRIES = 2;
+const FETCH_BACKOFF_MS = 1000;
+const RETRYABLE_FETCH_ERRORS = new Set([FETCH_ERROR.NETWORK, FETCH_ERROR.TIMEOUT, FETCH_ERROR.SERVER_ERROR]);
+
+const inFlightFetches = new Map();
+
+function fetchError(code, message, status = null) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+}
+
+// Fetch a URL's body as text. options.notFound is the code to use for a 404.
+// Requests are shared only when they would fail the same way, so the 404 code is
+// part of the key.
+function fetchText(url, label, options = {}) {
+  const key = `${options.notFound || FETCH_ERROR.HTTP_ERROR} ${url}`;
+  if (inFlightFetches.has(key)) {
+    return inFlightFetches.get(key);
+  }
+  const request = fetchWithRetry(url, label, options).finally(() => inFlightFetches.delete(key));
+  inFlightFetches.set(key, request);
+  return request;
+}
+
+async function fetchWithRetry(url, label, options) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fetchOnce(url, label, options);
+    } catch (error) {
+      if (!RETRYABLE_FETCH_ERRORS.has(error.code) || attempt >= FETCH_RETRIES) throw error;
+      const delay = FETCH_BACKOFF_MS * 2 ** attempt;
+      console.log(`[CrossclimbSolver BG] ${error.message}, retrying in ${delay}ms`);
+      await sleep(delay);
+    }
+  }
+}
+
+async function fetchOnce(url, label, { notFound = FETCH_ERROR.HTTP_ERROR } = {}) {
+  if (navigator.onLine === false) {
+    throw fetchError(FETCH_ERROR.OFFLINE, `${label}: browser is offline`);
+  }
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+  try {
+    const response = await fetch(url, { signal: controller.signal });
+    if (response.status === 404) {
+      throw fetchError(notFound, `${label} not found (404)`, 404);
+    }
+    if (response.status >= 500) {
+      throw fetchError(FETCH_ERROR.SERVER_ERROR, `${label} server error (${response.status})`, response.status);
+    }
+    if (!response.ok) {
+      throw fetchError(FETCH_ERROR.HTTP_ERROR, `${label} fetch failed (${response.status})`, response.status);
+    }
+    return await response.text();
+  } catch (error) {
+    if (error.code) throw error;
+    if (error.name === 'AbortError') {
+      throw fetchError(FETCH_ERROR.TIMEOUT, `${label} timed out after ${FETCH_TIMEOUT_MS / 1000}s`);
+    }
+    if (navigator.onLine === false) {
+      throw fetchError(FETCH_ERROR.OFFLINE, `${label}: browser is offline`);
+    }
+    throw fetchError(FETCH_ERROR.NETWORK, `${label}: ${error.message}`);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// ----- SCHEDULED PREFETCH -----
+// LinkedIn releases a new Crossclimb at midnight Pacific time. Shortly after that
+// we poll the answer source until a higher puzzle number appears (backing off
+// between attempts), then fetch, parse and cache it. The state in
+// AnswerCache.PREFETCH_KEY tells the popup whether today's answers are ready.
+
+const PREFETCH_ALARM = 'prefetch';
+// Answer sites need a few minutes to publish after release
+const RELEASE_DELAY_MINUTES = 5;
+// Minutes to wait after the 1st, 2nd, ... failed attempt (last value repeats)
+const PREFETCH_BACKOFF_MINUTES = [5, 10, 20, 30, 60];
+// Stop polling this long after release; the content script still fetches on demand
+const PREFETCH_GIVE_UP_HOURS = 12;
+const OFFSCREEN_PATH = 'offscreen/offscreen.html';
+
+chrome.runtime.onInstalled.addListener(() => runPrefetch('install'));
+chrome.runtime.onStartup.addListener(() => runPrefetch('startup'));
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === PREFETCH_ALARM) runPrefetch('alarm');
+});
+
+let prefetchRun = null;
+
+// One prefetch at a time; overlapping triggers share the running attempt
+function runPrefetch(reason) {
+  if (!prefetchRun) {
+    prefetchRun = prefetchTodaysPuzzle(reason).finally(() => { prefetchRun = null; });
+  }
+  return prefetchRun;
+}
+
+async function prefetchTodaysPuzzle(reason) {
+  const today = PuzzleArchive.releaseDay(new Date());
+  const state = (await AnswerCache.getPrefetchState()) || {};
+  if (state.status === 'ready' && state.releaseDay === today) {
+    await scheduleNextRelease();
+    return state;
+  }
+
+  const attempts = state.releaseDay === today ? (state.attempts || 0) + 1 : 1;
+  console.log(`[CrossclimbSolver BG] Prefetch (${reason}), attempt ${attempts} for ${today}`);
+
+  let failure;
+  try {
+    const source = AnswerSources.getDefault();
+    const { puzzleNumber } = await handleFetchLatest(source.id);
+
+    if (await isPublishedToday(source, puzzleNumber, state, today)) {
+      const { puzzleData, parserVersion } = await handleFetchAnswers(source.id, puzzleNumber);
+
+      const { ok, errors } = PuzzleSchema.validate(puzzleData);
+      if (!ok || puzzleData.wordLadder.length < 2) {
+        throw fetchError(FETCH_ERROR.PARSE_FAILED, `Parsed puzzle #${puzzleNumber} is unusable: ${PuzzleSchema.describeErrors(errors).join('; ') || 'no ladder'}`);
+      }
+      await AnswerCache.set(puzzleNumber, puzzleData, parserVersion);
+      await AnswerCache.setLatest(source.id, puzzleNumber);
+
+      const ready = {
+        status: 'ready',
+        puzzleNumber,
+        sourceId: source.id,
+        releaseDay: today,
+        attempts,
+        nextAttemptAt: null,
+        lastError: null,
+        lastReady: { puzzleNumber, releaseDay: today }
+      };
+      await AnswerCache.setPrefetchState(ready);
+      await scheduleNextRelease();
+      console.log(`[CrossclimbSolver BG] Prefetched puzzle #${puzzleNumber}`);
+      return ready;
+    }
+    failure = `Puzzle for ${today} not published yet (latest is #${puzzleNumber})`;
+  } catch (error) {
+    failure = error.message;
+  }
+
+  // Retry with backoff until the give-up window after release has passed
+  const giveUpAt = PuzzleArchive.releaseTime(today) + PREFETCH_GIVE_UP_HOURS * 60 * 60 * 1000;
+  const delayMinutes = PREFETCH_BACKOFF_MINUTES[Math.min(attempts, PREFETCH_BACKOFF_MINUTES.length) - 1];
+  const retryAt = Date.now() + delayMinutes * 60 * 1000;
+  const waiting = {
+    status: retryAt < giveUpAt ? 'waiting' : 'gave-up',
+    puzzleNumber: null,
+    releaseDay: today,
+    attempts,
+    nextAttemptAt: retryAt < giveUpAt ? retryAt : null,
+    lastError: failure,
+    lastReady: state.lastReady ?? null
+  };
+  await AnswerCache.setPrefetchState(waiting);
+  if (waiting.status === 'waiting') {
+    await chrome.alarms.create(PREFETCH_ALARM, { when: retryAt });
+  } else {
+    await scheduleNextRelease();
+  }
+  console.log(`[CrossclimbSolver BG] Prefetch not done: ${failure} (${waiting.status})`);
+  return waiting;
+}
+
+// Today's puzzle is out when the latest number has reached the one due today.
+// There is one puzzle a day, so that number is counted on from the last prefetched
+// puzzle, or with no history from the newest archive entry the source dates itself.
+// Estimated and missing dates are no evidence: without a reference the puzzle is
+// unconfirmed and left to the content script's on-demand fetch.
+async function isPublishedToday(source, puzzleNumber, state, today) {
+  const last = state.lastReady;
+  if (last) {
+    return puzzleNumber >= last.puzzleNumber + PuzzleArchive.daysBetween(last.releaseDay, today);
+  }
+  const archive = await PuzzleArchive.load(source.id, true);
+  const dated = archive?.entries.find(e => e.date && !e.dateEstimated);
+  if (!dated) {
+    console.log(`[CrossclimbSolver BG] Cannot confirm #${puzzleNumber} is today's puzzle: no dated archive entry`);
+    return false;
+  }
+  return puzzleNumber >= dated.puzzleNumber + PuzzleArchive.daysBetween(dated.date, today);
+}
+
+async function scheduleNextRelease() {
+  const tomorrow = PuzzleArchive.addDays(PuzzleArchive.releaseDay(new Date()), 1);
+  const when = PuzzleArchive.releaseTime(tomorrow) + RELEASE_DELAY_MINUTES * 60 * 1000;
+  await chrome.alarms.create(PREFETCH_ALARM, { when });
+}
+
+// ----- SOURCE HEALTH CHECK -----
+// Tells an answer-site layout change apart from a LinkedIn board change. For each
+// source, the latest puzzle and one known past puzzle are fetched, and every parser
+// strategy is run on them on its own. The page structure is compared with the last
+// healthy check, stored per source as { structure, referencePuzzle, checkedAt }.
+
+const HEALTH_KEY = 'source-health';
+// Past puzzle to check on a first run, this many puzzles before the latest
+const HEALTH_REFERENCE_OFFSET = 7;
+
+// Returns { checkedAt, sources: [{ sourceId, name, status, error, pages[] }] } where
+// status is 'ok', 'changed' (parses, but the layout moved) or 'broken'
+async function handleCheckSources() {
+  const baselines = (await chrome.storage.local.get(HEALTH_KEY))[HEALTH_KEY] || {};
+  const sources = [];
+  for (const source of AnswerSources.list()) {
+    sources.push(await checkSource(source, baselines));
+  }
+  await chrome.storage.local.set({ [HEALTH_KEY]: baselines });
+  return { checkedAt: Date.now(), sources };
+}
+
+async function checkSource(source, baselines) {
+  const report = { sourceId: source.id, name: source.name, status: 'broken', error: null, pages: [] };
+  const baseline = baselines[source.id] || null;
+
+  let latest;
+  try {
+    ({ puzzleNumber: latest } = await handleFetchLatest(source.id));
+  } catch (error) {
+    report.error = `Homepage: ${error.message}`;
+    return report;
   }
-  const html = await response.text();
 
-  // Extract the latest puzzle number from links like /crossclimb-654/
-  const matches = [...html.matchAll(/crossclimb-(\d+)/g)];
-  if (matches.length === 0) {
-    throw new Error('Could not find any puzzle numbers on homepage');
+  const known = baseline?.referencePuzzle;
+  const reference = Number.isInteger(known) && known < latest ? known : latest - HEALTH_REFERENCE_OFFSET;
+  report.pages.push(await checkAnswerPage(source, 'latest', latest, baseline));
+  if (reference > 0) {
+    report.pages.push(await checkAnswerPage(source, 'reference', reference, baseline));
   }
 
-  // Get the highest puzzle number (latest)
-  const puzzleNumbers = matches.map(m => parseInt(m[1], 10));
-  const latest = Math.max(...puzzleNumbers);
+  const parsing = report.pages.filter(p => p.parse?.ok);
+  if (parsing.length > 0) {
+    report.status = parsing.length === report.pages.length && report.pages.every(p => p.changes.length === 0)
+      ? 'ok'
+      : 'changed';
+  }
+
+  // Only a page that still parses becomes the structure to compare against next time
+  const [latestPage, referencePage] = report.pages;
+  if (latestPage.parse?.ok) {
+    baselines[source.id] = {
+      structure: latestPage.structure,
+      referencePuzzle: referencePage?.parse?.ok ? reference : baseline?.referencePuzzle ?? null,
+      checkedAt: Date.now()
+    };
+  }
+  return report;
+}
+
+// { label, puzzleNumber, url, strategies, structure, changes, parse, error } for one page
+async function checkAnswerPage(source, label, puzzleNumber, baseline) {
+  const page = { label, puzzleNumber, url: source.puzzleUrl(puzzleNumber), error: null, changes: [] };
+  try {
+    const { html } = await fetchAnswerPage(source.id, puzzleNumber);
+    const check = await offscreenRequest({ type: 'CHECK_PAGE', html, previous: baseline?.structure }, 'Page check');
+    return { ...page, ...check };
+  } catch (error) {
+    return { ...page, error: error.message, code: error.code || FETCH_ERROR.UNKNOWN };
+  }
+}
+
+// ----- OFFSCREEN PARSING -----
+
+let offscreenCreating = null;
+
+async function ensureOffscreenDocument() {
+  if (await chrome.offscreen.hasDocument()) return;
+  if (!offscreenCreating) {
+    offscreenCreating = chrome.offscreen.createDocument({
+      url: OFFSCREEN_PATH,
+      reasons: ['DOM_PARSER'],
+      justification: 'Parse answer-page HTML with DOMParser'
+    }).finally(() => { offscreenCreating = null; });
+  }
+  await offscreenCreating;
+}
 
-  return { puzzleNumber: latest, homepageHtml: html };
+// Run a source's parser on answer-page HTML; returns { puzzleData, parserVersion }
+function parseInOffscreen(sourceId, html, shape) {
+  return offscreenRequest({ type: 'PARSE_ANSWERS', sourceId, html, shape }, 'Offscreen parse');
 }
 
-// Fetch a specific puzzle's answer page
-async function handleFetchAnswers(puzzleNumber) {
-  const url = `https://crossclimbanswer.io/linkedin-crossclimb-answer/crossclimb-${puzzleNumber}/`;
-  const response = await fetch(url);
-  if (!response.ok) {
-    throw new Error(`Puzzle page fetch failed: ${response.status}`);
+// Send a request to the offscreen document; a failure there is a PARSE_FAILED error
+async function offscreenRequest(message, label) {
+  await ensureOffscreenDocument();
+  const response = await chrome.runtime.sendMessage({ target: 'offscreen', ...message });
+  if (!response?.success) {
+    throw fetchError(FETCH_ERROR.PARSE_FAILED, `${label} failed: ${response?.error || 'no response'}`);
   }
-  const html = await response.text();
-  return { html, puzzleNumber, url };
+  return response.data;
 }
@@ -0,0 +1,234 @@
+// Copyright 2025 mcarthey
+// SPDX-License-Identifier: Apache-2.0
+//
+// CrossclimbSolver - Manual Answer Import
+// Turns answers pasted into the overlay into the same puzzleData shape that
+// AnswerParser.parse produces, for when no answer source has the puzzle but the
+// user already has the answers from somewhere else.
+//
+// Accepted input:
+//   - Our puzzleData JSON, or a PuzzleSchema export (checked field by field)
+//   - A JSON array of ladder words, or of { clue, answer } objects
+//   - Text lines, freely mixed:
+//       "Worry – CARE"           clue/answer (also —, -, :, =, →)
+//       "Top: CORE" / "End: DART" endpoints
+//       "CORE CARE CART ..."      ladder words (spaces, commas or arrows)
+//       "#654"                    puzzle number
+// The ladder and its words can be any length (words of 3+ letters); with the
+// board's shape they must match the board.
+
+const AnswerImport = {
+  // shape is the board's { rows, wordLength } when known (Solver.detectShape).
+  // Returns { ok, puzzleData, format, errors[] }
+  parse(text, shape = {}) {
+    const input = (text || '').trim();
+    if (!input) {
+      return { ok: false, puzzleData: null, format: null, errors: ['Nothing to import'] };
+    }
+
+    let partial;
+    let format;
+    if (/^[[{]/.test(input)) {
+      format = 'json';
+      let value;
+      try {
+        value = JSON.parse(input);
+      } catch (e) {
+        return { ok: false, puzzleData: null, format, errors: [`Invalid JSON: ${e.message}`] };
+      }
+
+      // Versioned data is held to the schema instead of being read leniently
+      if (value?.format === PuzzleSchema.EXPORT_FORMAT || value?.schemaVersion != null) {
+        const imported = PuzzleSchema.import(value);
+        if (!imported.ok) {
+          return { ok: false, puzzleData: null, format, errors: PuzzleSchema.describeErrors(imported.errors) };
+        }
+        value = imported.puzzleData;
+      }
+
+      try {
+        partial = this._fromJSON(value);
+      } catch (e) {
+        return { ok: false, puzzleData: null, format, errors: [`Invalid puzzle JSON: ${e.message}`] };
+      }
+    } else {
+      partial = this._fromLines(input);
+      format = partial.clueAnswerPairs.length > 0 ? 'lines' : 'ladder';
+    }
+
+    const puzzleData = this._normalise(partial, shape);
+    const errors = this._check(puzzleData, shape);
+    if (errors.length === 0) {
+      AnswerParser._validate(puzzleData);
+    }
+
+    return { ok: errors.length === 0, puzzleData: errors.length === 0 ? puzzleData : null, format, errors };
+  },
+
+  // ----- INPUT FORMATS -----
+
+  _emptyPartial() {
+    return { wordLadder: [], clueAnswerPairs: [], startWord: null, endWord: null, puzzleNumber: null, theme: null };
+  },
+
+  _fromJSON(value) {
+    const partial = this._emptyPartial();
+
+    if (Array.isArray(value)) {
+      for (const item of value) {
+        if (typeof item === 'string') {
+          partial.wordLadder.push(item);
+        } else if (item && item.clue != null && item.answer != null) {
+          partial.clueAnswerPairs.push({ clue: String(item.clue), answer: String(item.answer) });
+        }
+      }
+      return partial;
+    }
+
+    if (!value || typeof value !== 'object') {
+      throw new Error('expected a puzzle object or an array');
+    }
+    if (Array.isArray(value.wordLadder)) partial.wordLadder = value.wordLadder.map(String);
+    if (Array.isArray(value.clueAnswerPairs)) {
+      partial.clueAnswerPairs = value.clueAnswerPairs
+        .filter(p => p && p.answer != null)
+        .map(p => ({ clue: String(p.clue || ''), answer: String(p.answer) }));
+    }
+    partial.startWord = value.startWord || null;
+    partial.endWord = value.endWord || null;
+    partial.puzzleNumber = Number.isInteger(value.puzzleNumber) ? value.puzzleNumber : null;
+    partial.theme = value.theme || null;
+    return partial;
+  },
+
+  _fromLines(text) {
+    const partial = this._emptyPartial();
+
+    for (const rawLine of text.split(/\r?\n/)) {
+      // Drop list bullets and numbering ("1.", "2)", "-", "•")
+      const line = rawLine.replace(/^\s*(?:[-*•]|\d+[.)])\s+/, '').trim();
+      if (!line) continue;
+
+      const endpoint = line.match(/^(top|start|first|bottom|end|last)(?:\s+word)?\s*[:=–—-]\s*([A-Za-z]{3,})$/i);
+      if (endpoint) {
+        const isStart = /^(top|start|first)$/i.test(endpoint[1]);
+        partial[isStart ? 'startWord' : 'endWord'] = endpoint[2];
+        continue;
+      }
+
+      const number = line.match(/^(?:crossclimb|puzzle)?\s*(?:#|no\.?)\s*(\d{1,5})$/i);
+      if (number) {
+        partial.puzzleNumber = parseInt(number[1], 10);
+        continue;
+      }
+
+      if (/^[A-Za-z]{3,}(?:\s*(?:,|→|->|>|\s)\s*[A-Za-z]{3,})*$/.test(line)) {
+        partial.wordLadder.push(...line.match(/[A-Za-z]+/g));
+        continue;
+      }
+
+      // "clue – ANSWER", or "ANSWER – clue" when the answer is written in capitals
+      const answerLast = line.match(/^(.+?)\s*(?:[–—:=→]|->|\s-)\s*([A-Za-z]{3,})$/);
+      const answerFirst = line.match(/^([A-Z]{3,})\s*(?:[–—:=]|-\s)\s*(.+)$/);
+      if (answerLast) {
+        partial.clueAnswerPairs.push({ clue: answerLast[1], answer: answerLast[2] });
+      } else if (answerFirst) {
+        partial.clueAnswerPairs.push({ clue: answerFirst[2], answer: answerFirst[1] });
+      }
+    }
+    return partial;
+  },
+
+  // ----- NORMALISATION -----
+
+  // Uppercase everything, then fill in whatever the input implies but didn't
+  // state: endpoints from a full ladder, or a full ladder from endpoints + answers
+  _normalise(partial, shape = {}) {
+    const upper = (w) => (w ? String(w).trim().toUpperCase() : null);
+    const result = PuzzleSchema.create({
+      wordLadder: partial.wordLadder.map(upper).filter(Boolean),
+      clueAnswerPairs: partial.clueAnswerPairs
+        .map(p => ({ clue: String(p.clue).trim(), answer: upper(p.answer) }))
+        .filter(p => p.answer),
+      startWord: upper(partial.startWord),
+      endWord: upper(partial.endWord),
+      puzzleNumber: partial.puzzleNumber,
+      theme: partial.theme,
+      source: 'import'
+    });
+    const middleAnswers = [...new Set(result.clueAnswerPairs.map(p => p.answer))];
+    const { startWord, endWord, wordLadder } = result;
+
+    // Only the middle words were given, plus both endpoints
+    if (wordLadder.length > 0 && startWord && endWord &&
+        wordLadder[0] !== startWord && wordLadder[wordLadder.length - 1] !== endWord) {
+      result.wordLadder = [startWord, ...wordLadder, endWord];
+    }
+
+    const length = AnswerParser.ladderLength(shape, result.clueAnswerPairs);
+    let alternatives = [];
+    if (result.wordLadder.length === 0 && startWord && endWord && middleAnswers.length >= length - 2) {
+      const rebuilt = AnswerParser._reconstruct(startWord, endWord, middleAnswers, length);
+      result.wordLadder = rebuilt.words || [];
+      alternatives = rebuilt.alternatives;
+    }
+
+    if (result.wordLadder.length >= AnswerParser.MIN_LADDER_LENGTH) {
+      result.startWord = result.startWord || result.wordLadder[0];
+      result.endWord = result.endWord || result.wordLadder[result.wordLadder.length - 1];
+    }
+
+    result.provenance = {
+      startWord: result.startWord ? 'import' : null,
+      endWord: result.endWord ? 'import' : null,
+      wordLadder: result.wordLadder.length > 0 ? 'import' : null,
+      clueAnswerPairs: result.clueAnswerPairs.map(() => 'import'),
+      alternatives
+    };
+    result.confidence = 1;
+    return result;
+  },
+
+  // Problems that would make the solver type wrong or nothing; [] when usable
+  _check(puzzleData, shape = {}) {
+    const { wordLadder, clueAnswerPairs } = puzzleData;
+    const length = shape.rows || AnswerParser.ladderLength({}, clueAnswerPairs);
+    const errors = [];
+
+    if (wordLadder.length === 0 && clueAnswerPairs.length < AnswerParser.MIN_LADDER_LENGTH - 2) {
+      errors.push(`Need a ${length}-word ladder, or ${length - 2} "clue – ANSWER" lines`);
+      return errors;
+    }
+
+    if (wordLadder.length > 0) {
+      if (shape.rows ? wordLadder.length !== shape.rows : wordLadder.length < AnswerParser.MIN_LADDER_LENGTH) {
+        errors.push(`Ladder has ${wordLadder.length} words, expected ${length} ` +
+          `(or ${length - 2} plus "Top:"/"Bottom:" lines)`);
+      }
+      for (let i = 0; i < wordLadder.length - 1; i++) {
+        if (!AnswerParser._differsByOneLetter(wordLadder[i], wordLadder[i + 1])) {
+          errors.push(`"${wordLadder[i]}" → "${wordLadder[i + 1]}" is not a one-letter change`);
+        }
+      }
+      for (const pair of clueAnswerPairs) {
+        if (!wordLadder.includes(pair.answer)) {
+          errors.push(`Answer "${pair.answer}" is not in the ladder`);
+        }
+      }
+      const misfit = shape.wordLength && wordLadder.find(w => w.length !== shape.wordLength);
+      if (misfit) {
+        errors.push(`"${misfit}" has ${misfit.length} letters, the board's rows have ${shape.wordLength}`);
+      }
+    } else if (puzzleData.startWord && puzzleData.endWord) {
+      errors.push(`Could not order the answers into a ladder from ${puzzleData.startWord} to ${puzzleData.endWord}`);
+    } else {
+      // Without both endpoints no ladder can be assembled from the answers
+      errors.push('No ladder: add the ladder, or "Top:"/"Bottom:" lines with the answers');
+    }
+
+    if (errors.length === 0) {
+      errors.push(...PuzzleSchema.describeErrors(PuzzleSchema.validate(puzzleData).errors));
+    }
+    return errors;
+  }
+};
@@ -2,90 +2,148 @@
 // SPDX-License-Identifier: Apache-2.0
 //
 // CrossclimbSolver - Answer Parser
-// Parses HTML from crossclimbanswer.io to extract puzzle solutions
+// Parses HTML from crossclimbanswer.io to extract puzzle solutions.
+// parse() and runStrategies() run in the offscreen document (offscreen/), never in
+// the LinkedIn page; content scripts load this file only for the ladder helpers.
 
 const AnswerParser = {
-  // Parse the answer page HTML and return structured puzzle data
-  parse(html) {
+  // Bump whenever parse() output changes; cached answers from other versions are ignored
+  VERSION: 7,
+
+  // How much a ladder is trusted, by the strategy that produced it
+  LADDER_CONFIDENCE: {
+    'ladder-container': 1,
+    'ladder-styled': 0.95,
+    'reconstruct-bfs': 0.9,
+    'ladder-bordered': 0.85,
+    'ladder-bold': 0.8,
+    'reconstruct-brute-force': 0.8,
+    'ladder-text-scan': 0.4
+  },
+
+  // Ladders from these are guesses from loose page text and get flagged in the overlay
+  WEAK_LADDER_STRATEGIES: ['ladder-text-scan'],
+
+  // The daily puzzle is 7 words: 5 middle rows between the locked top and bottom.
+  // Special editions can be longer or shorter, so this is only the fallback when
+  // neither the board nor the answer page says otherwise (see ladderLength()).
+  DEFAULT_LADDER_LENGTH: 7,
+  MIN_LADDER_LENGTH: 4,
+
+  // Ordering enumeration is at worst (middle answers)!; 8! is still quick
+  MAX_BRUTE_FORCE_MIDDLE: 8,
+
+  // Alternative orderings kept in provenance.alternatives for an ambiguous ladder
+  MAX_ALTERNATIVES: 5,
+
+  // Parse the answer page HTML and return structured puzzle data.
+  // shape is the board's { rows, wordLength } when the game is on screen
+  // (Solver.detectShape); without it the ladder length is inferred from the clues.
+  // The strategies take words of any length from 3 letters up; with the shape,
+  // words that don't have its wordLength are dropped.
+  // Besides the puzzle itself the result records where each part came from:
+  //   provenance:       { startWord, endWord, wordLadder, clueAnswerPairs[] } strategy names,
+  //                     plus alternatives[]: other valid orderings when the ladder was
+  //                     reconstructed and more than one order fits
+  //   failedStrategies: strategies that ran but produced nothing usable
+  //   confidence:       0-1, from the ladder's strategy and cross-checks between parts
+  parse(html, shape = {}) {
     const doc = new DOMParser().parseFromString(html, 'text/html');
     const allText = doc.body?.textContent || '';
 
-    const result = {
-      wordLadder: [],
-      clueAnswerPairs: [],
-      startWord: null,
-      endWord: null,
-      puzzleNumber: null,
-      theme: null
-    };
+    const result = PuzzleSchema.create({
+      provenance: { startWord: null, endWord: null, wordLadder: null, clueAnswerPairs: [], alternatives: [] },
+      confidence: 0
+    });
 
     console.log('[CrossclimbSolver] Parsing answer page, HTML length:', html.length, 'text length:', allText.length);
 
     // --- STEP 1: Extract clue-answer pairs from tables (most reliable) ---
-    result.clueAnswerPairs = this._extractClueAnswerPairsFromHTML(doc);
+    const fits = (word) => this._fitsWordLength(word, shape.wordLength);
+    const fitting = (pairs) => pairs.filter(p => fits(p.answer));
+    this._addPairs(result, 'clues-table', fitting(this._cluesFromTable(doc)));
+    if (result.clueAnswerPairs.length < (shape.rows || this.DEFAULT_LADDER_LENGTH) - 2) {
+      this._addPairs(result, 'clues-strong-siblings', fitting(this._cluesFromStrongSiblings(doc)));
+    }
     if (result.clueAnswerPairs.length === 0) {
-      result.clueAnswerPairs = this._extractClueAnswerPairsFromRawHTML(html);
+      this._addPairs(result, 'clues-raw-html', fitting(this._extractClueAnswerPairsFromRawHTML(html, shape.rows)));
     }
-    const middleAnswers = result.clueAnswerPairs.map(p => p.answer);
-    console.log('[CrossclimbSolver] Found', result.clueAnswerPairs.length, 'clue-answer pairs:', middleAnswers.join(', '));
+    console.log('[CrossclimbSolver] Found', result.clueAnswerPairs.length, 'clue-answer pairs:', result.clueAnswerPairs.map(p => p.answer).join(', '));
+    const length = this.ladderLength(shape, result.clueAnswerPairs);
+    console.log('[CrossclimbSolver] Expecting a', length, 'word ladder', shape.rows ? '(from the board)' : '');
 
     // --- STEP 2: Extract word ladder from HTML structure ---
-    // The site displays all 7 words in stacked divs with tracking/uppercase classes
-    const htmlLadder = this._extractWordLadderFromHTML(doc);
-    console.log('[CrossclimbSolver] HTML ladder extraction:', htmlLadder.join(', '), `(${htmlLadder.length} words)`);
-    if (htmlLadder.length >= 7 && this._isValidLadder(htmlLadder)) {
-      result.wordLadder = htmlLadder;
-      result.startWord = htmlLadder[0];
-      result.endWord = htmlLadder[htmlLadder.length - 1];
-      console.log('[CrossclimbSolver] Valid 7-word ladder from HTML:', htmlLadder.join(' → '));
+    // The site displays all the words in stacked divs with tracking/uppercase classes
+    const htmlLadder = this._extractWordLadderFromHTML(doc, result.failedStrategies, length, shape.wordLength);
+    console.log('[CrossclimbSolver] HTML ladder extraction:', htmlLadder.words.join(', '), `(${htmlLadder.words.length} words)`);
+    if (htmlLadder.strategy) {
+      result.wordLadder = htmlLadder.words;
+      result.startWord = htmlLadder.words[0];
+      result.endWord = htmlLadder.words[htmlLadder.words.length - 1];
+      result.provenance.wordLadder = htmlLadder.strategy;
+      result.provenance.startWord = htmlLadder.strategy;
+      result.provenance.endWord = htmlLadder.strategy;
+      console.log(`[CrossclimbSolver] Valid ${length}-word ladder from HTML:`, htmlLadder.words.join(' → '));
     }
 
     // --- STEP 3: Extract start/end words (multiple strategies) ---
     if (!result.startWord || !result.endWord) {
-      this._extractStartEndWords(allText, html, doc, result);
+      this._extractStartEndWords(allText, html, doc, result, length, shape.wordLength);
       console.log('[CrossclimbSolver] Start word:', result.startWord, 'End word:', result.endWord);
     }
 
     // --- STEP 4: Try __NEXT_DATA__ ---
-    if (result.wordLadder.length < 7) {
-      const nextData = this._extractNextData(doc);
-      if (nextData) {
-        this._parseFromNextData(nextData, result);
+    if (result.wordLadder.length < length) {
+      const before = { startWord: result.startWord, endWord: result.endWord };
+      this._parseFromNextData(this._extractNextData(doc), result, shape.wordLength);
+      if (!before.startWord && result.startWord) result.provenance.startWord = 'endpoints-next-data';
+      if (!before.endWord && result.endWord) result.provenance.endWord = 'endpoints-next-data';
+      if ((!before.startWord || !before.endWord) &&
+          result.startWord === before.startWord && result.endWord === before.endWord) {
+        result.failedStrategies.push('endpoints-next-data');
       }
     }
 
     // --- STEP 5: Reconstruct ladder from known parts ---
-    if (result.wordLadder.length < 7 && result.startWord && result.endWord && middleAnswers.length >= 5) {
-      console.log('[CrossclimbSolver] Reconstructing ladder via BFS:', result.startWord, '→', result.endWord, 'through', middleAnswers.join(', '));
-      const allWords = [result.startWord, ...middleAnswers, result.endWord];
-      const path = this._findPath(result.startWord, result.endWord, allWords);
-      if (path && path.length === 7) {
-        result.wordLadder = path;
-        console.log('[CrossclimbSolver] Reconstructed ladder:', path.join(' → '));
-      } else {
-        console.log('[CrossclimbSolver] BFS failed, trying brute force ordering');
-        // Try brute force: we have 5 middle + 2 endpoints, order them
-        const ordered = this._bruteForceOrder(result.startWord, result.endWord, middleAnswers);
-        if (ordered && ordered.length === 7) {
-          result.wordLadder = ordered;
-          console.log('[CrossclimbSolver] Brute-force ordered ladder:', ordered.join(' → '));
+    // (answers again: __NEXT_DATA__ may have added some)
+    const middleAnswers = result.clueAnswerPairs.map(p => p.answer);
+    if (result.wordLadder.length < length && result.startWord && result.endWord && middleAnswers.length >= length - 2) {
+      console.log('[CrossclimbSolver] Reconstructing ladder:', result.startWord, '→', result.endWord, 'through', middleAnswers.join(', '));
+      const rebuilt = this._reconstruct(result.startWord, result.endWord, middleAnswers, length);
+      result.failedStrategies.push(...rebuilt.failed);
+      if (rebuilt.words) {
+        result.wordLadder = rebuilt.words;
+        result.provenance.wordLadder = rebuilt.strategy;
+        result.provenance.alternatives = rebuilt.alternatives;
+        console.log(`[CrossclimbSolver] Reconstructed ladder (${rebuilt.strategy}):`, rebuilt.words.join(' → '));
+        for (const alt of rebuilt.alternatives) {
+          console.warn('[CrossclimbSolver] Ambiguous ladder, also valid:', alt.join(' → '));
         }
       }
     }
 
     // --- STEP 6: Brute-force text scan as last resort ---
-    if (result.wordLadder.length < 7) {
+    if (result.wordLadder.length < length) {
       console.log('[CrossclimbSolver] Falling back to text scan');
-      const textLadder = this._extractWordLadderFromText(allText, result.startWord, result.endWord);
+      const textLadder = this._extractWordLadderFromText(allText, result.startWord, result.endWord, length, shape.wordLength);
       if (textLadder.length > result.wordLadder.length) {
         result.wordLadder = textLadder;
+        result.provenance.wordLadder = 'ladder-text-scan';
+      } else {
+        result.failedStrategies.push('ladder-text-scan');
       }
     }
 
     // --- Derive start/end from ladder if still missing ---
     if (result.wordLadder.length >= 2) {
-      result.startWord = result.startWord || result.wordLadder[0];
-      result.endWord = result.endWord || result.wordLadder[result.wordLadder.length - 1];
+      if (!result.startWord) {
+        result.startWord = result.wordLadder[0];
+        result.provenance.startWord = result.provenance.wordLadder;
+      }
+      if (!result.endWord) {
+        result.endWord = result.wordLadder[result.wordLadder.length - 1];
+        result.provenance.endWord = result.provenance.wordLadder;
+      }
     }
 
     if (!result.puzzleNumber) {
@@ -93,100 +151,187 @@ const AnswerParser = {
     }
 
     this._validate(result);
+    result.confidence = this._scoreConfidence(result, length);
     console.log('[CrossclimbSolver] Final parsed result:', JSON.stringify(result, null, 2));
     return result;
   },
 
+  // Words in the ladder: the board's row count when known, else the distinct clue
+  // answers (one per middle row) plus the two endpoints, else the daily default
+  ladderLength(shape = {}, clueAnswerPairs = []) {
+    if (shape.rows >= this.MIN_LADDER_LENGTH) return shape.rows;
+    const answers = new Set(clueAnswerPairs.map(p => p.answer)).size;
+    return answers >= this.MIN_LADDER_LENGTH - 2 ? answers + 2 : this.DEFAULT_LADDER_LENGTH;
+  },
+
+  // Other full ladders that fit the same answers, best first ([] when unambiguous)
+  ladderAlternatives(puzzleData) {
+    return puzzleData?.provenance?.alternatives || [];
+  },
+
+  // True when the ladder came from a fallback that guesses from loose page text
+  isWeakLadder(puzzleData) {
+    const strategy = puzzleData?.provenance?.wordLadder;
+    return !!strategy && this.WEAK_LADDER_STRATEGIES.includes(strategy);
+  },
+
+  // Later strategies often re-find earlier answers; each answer is kept once
+  _addPairs(result, strategy, pairs) {
+    if (pairs.length === 0) {
+      result.failedStrategies.push(strategy);
+      return;
+    }
+    for (const pair of pairs) {
+      if (result.clueAnswerPairs.some(p => p.answer === pair.answer)) continue;
+      result.clueAnswerPairs.push(pair);
+      result.provenance.clueAnswerPairs.push(strategy);
+    }
+  },
+
+  // Start from how much the ladder's strategy is trusted, then discount for
+  // parts that don't agree with each other
+  _scoreConfidence(result, length = this.DEFAULT_LADDER_LENGTH) {
+    const { wordLadder, clueAnswerPairs, startWord, endWord, provenance } = result;
+    let confidence = this.LADDER_CONFIDENCE[provenance.wordLadder] || 0;
+    if (confidence === 0) return 0;
+
+    if (wordLadder.length !== length || !this._isValidLadder(wordLadder)) confidence *= 0.5;
+    if (clueAnswerPairs.length !== length - 2) confidence *= 0.8;
+    if (clueAnswerPairs.some(p => !wordLadder.includes(p.answer))) confidence *= 0.7;
+    if (startWord !== wordLadder[0] || endWord !== wordLadder[wordLadder.length - 1]) confidence *= 0.8;
+    if (provenance.alternatives?.length > 0) confidence *= 0.8;
+
+    return Math.round(confidence * 100) / 100;
+  },
+
   // ----- START/END WORD EXTRACTION -----
 
-  _extractStartEndWords(allText, rawHtml, doc, result) {
-    // Strategy A: Find "Top" and "Bottom" labels in the HTML structure
-    // The site uses: <p>Top</p><p>HORNS</p> and <p>Bottom</p><p>BRASS</p>
-    if (doc) {
-      const allPs = doc.querySelectorAll('p');
-      for (let i = 0; i < allPs.length - 1; i++) {
-        const label = allPs[i].textContent.trim().toLowerCase();
-        const word = allPs[i + 1].textContent.trim().toUpperCase();
-        if (label === 'top' && /^[A-Z]{3,7}$/.test(word)) {
-          result.startWord = word;
-        }
-        if (label === 'bottom' && /^[A-Z]{3,7}$/.test(word)) {
-          result.endWord = word;
-        }
+  // Run the endpoint strategies in order, filling whichever of start/end is still missing
+  _extractStartEndWords(allText, rawHtml, doc, result, length = this.DEFAULT_LADDER_LENGTH, wordLength = null) {
+    const strategies = [
+      ['endpoints-labels', () => this._endpointsFromLabels(doc)],
+      ['endpoints-text-labels', () => this._endpointsFromTextLabels(allText)],
+      ['endpoints-arrow', () => this._endpointsFromArrow(allText, rawHtml)],
+      ['endpoints-into', () => this._endpointsFromInto(allText)],
+      ['endpoints-bfs', () => this._endpointsFromBFS(allText, result.clueAnswerPairs, length)],
+      ['endpoints-raw-html', () => this._endpointsFromRawHTML(rawHtml)],
+    ];
+
+    for (const [name, strategy] of strategies) {
+      const found = strategy();
+      let used = false;
+      if (!result.startWord && found.startWord && this._fitsWordLength(found.startWord, wordLength)) {
+        result.startWord = found.startWord;
+        result.provenance.startWord = name;
+        used = true;
       }
-    }
-    if (result.startWord && result.endWord) return;
-
-    // Strategy B: Text pattern "Top: WORD" or "Top WORD"
-    const topMatch = allText.match(/\bTop\b[:\s]+([A-Z]{3,7})\b/i);
-    const bottomMatch = allText.match(/\bBottom\b[:\s]+([A-Z]{3,7})\b/i);
-    if (topMatch) result.startWord = result.startWord || topMatch[1].toUpperCase();
-    if (bottomMatch) result.endWord = result.endWord || bottomMatch[1].toUpperCase();
-    if (result.startWord && result.endWord) return;
-
-    // Strategy C: "WORD → WORD" arrow pattern
-    const arrowMatch = allText.match(/\b([A-Z]{3,7})\s*[→\u2192]\s*([A-Z]{3,7})\b/i) ||
-                       rawHtml.match(/([A-Z]{3,7})\s*(?:→|&rarr;|&#8594;|&#x2192;)\s*([A-Z]{3,7})/i);
-    if (arrowMatch) {
-      result.startWord = result.startWord || arrowMatch[1].toUpperCase();
-      result.endWord = result.endWord || arrowMatch[2].toUpperCase();
-    }
-    if (result.startWord && result.endWord) return;
-
-    // Strategy D: "WORD into WORD" pattern (from page description)
-    const intoMatch = allText.match(/\b([A-Z]{3,7})\s+into\s+([A-Z]{3,7})\b/i);
-    if (intoMatch) {
-      result.startWord = result.startWord || intoMatch[1].toUpperCase();
-      result.endWord = result.endWord || intoMatch[2].toUpperCase();
-    }
-    if (result.startWord && result.endWord) return;
-
-    // Strategy E: Find words NOT in clue-answer pairs that form valid ladder endpoints
-    if (result.clueAnswerPairs.length >= 5) {
-      const middleSet = new Set(result.clueAnswerPairs.map(p => p.answer));
-      const wordLen = result.clueAnswerPairs[0]?.answer.length;
-
-      if (wordLen) {
-        // Find all uppercase words of the same length in the text
-        const allWords = allText.match(new RegExp(`\\b[A-Z]{${wordLen}}\\b`, 'g')) || [];
-        const candidates = [...new Set(allWords.map(w => w.toUpperCase()))].filter(w => !middleSet.has(w));
-
-        console.log('[CrossclimbSolver] Start/end candidates (not in middle):', candidates.join(', '));
-
-        // Try each pair as start/end and see if BFS finds a valid 7-word path
-        for (const c1 of candidates) {
-          for (const c2 of candidates) {
-            if (c1 === c2) continue;
-            const path = this._findPath(c1, c2, [c1, ...middleSet, c2]);
-            if (path && path.length === 7) {
-              result.startWord = result.startWord || c1;
-              result.endWord = result.endWord || c2;
-              console.log('[CrossclimbSolver] Found endpoints via BFS:', c1, '→', c2);
-              return;
-            }
-          }
-        }
+      if (!result.endWord && found.endWord && this._fitsWordLength(found.endWord, wordLength)) {
+        result.endWord = found.endWord;
+        result.provenance.endWord = name;
+        used = true;
       }
+      if (!used) result.failedStrategies.push(name);
+      if (result.startWord && result.endWord) return;
     }
+  },
 
-    // Strategy F: Scan raw HTML for "Top" and "Bottom" near words
-    if (!result.startWord) {
-      const topHtml = rawHtml.match(/[Tt]op<\/\w+>\s*<\w+[^>]*>\s*([A-Z]{3,7})\b/);
-      if (topHtml) result.startWord = topHtml[1].toUpperCase();
+  // Strategy A: Find "Top" and "Bottom" labels in the HTML structure
+  // The site uses: <p>Top</p><p>HORNS</p> and <p>Bottom</p><p>BRASS</p>
+  _endpointsFromLabels(doc) {
+    const found = { startWord: null, endWord: null };
+    if (!doc) return found;
+
+    const allPs = doc.querySelectorAll('p');
+    for (let i = 0; i < allPs.length - 1; i++) {
+      const label = allPs[i].textContent.trim().toLowerCase();
+      const word = allPs[i + 1].textContent.trim().toUpperCase();
+      if (label === 'top' && /^[A-Z]{3,}$/.test(word)) {
+        found.startWord = word;
+      }
+      if (label === 'bottom' && /^[A-Z]{3,}$/.test(word)) {
+        found.endWord = word;
+      }
     }
-    if (!result.endWord) {
-      const bottomHtml = rawHtml.match(/[Bb]ottom<\/\w+>\s*<\w+[^>]*>\s*([A-Z]{3,7})\b/);
-      if (bottomHtml) result.endWord = bottomHtml[1].toUpperCase();
+    return found;
+  },
+
+  // Strategy B: Text pattern "Top: WORD" or "Top WORD"
+  _endpointsFromTextLabels(allText) {
+    const topMatch = allText.match(/\bTop\b[:\s]+([A-Z]{3,})\b/i);
+    const bottomMatch = allText.match(/\bBottom\b[:\s]+([A-Z]{3,})\b/i);
+    return {
+      startWord: topMatch ? topMatch[1].toUpperCase() : null,
+      endWord: bottomMatch ? bottomMatch[1].toUpperCase() : null
+    };
+  },
+
+  // Strategy C: "WORD → WORD" arrow pattern
+  _endpointsFromArrow(allText, rawHtml) {
+    const arrowMatch = allText.match(/\b([A-Z]{3,})\s*[→\u2192]\s*([A-Z]{3,})\b/i) ||
+                       rawHtml.match(/([A-Z]{3,})\s*(?:→|&rarr;|&#8594;|&#x2192;)\s*([A-Z]{3,})/i);
+    return {
+      startWord: arrowMatch ? arrowMatch[1].toUpperCase() : null,
+      endWord: arrowMatch ? arrowMatch[2].toUpperCase() : null
+    };
+  },
+
+  // Strategy D: "WORD into WORD" pattern (from page description)
+  _endpointsFromInto(allText) {
+    const intoMatch = allText.match(/\b([A-Z]{3,})\s+into\s+([A-Z]{3,})\b/i);
+    return {
+      startWord: intoMatch ? intoMatch[1].toUpperCase() : null,
+      endWord: intoMatch ? intoMatch[2].toUpperCase() : null
+    };
+  },
+
+  // Strategy E: Find words NOT in clue-answer pairs that form valid ladder endpoints
+  _endpointsFromBFS(allText, clueAnswerPairs, length = this.DEFAULT_LADDER_LENGTH) {
+    const found = { startWord: null, endWord: null };
+    if (clueAnswerPairs.length < length - 2) return found;
+
+    const middleSet = new Set(clueAnswerPairs.map(p => p.answer));
+    const wordLen = clueAnswerPairs[0]?.answer.length;
+    if (!wordLen) return found;
+
+    // Find all uppercase words of the same length in the text
+    const allWords = allText.match(new RegExp(`\\b[A-Z]{${wordLen}}\\b`, 'g')) || [];
+    const candidates = [...new Set(allWords.map(w => w.toUpperCase()))].filter(w => !middleSet.has(w));
+
+    console.log('[CrossclimbSolver] Start/end candidates (not in middle):', candidates.join(', '));
+
+    // Try each pair as start/end and see if BFS finds a full-length path
+    for (const c1 of candidates) {
+      for (const c2 of candidates) {
+        if (c1 === c2) continue;
+        const path = this._findPath(c1, c2, [c1, ...middleSet, c2], length);
+        if (path) {
+          console.log('[CrossclimbSolver] Found endpoints via BFS:', c1, '→', c2);
+          return { startWord: c1, endWord: c2 };
+        }
+      }
     }
+    return found;
+  },
+
+  // Strategy F: Scan raw HTML for "Top" and "Bottom" near words
+  _endpointsFromRawHTML(rawHtml) {
+    const topHtml = rawHtml.match(/[Tt]op<\/\w+>\s*<\w+[^>]*>\s*([A-Z]{3,})\b/);
+    const bottomHtml = rawHtml.match(/[Bb]ottom<\/\w+>\s*<\w+[^>]*>\s*([A-Z]{3,})\b/);
+    return {
+      startWord: topHtml ? topHtml[1].toUpperCase() : null,
+      endWord: bottomHtml ? bottomHtml[1].toUpperCase() : null
+    };
   },
 
   // ----- CLUE-ANSWER EXTRACTION FROM RAW HTML -----
 
-  _extractClueAnswerPairsFromRawHTML(html) {
+  // length is the expected ladder length; fewer answers than its middle rows
+  // widens the search to any <strong> word near a clue cell
+  _extractClueAnswerPairsFromRawHTML(html, length = this.DEFAULT_LADDER_LENGTH) {
     const pairs = [];
 
     // Pattern: <td>clue text</td><td><strong>ANSWER</strong></td>
-    const tdPattern = /<td[^>]*>(.*?)<\/td>\s*<td[^>]*>\s*<strong[^>]*>([A-Za-z]{3,7})<\/strong>/gi;
+    const tdPattern = /<td[^>]*>(.*?)<\/td>\s*<td[^>]*>\s*<strong[^>]*>([A-Za-z]{3,})<\/strong>/gi;
     let match;
     while ((match = tdPattern.exec(html)) !== null) {
       const clue = match[1].replace(/<[^>]+>/g, '').trim();
@@ -197,8 +342,8 @@ const AnswerParser = {
     }
 
     // Pattern: <strong>ANSWER</strong> near a clue <td>
-    if (pairs.length < 5) {
-      const strongPattern = /<strong[^>]*>([A-Za-z]{3,7})<\/strong>/gi;
+    if (pairs.length < length - 2) {
+      const strongPattern = /<strong[^>]*>([A-Za-z]{3,})<\/strong>/gi;
       while ((match = strongPattern.exec(html)) !== null) {
         const answer = match[1].toUpperCase();
         if (pairs.find(p => p.answer === answer)) continue;
@@ -226,17 +371,25 @@ const AnswerParser = {
     }
   },
 
-  _parseFromNextData(nextData, result) {
+  // Words that don't fit wordLength (when given) are left out
+  _parseFromNextData(nextData, result, wordLength = null) {
     const pageProps = nextData?.props?.pageProps;
-    if (!pageProps) return;
+    if (!pageProps) {
+      this._addPairs(result, 'clues-next-data', []);
+      return;
+    }
 
+    const fits = (word) => this._fitsWordLength(word, wordLength);
     const flatText = JSON.stringify(pageProps);
-    const topMatch = flatText.match(/"top"\s*:\s*"([A-Za-z]{3,7})"/i);
-    const bottomMatch = flatText.match(/"bottom"\s*:\s*"([A-Za-z]{3,7})"/i);
-    if (topMatch) result.startWord = result.startWord || topMatch[1].toUpperCase();
-    if (bottomMatch) result.endWord = result.endWord || bottomMatch[1].toUpperCase();
-
-    this._findClueAnswerPairsInObject(pageProps, result);
+    const topMatch = flatText.match(/"top"\s*:\s*"([A-Za-z]{3,})"/i);
+    const bottomMatch = flatText.match(/"bottom"\s*:\s*"([A-Za-z]{3,})"/i);
+    if (topMatch && fits(topMatch[1])) result.startWord = result.startWord || topMatch[1].toUpperCase();
+    if (bottomMatch && fits(bottomMatch[1])) result.endWord = result.endWord || bottomMatch[1].toUpperCase();
+
+    // Answers the page also lists in its markup are kept once
+    const found = { clueAnswerPairs: [] };
+    this._findClueAnswerPairsInObject(pageProps, found);
+    this._addPairs(result, 'clues-next-data', found.clueAnswerPairs.filter(p => fits(p.answer)));
   },
 
   _findClueAnswerPairsInObject(obj, result, depth = 0) {
@@ -259,89 +412,101 @@ const AnswerParser = {
 
   // ----- HTML PARSING -----
 
-  _extractWordLadderFromHTML(doc) {
-    // Strategy A: Find a container with exactly 7 children that are uppercase words
+  // Run the HTML ladder strategies in order. Returns { words, strategy } for the first
+  // valid ladder of `length` words; if none validates, strategy is null and words is
+  // the raw styled (or bordered) word list. Strategies that found nothing go into `failed`.
+  _extractWordLadderFromHTML(doc, failed = [], length = this.DEFAULT_LADDER_LENGTH, wordLength = null) {
+    const strategies = [
+      ['ladder-container', () => this._ladderFromContainer(doc, length, wordLength)],
+      ['ladder-styled', () => this._ladderFromStyledWords(doc, length, wordLength)],
+      ['ladder-bordered', () => this._ladderFromBorderedWords(doc, length, wordLength)],
+      ['ladder-bold', () => this._ladderFromBoldWords(doc, length, wordLength)],
+    ];
+
+    for (const [name, strategy] of strategies) {
+      const ladder = strategy();
+      if (ladder) return { words: ladder, strategy: name };
+      failed.push(name);
+    }
+
+    const styledWords = this._collectWords(doc, '[class*="uppercase"], [class*="tracking"]', wordLength);
+    const words = styledWords.length > 0 ? styledWords : this._collectWords(doc, '[class*="border"]', wordLength);
+    return { words, strategy: null };
+  },
+
+  // Strategy A: Find a container whose children are the ladder's uppercase words
+  // (allowing a couple of extra children such as a heading)
+  _ladderFromContainer(doc, length = this.DEFAULT_LADDER_LENGTH, wordLength = null) {
     const allDivs = doc.querySelectorAll('div');
     for (const container of allDivs) {
       const children = container.children;
-      if (children.length >= 7 && children.length <= 9) {
+      if (children.length >= length && children.length <= length + 2) {
         const words = [];
         for (const child of children) {
           const text = child.textContent.trim().toUpperCase();
-          if (/^[A-Z]{3,7}$/.test(text)) {
+          if (/^[A-Z]{3,}$/.test(text) && this._fitsWordLength(text, wordLength)) {
             words.push(text);
           }
         }
-        if (words.length >= 7) {
-          // Try the first 7 words
-          if (this._isValidLadder(words.slice(0, 7))) return words.slice(0, 7);
-          // Try all 7-word windows
-          for (let i = 0; i <= words.length - 7; i++) {
-            if (this._isValidLadder(words.slice(i, i + 7))) return words.slice(i, i + 7);
-          }
+        if (words.length >= length) {
+          const ladder = this._firstValidWindow(words, length);
+          if (ladder) return ladder;
         }
       }
     }
+    return null;
+  },
 
-    // Strategy B: Find elements with Tailwind "uppercase" or "tracking" classes
-    // These mark the word ladder display on crossclimbanswer.io
-    const styledEls = doc.querySelectorAll('[class*="uppercase"], [class*="tracking"]');
-    const styledWords = [];
-    for (const el of styledEls) {
-      const text = el.textContent.trim().toUpperCase();
-      if (/^[A-Z]{3,7}$/.test(text) && !styledWords.includes(text)) {
-        styledWords.push(text);
-      }
-    }
+  // Strategy B: Find elements with Tailwind "uppercase" or "tracking" classes
+  // These mark the word ladder display on crossclimbanswer.io
+  _ladderFromStyledWords(doc, length = this.DEFAULT_LADDER_LENGTH, wordLength = null) {
+    const styledWords = this._collectWords(doc, '[class*="uppercase"], [class*="tracking"]', wordLength);
     console.log('[CrossclimbSolver] Styled words found:', styledWords.join(', '));
+    return this._firstValidWindow(styledWords, length);
+  },
 
-    // Try sliding window of 7 words
-    if (styledWords.length >= 7) {
-      for (let i = 0; i <= styledWords.length - 7; i++) {
-        const slice = styledWords.slice(i, i + 7);
-        if (this._isValidLadder(slice)) return slice;
-      }
-    }
+  // Strategy C: Look for divs with border classes containing words
+  _ladderFromBorderedWords(doc, length = this.DEFAULT_LADDER_LENGTH, wordLength = null) {
+    return this._firstValidWindow(this._collectWords(doc, '[class*="border"]', wordLength), length);
+  },
 
-    // Strategy C: Look for divs with border classes containing words
-    const ladderWords = [];
-    doc.querySelectorAll('[class*="border"]').forEach(el => {
-      const text = el.textContent.trim().toUpperCase();
-      if (/^[A-Z]{3,7}$/.test(text) && !ladderWords.includes(text)) {
-        ladderWords.push(text);
-      }
-    });
-    if (ladderWords.length >= 7) {
-      for (let i = 0; i <= ladderWords.length - 7; i++) {
-        const slice = ladderWords.slice(i, i + 7);
-        if (this._isValidLadder(slice)) return slice;
-      }
-    }
+  // Strategy D: Find all elements whose text is a single uppercase word
+  // (catches cases where class names don't contain "uppercase" after DOMParser)
+  _ladderFromBoldWords(doc, length = this.DEFAULT_LADDER_LENGTH, wordLength = null) {
+    return this._firstValidWindow(this._collectWords(doc, 'strong, b, [class*="bold"], [class*="font-bold"]', wordLength), length);
+  },
 
-    // Strategy D: Find all elements whose text is a single uppercase word
-    // (catches cases where class names don't contain "uppercase" after DOMParser)
-    const boldEls = doc.querySelectorAll('strong, b, [class*="bold"], [class*="font-bold"]');
-    const boldWords = [];
-    for (const el of boldEls) {
+  // Unique single-word texts of elements matching a selector, in document order,
+  // of wordLength letters when given
+  _collectWords(doc, selector, wordLength = null) {
+    const words = [];
+    for (const el of doc.querySelectorAll(selector)) {
       const text = el.textContent.trim().toUpperCase();
-      if (/^[A-Z]{3,7}$/.test(text) && !boldWords.includes(text)) {
-        boldWords.push(text);
+      if (/^[A-Z]{3,}$/.test(text) && this._fitsWordLength(text, wordLength) && !words.includes(text)) {
+        words.push(text);
       }
     }
-    if (boldWords.length >= 7) {
-      for (let i = 0; i <= boldWords.length - 7; i++) {
-        const slice = boldWords.slice(i, i + 7);
-        if (this._isValidLadder(slice)) return slice;
-      }
+    return words;
+  },
+
+  // Sliding window of `length` words; returns the first window that is a valid ladder
+  _firstValidWindow(words, length = this.DEFAULT_LADDER_LENGTH) {
+    for (let i = 0; i <= words.length - length; i++) {
+      const slice = words.slice(i, i + length);
+      if (this._isValidLadder(slice)) return slice;
     }
+    return null;
+  },
 
-    return styledWords.length > 0 ? styledWords : ladderWords;
+  _extractClueAnswerPairsFromHTML(doc, length = this.DEFAULT_LADDER_LENGTH) {
+    const pairs = this._cluesFromTable(doc);
+    if (pairs.length >= length - 2) return pairs;
+    return [...pairs, ...this._cluesFromStrongSiblings(doc)];
   },
 
-  _extractClueAnswerPairsFromHTML(doc) {
+  // Strategy A: Find table with Clue/Answer columns
+  _cluesFromTable(doc) {
     const pairs = [];
-
-    // Strategy A: Find table with Clue/Answer columns
     const tables = doc.querySelectorAll('table');
     for (const table of tables) {
       const rows = table.querySelectorAll('tr');
@@ -352,19 +517,22 @@ const AnswerParser = {
           const answerEl = cells[1].querySelector('strong') || cells[1];
           const answerText = answerEl.textContent.trim().toUpperCase();
 
-          if (clueText.length > 3 && /^[A-Z]{3,7}$/.test(answerText)) {
+          if (clueText.length > 3 && /^[A-Z]{3,}$/.test(answerText)) {
             pairs.push({ clue: clueText, answer: answerText });
           }
         }
       }
     }
-    if (pairs.length >= 5) return pairs;
+    return pairs;
+  },
 
-    // Strategy B: Find <strong> tags with uppercase words
+  // Strategy B: Find <strong> tags with uppercase words
+  _cluesFromStrongSiblings(doc) {
+    const pairs = [];
     const strongs = doc.querySelectorAll('strong');
     for (const strong of strongs) {
       const text = strong.textContent.trim().toUpperCase();
-      if (/^[A-Z]{3,7}$/.test(text)) {
+      if (/^[A-Z]{3,}$/.test(text)) {
         const parent = strong.closest('td, li, p, div');
         if (parent) {
           const prevSibling = parent.previousElementSibling;
@@ -377,14 +545,14 @@ const AnswerParser = {
         }
       }
     }
-
     return pairs;
   },
 
   // ----- TEXT SCAN -----
 
-  _extractWordLadderFromText(allText, knownStart = null, knownEnd = null) {
-    const allUpperWords = allText.match(/\b[A-Z]{3,7}\b/g) || [];
+  // wordLength, when the board is known, replaces the guess from the most common length
+  _extractWordLadderFromText(allText, knownStart = null, knownEnd = null, length = this.DEFAULT_LADDER_LENGTH, wordLength = null) {
+    const allUpperWords = allText.match(/\b[A-Z]{3,}\b/g) || [];
 
     const skipWords = new Set([
       'FAQ', 'CSS', 'SEO', 'URL', 'HTML', 'JSON', 'NEXT', 'GET', 'POST',
@@ -410,6 +578,7 @@ const AnswerParser = {
         bestLength = parseInt(len);
       }
     }
+    if (wordLength) bestLength = wordLength;
 
     if (!bestLength) return [];
 
@@ -422,32 +591,82 @@ const AnswerParser = {
       }
     }
 
-    return this._buildLadderFromCandidates(candidates, knownStart, knownEnd);
+    return this._buildLadderFromCandidates(candidates, knownStart, knownEnd, length);
   },
 
   // ----- LADDER CONSTRUCTION -----
 
-  _buildLadderFromCandidates(candidates, knownStart = null, knownEnd = null) {
-    if (candidates.length < 7) return candidates;
+  _buildLadderFromCandidates(candidates, knownStart = null, knownEnd = null, length = this.DEFAULT_LADDER_LENGTH) {
+    if (candidates.length < length) return candidates;
 
     if (knownStart && knownEnd) {
-      const path = this._findPath(knownStart, knownEnd, candidates);
-      if (path && path.length === 7) return path;
+      const path = this._findPath(knownStart, knownEnd, candidates, length);
+      if (path) return path;
     }
 
     for (let i = 0; i < Math.min(candidates.length, 20); i++) {
       for (let j = 0; j < Math.min(candidates.length, 20); j++) {
         if (i === j) continue;
-        const path = this._findPath(candidates[i], candidates[j], candidates);
-        if (path && path.length === 7) return path;
+        const path = this._findPath(candidates[i], candidates[j], candidates, length);
+        if (path) return path;
       }
     }
 
     return this._findLongestChain(candidates);
   },
 
-  // BFS to find a path of exactly 7 words from start to end
-  _findPath(start, end, wordPool) {
+  // Order the middle answers between the endpoints into a ladder of `length` words.
+  // Every valid ordering is enumerated, because two can both be one-letter chains
+  // and picking the wrong one drags rows into an order the game rejects. The
+  // orderings are ranked (see _rankOrderings); the best becomes `words` and the rest
+  // are returned as `alternatives` for the solver to fall back on.
+  // Returns { words, strategy, failed[], alternatives[] } with words null if none work.
+  _reconstruct(start, end, middleAnswers, length = middleAnswers.length + 2) {
+    const failed = [];
+    const orderings = this._allOrderings(start, end, middleAnswers).filter(o => o.length === length);
+    const path = this._findPath(start, end, [start, ...middleAnswers, end], length);
+    if (!path) failed.push('reconstruct-bfs');
+    if (orderings.length === 0) {
+      failed.push('reconstruct-brute-force');
+      return { words: null, strategy: null, failed, alternatives: [] };
+    }
+
+    const [words, ...alternatives] = this._rankOrderings(orderings, middleAnswers, path);
+    return {
+      words,
+      strategy: path ? 'reconstruct-bfs' : 'reconstruct-brute-force',
+      failed,
+      alternatives: alternatives.slice(0, this.MAX_ALTERNATIVES)
+    };
+  },
+
+  // Best first: answer sites usually list clues top to bottom, so orderings that keep
+  // the clue list's relative order rank higher; ties go to the BFS path, then to
+  // enumeration order
+  _rankOrderings(orderings, clueOrder, preferred = null) {
+    const position = new Map(clueOrder.map((answer, i) => [answer, i]));
+    const agreement = (ladder) => {
+      const middle = ladder.slice(1, -1);
+      let agreeing = 0;
+      for (let i = 0; i < middle.length; i++) {
+        for (let j = i + 1; j < middle.length; j++) {
+          if (position.get(middle[i]) < position.get(middle[j])) agreeing++;
+        }
+      }
+      return agreeing;
+    };
+    const isPreferred = (ladder) => !!preferred && ladder.join() === preferred.join();
+
+    return orderings
+      .map((ladder, index) => ({ ladder, index, score: agreement(ladder), preferred: isPreferred(ladder) }))
+      .sort((a, b) => b.score - a.score || b.preferred - a.preferred || a.index - b.index)
+      .map(o => o.ladder);
+  },
+
+  // BFS to find a path of exactly `length` words from start to end. Words are marked
+  // visited per depth: one reached by a short route may still be needed further on
+  // in a longer path (CARE→CART→DART→DARK, though CARE→DARE→DARK is shorter).
+  _findPath(start, end, wordPool, length = this.DEFAULT_LADDER_LENGTH) {
     if (!start || !end || start.length !== end.length) return null;
 
     const pool = new Set(wordPool.map(w => w.toUpperCase()));
@@ -458,19 +677,20 @@ const AnswerParser = {
     const endUpper = end.toUpperCase();
 
     const queue = [[startUpper]];
-    const visited = new Set([startUpper]);
+    const visited = new Set([`1:${startUpper}`]);
 
     while (queue.length > 0) {
       const path = queue.shift();
-      if (path.length > 7) continue;
+      if (path.length > length) continue;
 
       const last = path[path.length - 1];
-      if (last === endUpper && path.length === 7) return path;
-      if (path.length >= 7) continue;
+      if (last === endUpper && path.length === length) return path;
+      if (last === endUpper || path.length >= length) continue;
 
       for (const word of pool) {
-        if (!visited.has(word) && this._differsByOneLetter(last, word)) {
-          visited.add(word);
+        const key = `${path.length + 1}:${word}`;
+        if (!visited.has(key) && !path.includes(word) && this._differsByOneLetter(last, word)) {
+          visited.add(key);
           queue.push([...path, word]);
         }
       }
@@ -479,29 +699,32 @@ const AnswerParser = {
     return null;
   },
 
-  // Brute-force: try all permutations of middle answers to find valid ordering
-  _bruteForceOrder(start, end, middleAnswers) {
-    if (middleAnswers.length !== 5) return null;
+  // Every ordering of the middle answers that makes a valid ladder from start to end.
+  // Depth-first over the permutations, dropping a branch as soon as a step breaks.
+  _allOrderings(start, end, middleAnswers) {
+    if (middleAnswers.length === 0 || middleAnswers.length > this.MAX_BRUTE_FORCE_MIDDLE) return [];
 
-    // Try permutations (5! = 120, manageable)
-    const permute = (arr) => {
-      if (arr.length <= 1) return [arr];
-      const result = [];
-      for (let i = 0; i < arr.length; i++) {
-        const rest = [...arr.slice(0, i), ...arr.slice(i + 1)];
-        for (const perm of permute(rest)) {
-          result.push([arr[i], ...perm]);
-        }
+    const orderings = [];
+    const used = new Array(middleAnswers.length).fill(false);
+    const chain = [start];
+
+    const extend = () => {
+      const last = chain[chain.length - 1];
+      if (chain.length === middleAnswers.length + 1) {
+        if (this._differsByOneLetter(last, end)) orderings.push([...chain, end]);
+        return;
+      }
+      for (let i = 0; i < middleAnswers.length; i++) {
+        if (used[i] || !this._differsByOneLetter(last, middleAnswers[i])) continue;
+        used[i] = true;
+        chain.push(middleAnswers[i]);
+        extend();
+        chain.pop();
+        used[i] = false;
       }
-      return result;
     };
-
-    for (const perm of permute(middleAnswers)) {
-      const full = [start, ...perm, end];
-      if (this._isValidLadder(full)) return full;
-    }
-
-    return null;
+    extend();
+    return orderings;
   },
 
   _findLongestChain(words) {
@@ -525,12 +748,17 @@ const AnswerParser = {
   _reconstructLadder(middleAnswers, startWord, endWord) {
     if (!startWord || !endWord) return middleAnswers;
     const allWords = [startWord, ...middleAnswers, endWord];
-    const path = this._findPath(startWord, endWord, allWords);
+    const path = this._findPath(startWord, endWord, allWords, allWords.length);
     return path || allWords;
   },
 
   // ----- VALIDATION -----
 
+  // True when wordLength is unknown or the word has exactly that many letters
+  _fitsWordLength(word, wordLength = null) {
+    return !wordLength || word.length === wordLength;
+  },
+
   _isValidLadder(words) {
     if (words.length < 2) return false;
     for (let i = 0; i < words.length - 1; i++) {
@@ -568,7 +796,7 @@ const AnswerParser = {
           console.warn(`  Step ${i + 1}: "${wordLadder[i]}" → "${wordLadder[i + 1]}" (invalid)`);
         }
       }
-    } else if (wordLadder.length >= 7) {
+    } else if (wordLadder.length >= this.MIN_LADDER_LENGTH) {
       console.log('[CrossclimbSolver] Word ladder validation PASSED');
     }
 
@@ -579,12 +807,167 @@ const AnswerParser = {
     }
   },
 
+  // ----- STRATEGY TABLE -----
+  // Every independent extraction strategy by name, so each can be run on its own
+  // against a saved or live page. A layout change then shows up as a named
+  // strategy that stopped producing valid output, not just a worse final result.
+  // (BFS/brute-force ladder reconstruction is derived from these, so not listed.)
+
+  strategies() {
+    const endpoints = (found) => (found.startWord || found.endWord ? found : null);
+    return [
+      { name: 'clues-table', field: 'clueAnswerPairs', run: (ctx) => this._cluesFromTable(ctx.doc) },
+      { name: 'clues-strong-siblings', field: 'clueAnswerPairs', run: (ctx) => this._cluesFromStrongSiblings(ctx.doc) },
+      { name: 'clues-raw-html', field: 'clueAnswerPairs', run: (ctx) => this._extractClueAnswerPairsFromRawHTML(ctx.html, ctx.length) },
+      { name: 'clues-next-data', field: 'clueAnswerPairs', run: (ctx) => this._nextDataResult(ctx.doc)?.clueAnswerPairs || [] },
+      { name: 'ladder-container', field: 'wordLadder', run: (ctx) => this._ladderFromContainer(ctx.doc, ctx.length, ctx.wordLength) },
+      { name: 'ladder-styled', field: 'wordLadder', run: (ctx) => this._ladderFromStyledWords(ctx.doc, ctx.length, ctx.wordLength) },
+      { name: 'ladder-bordered', field: 'wordLadder', run: (ctx) => this._ladderFromBorderedWords(ctx.doc, ctx.length, ctx.wordLength) },
+      { name: 'ladder-bold', field: 'wordLadder', run: (ctx) => this._ladderFromBoldWords(ctx.doc, ctx.length, ctx.wordLength) },
+      { name: 'ladder-text-scan', field: 'wordLadder', run: (ctx) => this._extractWordLadderFromText(ctx.allText, null, null, ctx.length, ctx.wordLength) },
+      { name: 'endpoints-labels', field: 'endpoints', run: (ctx) => endpoints(this._endpointsFromLabels(ctx.doc)) },
+      { name: 'endpoints-text-labels', field: 'endpoints', run: (ctx) => endpoints(this._endpointsFromTextLabels(ctx.allText)) },
+      { name: 'endpoints-arrow', field: 'endpoints', run: (ctx) => endpoints(this._endpointsFromArrow(ctx.allText, ctx.html)) },
+      { name: 'endpoints-into', field: 'endpoints', run: (ctx) => endpoints(this._endpointsFromInto(ctx.allText)) },
+      { name: 'endpoints-bfs', field: 'endpoints', run: (ctx) => endpoints(this._endpointsFromBFS(ctx.allText, ctx.clueAnswerPairs, ctx.length)) },
+      { name: 'endpoints-raw-html', field: 'endpoints', run: (ctx) => endpoints(this._endpointsFromRawHTML(ctx.html)) },
+      { name: 'endpoints-next-data', field: 'endpoints', run: (ctx) => {
+        const found = this._nextDataResult(ctx.doc);
+        return found ? endpoints(found) : null;
+      } },
+    ];
+  },
+
+  // Run every strategy on its own and report what each produced.
+  // shape is the optional board { rows, wordLength }, as for parse().
+  // Returns [{ name, field, output, valid, error }]
+  runStrategies(html, shape = {}) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const ctx = { html, doc, allText: doc.body?.textContent || '', clueAnswerPairs: [], wordLength: shape.wordLength || null };
+    ctx.clueAnswerPairs = this._extractClueAnswerPairsFromHTML(doc, shape.rows)
+      .filter(p => this._fitsWordLength(p.answer, ctx.wordLength));
+    ctx.length = this.ladderLength(shape, ctx.clueAnswerPairs);
+
+    return this.strategies().map(({ name, field, run }) => {
+      try {
+        let output = run(ctx);
+        // As in parse(), answers that don't fit the board are dropped, not fatal
+        if (field === 'clueAnswerPairs' && output) {
+          output = output.filter(p => this._fitsWordLength(p.answer, ctx.wordLength));
+        }
+        const valid = this._isValidStrategyOutput(field, output, ctx.length, ctx.wordLength);
+        return { name, field, output, valid, error: null };
+      } catch (error) {
+        return { name, field, output: null, valid: false, error: error.message };
+      }
+    });
+  },
+
+  // With wordLength, a ladder or endpoints of another word length is not valid either
+  _isValidStrategyOutput(field, output, length = this.DEFAULT_LADDER_LENGTH, wordLength = null) {
+    if (!output) return false;
+    const fit = (words) => words.every(w => this._fitsWordLength(w, wordLength));
+    switch (field) {
+      case 'clueAnswerPairs':
+        return output.length >= length - 2 && new Set(output.map(p => p.answer.length)).size === 1;
+      case 'wordLadder':
+        return output.length >= length && this._isValidLadder(output) && fit(output);
+      case 'endpoints':
+        return !!(output.startWord && output.endWord) && output.startWord.length === output.endWord.length &&
+          fit([output.startWord, output.endWord]);
+      default:
+        return false;
+    }
+  },
+
+  // ----- PAGE STRUCTURE -----
+  // Layout features the strategies rely on. The source health check (CHECK_SOURCES)
+  // records them per answer page so a site redesign shows up as a named change.
+
+  STRUCTURE_MARKERS: {
+    topBottomLabels: 'Top/Bottom <p> labels',
+    clueTable: 'clue/answer table',
+    styledWords: 'uppercase/tracking ladder words',
+    nextData: '__NEXT_DATA__ script'
+  },
+
+  // The layout the strategies were written against; a missing marker here is
+  // reported even without an earlier check to compare with
+  EXPECTED_STRUCTURE: { topBottomLabels: true, clueTable: true, styledWords: true },
+
+  // { marker: boolean } for every STRUCTURE_MARKERS key
+  pageStructure(doc) {
+    const labels = [...doc.querySelectorAll('p')].map(p => p.textContent.trim().toLowerCase());
+    return {
+      topBottomLabels: labels.includes('top') && labels.includes('bottom'),
+      clueTable: this._cluesFromTable(doc).length > 0,
+      styledWords: this._collectWords(doc, '[class*="uppercase"], [class*="tracking"]').length > 0,
+      nextData: !!doc.querySelector('script#__NEXT_DATA__')
+    };
+  },
+
+  // Human-readable differences from the previous check's structure (or, without
+  // one, the expected markers that are missing)
+  describeStructureChanges(structure, previous = null) {
+    const changes = [];
+    for (const [key, label] of Object.entries(this.STRUCTURE_MARKERS)) {
+      if (previous && key in previous) {
+        if (previous[key] && !structure[key]) changes.push(`${label} disappeared`);
+        if (!previous[key] && structure[key]) changes.push(`${label} appeared`);
+      } else if (this.EXPECTED_STRUCTURE[key] && !structure[key]) {
+        changes.push(`${label} missing`);
+      }
+    }
+    return changes;
+  },
+
+  // Health-check one answer page: each strategy on its own (outputs dropped), the
+  // page structure and its changes since `previous`, and the full parse's verdict.
+  // Returns { strategies: [{ name, field, valid, error }], structure, changes[],
+  //           parse: { ok, ladder, ladderStrategy, confidence } }
+  checkPage(html, previous = null) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const structure = this.pageStructure(doc);
+    const parsed = this.parse(html);
+    return {
+      strategies: this.runStrategies(html).map(({ name, field, valid, error }) => ({ name, field, valid, error })),
+      structure,
+      changes: this.describeStructureChanges(structure, previous),
+      parse: {
+        ok: parsed.wordLadder.length >= this.MIN_LADDER_LENGTH && this._isValidLadder(parsed.wordLadder),
+        ladder: parsed.wordLadder,
+        ladderStrategy: parsed.provenance.wordLadder,
+        confidence: parsed.confidence
+      }
+    };
+  },
+
+  // __NEXT_DATA__ parsed into { clueAnswerPairs, startWord, endWord }, or null if absent
+  _nextDataResult(doc) {
+    const nextData = this._extractNextData(doc);
+    if (!nextData) return null;
+    const found = { clueAnswerPairs: [], startWord: null, endWord: null, failedStrategies: [], provenance: { clueAnswerPairs: [] } };
+    this._parseFromNextData(nextData, found);
+    return found;
+  },
+
   // ----- PUBLIC HELPERS -----
 
-  getMiddleAnswersOrdered(result) {
-    if (result.wordLadder.length >= 7) {
-      return result.wordLadder.slice(1, 6);
+  // The middle-row answers in ladder order. With the board's shape, a ladder of a
+  // different length (e.g. parsed before the board was on screen) is rebuilt from
+  // the endpoints and clue answers to fit the board.
+  getMiddleAnswersOrdered(result, shape = {}) {
+    const { wordLadder, startWord, endWord } = result;
+    const answers = [...new Set(result.clueAnswerPairs.map(p => p.answer))];
+    const fitsBoard = !shape.rows || wordLadder.length === shape.rows;
+
+    if (wordLadder.length >= this.MIN_LADDER_LENGTH && fitsBoard) {
+      return wordLadder.slice(1, -1);
+    }
+    if (shape.rows && startWord && endWord && answers.length === shape.rows - 2) {
+      const rebuilt = this._reconstruct(startWord, endWord, answers, shape.rows);
+      if (rebuilt.words) return rebuilt.words.slice(1, -1);
     }
-    return this._findLongestChain(result.clueAnswerPairs.map(p => p.answer));
+    return this._findLongestChain(answers);
   }
 };
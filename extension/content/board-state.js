@@ -0,0 +1,369 @@
+// Copyright 2025 mcarthey
+// SPDX-License-Identifier: Apache-2.0
+//
+// CrossclimbSolver - Board State
+// The one place that reads LinkedIn's Crossclimb board. find() locates the board
+// elements, snapshot() turns them into plain typed state, and observe() watches
+// .crossclimb__grid with a MutationObserver and tells listeners what changed.
+// waitFor() turns those changes into condition waits for the solve flow.
+// The solver, overlay and inspector all read the board through here.
+//
+// A snapshot is { found, shape, rows, middleOrder, focusedRow, clue, takenAt }:
+//   shape       { rows, wordLength } (see find)
+//   rows        [{ position, kind, element, letters, word, filled, locked, focused, correct, y }]
+//               in visual order, top to bottom. kind is 'middle' or 'endpoint';
+//               letters has one entry per box ('' when empty); correct is true/false
+//               when the game marks the row right/wrong, else null
+//   middleOrder the middle rows' words, top to bottom
+//   focusedRow  position of the focused row, or null
+//   clue        the clue the game is showing, or null
+// Rows are sorted by y because the game moves rows with CSS transforms, so DOM
+// order is not ladder order.
+
+const BoardState = {
+  // Class fragments the game uses for right/wrong feedback on a row or its boxes
+  CORRECT_MARKERS: ['--correct', '--solved', '--success'],
+  INCORRECT_MARKERS: ['--incorrect', '--wrong', '--error', '--invalid'],
+
+  // Mutations that arrive within this window are reported as one change
+  SETTLE_MS: 50,
+
+  _observer: null,
+  _grid: null,
+  _eventDoc: null,
+  _onEvent: null,
+  _timer: null,
+  _last: null,
+  _listeners: new Set(),
+
+  // ----- DISCOVERY -----
+
+  // The board's elements { gridContainer, wrapper, clueSection, lockedRows, middleRows,
+  // allGuesses, shape, doc }, or null when no board is on screen. Looks inside
+  // same-origin iframes too. shape.rows counts the whole ladder (every middle row
+  // plus the two locked endpoints).
+  find(root = document) {
+    // Find the grid container
+    const gridContainer = root.querySelector('.crossclimb__grid') ||
+                          root.querySelector('[class*="crossclimb__grid"]');
+    if (!gridContainer) {
+      // Try in accessible iframes
+      const iframes = root.querySelectorAll('iframe');
+      for (const iframe of iframes) {
+        try {
+          const iframeDoc = iframe.contentDocument || iframe.contentWindow?.document;
+          if (!iframeDoc) continue;
+          const result = this.find(iframeDoc);
+          if (result) return result;
+        } catch { /* cross-origin */ }
+      }
+      return null;
+    }
+
+    const allGuesses = gridContainer.querySelectorAll('.crossclimb__guess, [class*="crossclimb__guess"]');
+    const { lockedRows, middleRows } = this._classifyRows(gridContainer, allGuesses);
+    if (middleRows.length === 0) return null;
+
+    // Find the clue section
+    const clueSection = root.querySelector('.crossclimb__clue-section') ||
+                        root.querySelector('[class*="crossclimb__clue"]');
+
+    // Find the wrapper
+    const wrapper = root.querySelector('.crossclimb__wrapper') ||
+                    gridContainer.parentElement;
+
+    // Letters per row: the most common box count (a row mid-render can be short)
+    const boxCounts = middleRows.map(row => row.querySelectorAll('.crossclimb__guess_box').length);
+    const wordLength = boxCounts.reduce((best, n) =>
+      boxCounts.filter(c => c === n).length > boxCounts.filter(c => c === best).length ? n : best, boxCounts[0]);
+
+    return {
+      gridContainer,
+      wrapper,
+      clueSection,
+      lockedRows,
+      middleRows,
+      allGuesses: [...allGuesses],
+      shape: { rows: middleRows.length + 2, wordLength },
+      doc: root,
+    };
+  },
+
+  _classifyRows(gridContainer, allGuesses) {
+    const lockedRows = [];
+    const middleRows = [];
+
+    for (const guess of allGuesses) {
+      const className = guess.className || '';
+      if (className.includes('crossclimb__guess--lock')) {
+        lockedRows.push(guess);
+      } else if (className.includes('crossclimb__guess--middle')) {
+        middleRows.push(guess);
+      }
+    }
+
+    // Also check inside the ordered list container
+    if (middleRows.length === 0) {
+      const container = gridContainer.querySelector('.crossclimb__guess__container, ol');
+      if (container) {
+        for (const child of container.children) {
+          const className = child.className || '';
+          if (className.includes('crossclimb__guess')) {
+            if (className.includes('--lock')) {
+              lockedRows.push(child);
+            } else {
+              middleRows.push(child);
+            }
+          }
+        }
+      }
+    }
+
+    return { lockedRows, middleRows };
+  },
+
+  // ----- SNAPSHOTS -----
+
+  // Typed state of the board (see the header). Rows are re-read from the grid on
+  // every call, so an old board object still gives current rows after a re-render.
+  snapshot(board = this.find()) {
+    if (!board) {
+      return { found: false, shape: null, rows: [], middleOrder: [], focusedRow: null, clue: null, takenAt: Date.now() };
+    }
+
+    const { elements, middle } = this._rowElements(board.gridContainer);
+    const rows = elements
+      .map(element => this.readRow(element, middle.has(element)))
+      .sort((a, b) => a.y - b.y)
+      .map((row, position) => ({ position, ...row }));
+    const focused = rows.find(r => r.focused);
+
+    return {
+      found: true,
+      shape: board.shape,
+      rows,
+      middleOrder: rows.filter(r => r.kind === 'middle').map(r => r.word),
+      focusedRow: focused ? focused.position : null,
+      clue: this.readClue(board.gridContainer),
+      takenAt: Date.now()
+    };
+  },
+
+  // Every row element (an unlocked endpoint may have lost its --lock class), and
+  // which of them are middle rows
+  _rowElements(gridContainer) {
+    const allGuesses = gridContainer.querySelectorAll('.crossclimb__guess, [class*="crossclimb__guess"]');
+    const { lockedRows, middleRows } = this._classifyRows(gridContainer, allGuesses);
+    const elements = new Set([...gridContainer.querySelectorAll('.crossclimb__guess'), ...lockedRows, ...middleRows]);
+    return { elements: [...elements], middle: new Set(middleRows) };
+  },
+
+  // State of one row element (a snapshot row without its position)
+  readRow(element, middle = (element.className?.toString() || '').includes('crossclimb__guess--middle')) {
+    const boxes = [...element.querySelectorAll('.crossclimb__guess_box')];
+    const inputs = boxes.map(box => box.querySelector('input'));
+    const letters = boxes.map((box, i) => {
+      const char = (inputs[i] ? inputs[i].value : box.textContent).trim().toUpperCase();
+      return /^[A-Z]$/.test(char) ? char : '';
+    });
+
+    return {
+      kind: middle ? 'middle' : 'endpoint',
+      element,
+      letters,
+      word: letters.join(''),
+      filled: letters.length > 0 && letters.every(Boolean),
+      // Endpoint rows have no letter inputs until the middle order is accepted
+      locked: !inputs.some(Boolean),
+      // The exact class: a bare 'active' also matches e.g. '--inactive'
+      focused: element.classList.contains('crossclimb__guess--new-focus') ||
+               element.contains(element.ownerDocument.activeElement),
+      correct: this._correctness(element, boxes),
+      y: Math.round(element.getBoundingClientRect().top)
+    };
+  },
+
+  _correctness(element, boxes) {
+    const classes = [element, ...boxes].map(el => el.className?.toString() || '').join(' ');
+    if (this.INCORRECT_MARKERS.some(m => classes.includes(m)) ||
+        element.querySelector('[aria-invalid="true"]')) {
+      return false;
+    }
+    return this.CORRECT_MARKERS.some(m => classes.includes(m)) ? true : null;
+  },
+
+  // The clue the game is showing (one at a time, for the focused row), or null
+  readClue(gridContainer) {
+    // Search upward from grid to find the clue section
+    const searchRoots = [
+      gridContainer,
+      gridContainer.parentElement,
+      gridContainer.closest('.crossclimb__wrapper'),
+      gridContainer.closest('.crossclimb__container'),
+      gridContainer.closest('[class*="crossclimb"]'),
+      gridContainer.ownerDocument,
+    ].filter(Boolean);
+
+    for (const root of searchRoots) {
+      const clueEl = root.querySelector('.crossclimb__clue');
+      if (clueEl) {
+        const text = clueEl.textContent.trim();
+        if (text.length > 0) return text;
+      }
+
+      // Also try broader selectors
+      const clueSections = root.querySelectorAll('[class*="crossclimb__clue"]');
+      for (const section of clueSections) {
+        const text = section.textContent.trim();
+        // Skip very short or very long text (not a clue)
+        if (text.length > 5 && text.length < 200) return text;
+      }
+    }
+
+    return null;
+  },
+
+  // The snapshot without element references, for logs, reports and messages
+  toPlain(snapshot) {
+    return { ...snapshot, rows: snapshot.rows.map(({ element, ...row }) => row) };
+  },
+
+  // What differs between two snapshots: any of 'board', 'order', 'letters', 'lock',
+  // 'correctness', 'focus', 'clue'. [] when nothing changed.
+  diff(previous, next) {
+    if (!previous || previous.found !== next.found) {
+      return next.found || previous ? ['board'] : [];
+    }
+
+    const before = new Map(previous.rows.map(r => [r.element, r]));
+    const changed = (field) => next.rows.some(r => before.get(r.element)?.[field] !== r[field]);
+    const changes = [];
+    if (next.rows.length !== previous.rows.length || changed('position')) changes.push('order');
+    if (changed('word')) changes.push('letters');
+    if (changed('locked')) changes.push('lock');
+    if (changed('correct')) changes.push('correctness');
+    if (next.focusedRow !== previous.focusedRow) changes.push('focus');
+    if (next.clue !== previous.clue) changes.push('clue');
+    return changes;
+  },
+
+  // ----- WAITING -----
+
+  // Wait until predicate(snapshot) holds and the board has not changed for `settle`
+  // ms. Re-checked on every mutation under the board, with polling as a backstop.
+  // Resolves with that snapshot, or null on timeout (callers decide whether the
+  // missing signal matters).
+  waitFor(predicate, { board = this.find(), timeout = 2000, settle = 0 } = {}) {
+    let snapshot = null;
+    let stableSince = 0;
+    const condition = () => {
+      const next = this.snapshot(board);
+      if (!snapshot || this.diff(snapshot, next).length > 0) stableSince = Date.now();
+      snapshot = next;
+      return predicate(next) && Date.now() - stableSince >= settle;
+    };
+
+    return CrossclimbDOM.waitForCondition(condition, {
+      timeout,
+      pollInterval: settle > 0 ? Math.min(100, settle) : 100,
+      observe: board?.wrapper || board?.gridContainer || null
+    }).then(() => snapshot, () => null);
+  },
+
+  // The snapshot row for a row element, or null if it left the board
+  rowOf(snapshot, element) {
+    return snapshot.rows.find(r => r.element === element) || null;
+  },
+
+  // ----- OBSERVATION -----
+
+  // Start watching the board. Until the grid is rendered the page body is watched
+  // for it; from then on only the grid, plus the child lists of its ancestors to
+  // notice the game replacing it. Safe to call more than once.
+  observe() {
+    if (this._observer) return;
+    this._observer = new MutationObserver(() => this._schedule());
+    // Typing sets input.value, which is not a mutation
+    this._onEvent = (event) => {
+      if (this._grid?.contains(event.target)) this._schedule();
+    };
+    this._attach();
+    this._emit();
+  },
+
+  disconnect() {
+    this._observer?.disconnect();
+    this._observer = null;
+    this._listenTo(null);
+    clearTimeout(this._timer);
+    this._grid = null;
+    this._last = null;
+  },
+
+  // Call listener(snapshot, previous, changes) after each settled change to the
+  // board. Returns an unsubscribe function.
+  onChange(listener) {
+    this._listeners.add(listener);
+    return () => this._listeners.delete(listener);
+  },
+
+  // The latest observed snapshot, or a fresh one when not observing
+  current() {
+    return this._observer && this._last ? this._last : this.snapshot();
+  },
+
+  _attach() {
+    const board = this.find();
+    const grid = board?.gridContainer || null;
+    if (grid === this._grid) return board;
+
+    this._grid = grid;
+    this._observer.disconnect();
+    if (!grid) {
+      this._observer.observe(document.body || document, { childList: true, subtree: true });
+      this._listenTo(null);
+      return board;
+    }
+    this._observer.observe(grid, {
+      childList: true, subtree: true, characterData: true,
+      attributes: true, attributeFilter: ['class', 'style', 'value', 'aria-invalid']
+    });
+    // Only direct children: detaching the grid or any ancestor shows up here
+    for (let node = grid.parentNode; node; node = node.parentNode) {
+      this._observer.observe(node, { childList: true });
+    }
+    this._listenTo(grid.ownerDocument);
+    return board;
+  },
+
+  _listenTo(doc) {
+    if (doc === this._eventDoc) return;
+    for (const type of ['input', 'focusin']) {
+      this._eventDoc?.removeEventListener(type, this._onEvent, true);
+      doc?.addEventListener(type, this._onEvent, true);
+    }
+    this._eventDoc = doc;
+  },
+
+  _schedule() {
+    clearTimeout(this._timer);
+    this._timer = setTimeout(() => this._emit(), this.SETTLE_MS);
+  },
+
+  _emit() {
+    if (!this._observer) return;
+    const snapshot = this.snapshot(this._attach());
+    const previous = this._last;
+    const changes = this.diff(previous, snapshot);
+    if (changes.length === 0) return;
+
+    this._last = snapshot;
+    for (const listener of this._listeners) {
+      try {
+        listener(snapshot, previous, changes);
+      } catch (e) {
+        console.warn('[CrossclimbSolver] Board listener failed:', e);
+      }
+    }
+  }
+};
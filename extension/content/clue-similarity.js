@@ -0,0 +1,140 @@
+// Copyright 2025 mcarthey
+// SPDX-License-Identifier: Apache-2.0
+//
+// CrossclimbSolver - Clue Similarity
+// Scores how likely two clue texts are the same clue worded slightly differently
+// (LinkedIn's board vs the answer site). Combines content-word overlap after
+// stop-word removal and light stemming, character trigram overlap, and edit
+// distance into one score in [0, 1].
+
+const ClueSimilarity = {
+  // Weights of the blended score (sum to 1)
+  WEIGHTS: { words: 0.5, trigrams: 0.3, edit: 0.2 },
+
+  STOP_WORDS: new Set([
+    'a', 'an', 'the', 'and', 'or', 'of', 'to', 'in', 'on', 'at', 'for', 'by',
+    'with', 'from', 'as', 'is', 'it', 'its', 'be', 'are', 'was', 'that', 'this',
+    'when', 'while', 'where', 'which', 'who',
+    'one', 'some', 'something', 'someone', 'kind', 'type', 'sort', 'e', 'g', 'eg'
+  ]),
+
+  // Similarity in [0, 1]: 1 for the same clue, 0.9 when one clue's content words
+  // contain the other's, otherwise the weighted blend of the three measures
+  score(a, b) {
+    const tokensA = this.tokens(a);
+    const tokensB = this.tokens(b);
+    if (tokensA.length === 0 || tokensB.length === 0) return 0;
+
+    const joinedA = tokensA.join(' ');
+    const joinedB = tokensB.join(' ');
+    if (joinedA === joinedB) return 1;
+    if (this._containsSequence(tokensA, tokensB) || this._containsSequence(tokensB, tokensA)) return 0.9;
+
+    const blended =
+      this.WEIGHTS.words * this.wordOverlap(tokensA, tokensB) +
+      this.WEIGHTS.trigrams * this.trigramSimilarity(joinedA, joinedB) +
+      this.WEIGHTS.edit * this.editSimilarity(joinedA, joinedB);
+
+    return Math.min(0.89, blended);
+  },
+
+  // Lowercased, punctuation-free, stop-word-free, stemmed content words
+  tokens(text) {
+    return (text || '')
+      .toLowerCase()
+      .replace(/[’']/g, '')
+      .replace(/[^a-z0-9\s]/g, ' ')
+      .split(/\s+/)
+      .filter(w => w && !this.STOP_WORDS.has(w))
+      .map(w => this.stem(w));
+  },
+
+  // Light suffix stripping: enough to equate "runs"/"running", "berries"/"berry"
+  // and "painted"/"paint". Not a full Porter stemmer on purpose —
+  // over-stemming short clue words causes more false matches than it fixes.
+  stem(word) {
+    if (word.length <= 3) return word;
+
+    let w = word;
+    if (w.endsWith('ies') && w.length > 4) {
+      w = w.slice(0, -3) + 'y';
+    } else if (w.endsWith('ing') && w.length > 5) {
+      w = w.slice(0, -3);
+    } else if (w.endsWith('ed') && w.length > 4) {
+      w = w.slice(0, -2);
+    } else if (w.endsWith('es') && /(?:ch|sh|ss|x|z)es$/.test(w)) {
+      w = w.slice(0, -2);
+    } else if (w.endsWith('s') && !w.endsWith('ss') && !w.endsWith('us')) {
+      w = w.slice(0, -1);
+    } else if (w.endsWith('ly') && w.length > 4) {
+      w = w.slice(0, -2);
+    }
+
+    // "running" -> "runn" -> "run"
+    if (/([b-df-hj-np-tv-z])\1$/.test(w) && !/(?:ll|ss|zz)$/.test(w)) {
+      w = w.slice(0, -1);
+    }
+    return w;
+  },
+
+  // Jaccard overlap of content-word sets
+  wordOverlap(tokensA, tokensB) {
+    const setA = new Set(tokensA);
+    const setB = new Set(tokensB);
+    const intersection = [...setA].filter(w => setB.has(w)).length;
+    const union = new Set([...setA, ...setB]).size;
+    return union === 0 ? 0 : intersection / union;
+  },
+
+  // Dice coefficient of character trigrams (padded so short words still count)
+  trigramSimilarity(a, b) {
+    const gramsA = this._trigrams(a);
+    const gramsB = this._trigrams(b);
+    if (gramsA.size === 0 || gramsB.size === 0) return 0;
+    let shared = 0;
+    for (const g of gramsA) {
+      if (gramsB.has(g)) shared++;
+    }
+    return (2 * shared) / (gramsA.size + gramsB.size);
+  },
+
+  // 1 - (Levenshtein distance / longer length)
+  editSimilarity(a, b) {
+    const longer = Math.max(a.length, b.length);
+    if (longer === 0) return 1;
+    return 1 - this.editDistance(a, b) / longer;
+  },
+
+  editDistance(a, b) {
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const curr = [i];
+      for (let j = 1; j <= b.length; j++) {
+        const substitution = prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+        curr.push(Math.min(prev[j] + 1, curr[j - 1] + 1, substitution));
+      }
+      prev = curr;
+    }
+    return prev[b.length];
+  },
+
+  _trigrams(text) {
+    const grams = new Set();
+    for (const word of text.split(' ')) {
+      const padded = `  ${word} `;
+      for (let i = 0; i <= padded.length - 3; i++) {
+        grams.add(padded.slice(i, i + 3));
+      }
+    }
+    return grams;
+  },
+
+  // True when `needle` appears as a contiguous run inside `haystack`
+  _containsSequence(haystack, needle) {
+    if (needle.length > haystack.length) return false;
+    for (let i = 0; i <= haystack.length - needle.length; i++) {
+      if (needle.every((w, k) => haystack[i + k] === w)) return true;
+    }
+    return false;
+  }
+};
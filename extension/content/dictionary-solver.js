@@ -0,0 +1,393 @@
+// Copyright 2025 mcarthey
+// SPDX-License-Identifier: Apache-2.0
+//
+// CrossclimbSolver - Dictionary Solver (answer-free mode)
+// Derives the middle of the word ladder from the board's own clues and a bundled
+// word list (data/words.txt: SCOWL levels 10-35, every word of 3+ letters, see
+// data/words-COPYRIGHT.txt).
+// Used when no answer source has published the puzzle yet.
+//
+// Without a semantic model most clues can't be resolved, so chains are built around
+// the clues that CAN be (anagrams, reversals, plurals...) with AnswerParser's
+// ladder search. When several chains fit, they are ranked by how strongly each
+// row's clue points at its word (see _clueAffinity); a tie is reported as
+// ambiguous instead of guessing.
+
+const DictionarySolver = {
+  WORD_LIST_PATH: 'data/words.txt',
+  // Upper bounds for the chain search and the row assignments; hitting any is
+  // reported as ambiguous
+  MAX_CHAINS: 50,
+  MAX_VISITS: 200000,
+  MAX_ASSIGNMENTS: 20000,
+
+  _wordsByLength: null,
+  _loadPromise: null,
+
+  // Load the bundled word list once per page
+  load() {
+    if (this._wordsByLength) return Promise.resolve(this._wordsByLength);
+    if (this._loadPromise) return this._loadPromise;
+
+    this._loadPromise = fetch(chrome.runtime.getURL(this.WORD_LIST_PATH))
+      .then(response => {
+        if (!response.ok) throw new Error(`Word list fetch failed: ${response.status}`);
+        return response.text();
+      })
+      .then(text => {
+        const byLength = {};
+        for (const line of text.split('\n')) {
+          const word = line.trim().toUpperCase();
+          if (!/^[A-Z]+$/.test(word)) continue;
+          (byLength[word.length] = byLength[word.length] || new Set()).add(word);
+        }
+        this._wordsByLength = byLength;
+        return byLength;
+      })
+      .catch(error => {
+        this._loadPromise = null;
+        throw error;
+      });
+
+    return this._loadPromise;
+  },
+
+  // Derive a middle ladder from the board's clues.
+  //   rowClues:   [{ index, clue }] as read from the board
+  //   wordLength: letters per row (count of .crossclimb__guess_box in a row)
+  // Returns { ok, chain, rowWords, constrainedRows, chainCount, alternatives, reason }
+  async derive(rowClues, wordLength, log = () => {}) {
+    const byLength = await this.load();
+    const dictionary = byLength[wordLength];
+    if (!dictionary || dictionary.size === 0) {
+      return { ok: false, reason: `No ${wordLength}-letter words in the bundled dictionary` };
+    }
+
+    // Per-row candidate sets; null means "any dictionary word"
+    const clueWords = new Set();
+    const rowCandidates = rowClues.map(({ clue }) => {
+      for (const token of (clue || '').toUpperCase().match(/[A-Z]+/g) || []) clueWords.add(token);
+      const hinted = this._candidatesFromClue(clue, dictionary);
+      return hinted.length > 0 ? new Set(hinted) : null;
+    });
+
+    rowCandidates.forEach((set, i) => {
+      log(`  Row ${rowClues[i].index + 1}: ${set ? [...set].join('/') : 'no dictionary hint'}`);
+    });
+
+    const constrainedRows = rowCandidates.filter(Boolean).length;
+    if (constrainedRows === 0) {
+      return { ok: false, constrainedRows, reason: 'No clue could be resolved from the dictionary alone' };
+    }
+
+    // A word that appears verbatim in a clue is almost never that puzzle's answer
+    const pool = [...dictionary].filter(w => !clueWords.has(w) || rowCandidates.some(s => s?.has(w)));
+
+    const { chains, exhausted } = this._enumerateChains(pool, rowCandidates, rowClues.length);
+    log(`  Dictionary chains found: ${chains.length}${exhausted ? ' (search limit reached)' : ''}`);
+
+    if (chains.length === 0) {
+      return { ok: false, constrainedRows, chainCount: 0, reason: 'No one-letter-change chain fits the resolved clues' };
+    }
+    if (exhausted) {
+      return {
+        ok: false,
+        constrainedRows,
+        chainCount: chains.length,
+        alternatives: chains.slice(0, 5),
+        reason: `At least ${chains.length} chains fit the resolved clues`
+      };
+    }
+
+    const ranking = this._rankAssignments(chains, rowClues, rowCandidates);
+    if (ranking.exhausted) {
+      return {
+        ok: false,
+        constrainedRows,
+        chainCount: chains.length,
+        alternatives: chains.slice(0, 5),
+        reason: 'Too many ways to give the rows their words'
+      };
+    }
+
+    const [best] = ranking.ranked;
+    const alternatives = [...new Set(ranking.ranked.map(r => r.chain))].filter(c => c !== best.chain).slice(0, 4);
+
+    const tied = ranking.ranked.filter(r => best.score - r.score < 1e-9);
+    if (tied.length > 1) {
+      const tiedChains = new Set(tied.map(r => r.chain));
+      return {
+        ok: false,
+        constrainedRows,
+        chainCount: chains.length,
+        alternatives: [best.chain, ...alternatives],
+        reason: tiedChains.size > 1
+          ? `${tiedChains.size} chains fit the resolved clues equally well`
+          : `Ladder found but ${rowClues.length - constrainedRows} rows have no clue support to tell their words apart`
+      };
+    }
+
+    if (!AnswerParser._isValidLadder(best.chain)) {
+      return { ok: false, constrainedRows, reason: 'Derived chain failed ladder validation' };
+    }
+    if (chains.length > 1) {
+      log(`  Picked the best clue-supported of ${chains.length} chains (score ${best.score.toFixed(2)})`);
+    }
+    return { ok: true, chain: best.chain, rowWords: best.rowWords, constrainedRows, chainCount: chains.length, alternatives };
+  },
+
+  // Build a puzzleData object from a derived chain, using the board's own clue text
+  // so the solver's clue matching is exact. Endpoints stay unknown in this mode.
+  toPuzzleData(rowClues, derived) {
+    return PuzzleSchema.create({
+      wordLadder: [...derived.chain],
+      clueAnswerPairs: rowClues
+        .map((rc, i) => ({ clue: rc.clue || '', answer: derived.rowWords[i] }))
+        .filter(p => p.clue && p.answer),
+      source: 'dictionary'
+    });
+  },
+
+  // ----- CLUE HINTS -----
+  // Only wordplay that can be resolved mechanically; everything else yields [].
+
+  _candidatesFromClue(clue, dictionary) {
+    if (!clue) return [];
+    const text = clue.trim();
+    const found = new Set();
+    const keep = (w) => { if (dictionary.has(w)) found.add(w); };
+
+    // "Anagram of STAR" / "STAR, rearranged" / "Scrambled STAR"
+    const anagram = text.match(/anagram of\s+"?([a-z]+)"?/i) ||
+                    text.match(/"?([a-z]+)"?,?\s+(?:rearranged|scrambled|jumbled)/i) ||
+                    text.match(/(?:rearranged|scrambled|jumbled)\s+"?([a-z]+)"?/i);
+    if (anagram) {
+      const sorted = this._sortLetters(anagram[1]);
+      for (const w of dictionary) {
+        if (w !== anagram[1].toUpperCase() && this._sortLetters(w) === sorted) found.add(w);
+      }
+    }
+
+    // "STAR backwards" / "STAR reversed" / "Reverse of STAR"
+    const reversal = text.match(/"?([a-z]+)"?,?\s+(?:spelled\s+|written\s+)?(?:backwards?|reversed)/i) ||
+                     text.match(/reverse of\s+"?([a-z]+)"?/i);
+    if (reversal) keep(reversal[1].toUpperCase().split('').reverse().join(''));
+
+    // "Plural of GOOSE" (regular forms only)
+    const plural = text.match(/plural of\s+"?([a-z]+)"?/i);
+    if (plural) {
+      const base = plural[1].toUpperCase();
+      keep(base + 'S');
+      keep(base + 'ES');
+      if (base.endsWith('Y')) keep(base.slice(0, -1) + 'IES');
+    }
+
+    // "Past tense of WALK" (regular forms only)
+    const past = text.match(/past tense of\s+"?([a-z]+)"?/i);
+    if (past) {
+      const base = past[1].toUpperCase();
+      keep(base + 'ED');
+      keep(base + 'D');
+    }
+
+    return [...found];
+  },
+
+  _sortLetters(word) {
+    return word.toUpperCase().split('').sort().join('');
+  },
+
+  // ----- CHAIN SEARCH -----
+
+  // Enumerate simple one-letter-change chains of `length` words in which every
+  // constrained row can be given a distinct chain word from its candidate set.
+  // With two constrained rows, each chain is seeded by the path
+  // AnswerParser._findPath finds between a candidate of each (see _pairSeeds);
+  // with one, by that row's candidates alone. Seeds are then grown outward.
+  _enumerateChains(pool, rowCandidates, length) {
+    const neighbors = this._buildGraph(pool);
+    const [first, second] = rowCandidates
+      .filter(Boolean)
+      .sort((a, b) => a.size - b.size);
+
+    const chains = [];
+    const seen = new Set();
+    let visits = 0;
+    let exhausted = false;
+
+    const record = (chain) => {
+      // A ladder read top-down or bottom-up is the same set of rows
+      const key = chain.join('>');
+      const reverseKey = [...chain].reverse().join('>');
+      if (seen.has(key) || seen.has(reverseKey)) return;
+      if (!this._assignRows(chain, rowCandidates)) return;
+      seen.add(key);
+      chains.push([...chain]);
+    };
+
+    // Extend `path` to the left (prepend) then to the right until it has `length` words
+    const extend = (path, leftRemaining) => {
+      if (chains.length > this.MAX_CHAINS || ++visits > this.MAX_VISITS) {
+        exhausted = true;
+        return;
+      }
+      if (path.length === length) {
+        record(path);
+        return;
+      }
+      const growLeft = leftRemaining > 0;
+      const end = growLeft ? path[0] : path[path.length - 1];
+      for (const next of neighbors.get(end) || []) {
+        if (path.includes(next)) continue;
+        extend(growLeft ? [next, ...path] : [...path, next], growLeft ? leftRemaining - 1 : 0);
+        if (exhausted) return;
+      }
+    };
+
+    const seeds = second
+      ? this._pairSeeds(first, second, neighbors, length)
+      : [...first].filter(word => neighbors.has(word)).map(word => [word]);
+    for (const seed of seeds) {
+      for (let left = 0; left <= length - seed.length; left++) {
+        extend(seed, left);
+        if (exhausted) return { chains, exhausted };
+      }
+    }
+
+    return { chains, exhausted };
+  },
+
+  // Chain segments from a word of setA to a word of setB: at each number of steps
+  // the two could be apart in a chain, the path AnswerParser._findPath finds over
+  // the words that lie on some route that short. One path per distance, so
+  // chains that differ only between the two words can go unseen.
+  _pairSeeds(setA, setB, neighbors, length) {
+    const seeds = [];
+    for (const a of setA) {
+      const fromA = this._distances(neighbors, a, length - 1);
+      for (const b of setB) {
+        if (b === a || !fromA.has(b)) continue;
+        const fromB = this._distances(neighbors, b, length - 1);
+        for (let steps = fromA.get(b); steps < length; steps++) {
+          const route = [...fromA.keys()].filter(w => fromB.has(w) && fromA.get(w) + fromB.get(w) <= steps);
+          const path = AnswerParser._findPath(a, b, route, steps + 1);
+          if (path) seeds.push(path);
+        }
+      }
+    }
+    return seeds;
+  },
+
+  // Steps from `word` to every word at most `limit` steps away
+  _distances(neighbors, word, limit) {
+    const distances = new Map([[word, 0]]);
+    let frontier = [word];
+    for (let steps = 1; steps <= limit && frontier.length > 0; steps++) {
+      const next = [];
+      for (const w of frontier) {
+        for (const n of neighbors.get(w) || []) {
+          if (distances.has(n)) continue;
+          distances.set(n, steps);
+          next.push(n);
+        }
+      }
+      frontier = next;
+    }
+    return distances;
+  },
+
+  // Adjacency map of words that differ by exactly one letter, via wildcard buckets
+  _buildGraph(pool) {
+    const buckets = new Map();
+    for (const word of pool) {
+      for (let i = 0; i < word.length; i++) {
+        const key = word.slice(0, i) + '_' + word.slice(i + 1);
+        if (!buckets.has(key)) buckets.set(key, []);
+        buckets.get(key).push(word);
+      }
+    }
+
+    const neighbors = new Map();
+    for (const words of buckets.values()) {
+      if (words.length < 2) continue;
+      for (const a of words) {
+        if (!neighbors.has(a)) neighbors.set(a, new Set());
+        for (const b of words) {
+          if (a !== b) neighbors.get(a).add(b);
+        }
+      }
+    }
+    return neighbors;
+  },
+
+  // True when the constrained rows can each get a distinct chain word from their set
+  _assignRows(chain, rowCandidates) {
+    const used = new Set();
+    const constrained = rowCandidates.filter(Boolean);
+
+    const backtrack = (k) => {
+      if (k === constrained.length) return true;
+      for (const word of chain) {
+        if (used.has(word) || !constrained[k].has(word)) continue;
+        used.add(word);
+        if (backtrack(k + 1)) return true;
+        used.delete(word);
+      }
+      return false;
+    };
+    return backtrack(0);
+  },
+
+  // ----- RANKING -----
+
+  // Every way to give each row a distinct word of a chain (constrained rows from
+  // their candidates, the rest from what's left), best clue support first.
+  // Returns { ranked: [{ chain, rowWords, score }], exhausted }.
+  _rankAssignments(chains, rowClues, rowCandidates) {
+    const affinities = new Map();
+    const affinity = (row, word) => {
+      const key = `${row}:${word}`;
+      if (!affinities.has(key)) affinities.set(key, this._clueAffinity(rowClues[row].clue, word));
+      return affinities.get(key);
+    };
+
+    const ranked = [];
+    let visits = 0;
+    let exhausted = false;
+    for (const chain of chains) {
+      const rowWords = new Array(rowClues.length).fill(null);
+      const used = new Set();
+      const assign = (row, score) => {
+        if (++visits > this.MAX_ASSIGNMENTS) {
+          exhausted = true;
+          return;
+        }
+        if (row === rowWords.length) {
+          ranked.push({ chain, rowWords: [...rowWords], score });
+          return;
+        }
+        for (const word of chain) {
+          if (used.has(word) || (rowCandidates[row] && !rowCandidates[row].has(word))) continue;
+          used.add(word);
+          rowWords[row] = word;
+          assign(row + 1, score + affinity(row, word));
+          used.delete(word);
+          if (exhausted) return;
+        }
+      };
+      assign(0, 0);
+      if (exhausted) break;
+    }
+
+    ranked.sort((a, b) => b.score - a.score);
+    return { ranked, exhausted };
+  },
+
+  // How strongly a clue points at a word: its ClueSimilarity score when the word's
+  // stem is one of the clue's content words ("Walk, in the past" for WALKED), else 0.
+  // Trigram and edit overlap between a clue and an unrelated word is no evidence.
+  _clueAffinity(clue, word) {
+    const stem = ClueSimilarity.stem(word.toLowerCase());
+    return ClueSimilarity.tokens(clue).includes(stem) ? ClueSimilarity.score(clue, word) : 0;
+  }
+};
@@ -39,26 +39,37 @@ const CrossclimbDOM = {
     });
   },
 
-  // Wait for a condition to become true
-  waitForCondition(conditionFn, { timeout = 10000, pollInterval = 200 } = {}) {
+  // Wait for a condition to become true. With observe (a node), the condition is
+  // also re-checked on every mutation and input event under it, so the wait ends as
+  // soon as the page changes rather than at the next poll.
+  waitForCondition(conditionFn, { timeout = 10000, pollInterval = 200, observe = null } = {}) {
     return new Promise((resolve, reject) => {
       if (conditionFn()) {
         resolve();
         return;
       }
 
-      const interval = setInterval(() => {
-        if (conditionFn()) {
-          clearInterval(interval);
-          clearTimeout(timer);
-          resolve();
-        }
-      }, pollInterval);
-
-      const timer = setTimeout(() => {
+      let observer = null;
+      const finish = (error) => {
         clearInterval(interval);
-        reject(new Error('Timeout waiting for condition'));
-      }, timeout);
+        clearTimeout(timer);
+        observer?.disconnect();
+        observe?.removeEventListener('input', check, true);
+        if (error) reject(error);
+        else resolve();
+      };
+      const check = () => {
+        if (conditionFn()) finish();
+      };
+
+      const interval = setInterval(check, pollInterval);
+      const timer = setTimeout(() => finish(new Error('Timeout waiting for condition')), timeout);
+
+      if (observe) {
+        observer = new MutationObserver(check);
+        observer.observe(observe, { childList: true, subtree: true, attributes: true, characterData: true });
+        observe.addEventListener('input', check, true);
+      }
     });
   },
 
@@ -466,9 +477,10 @@ const CrossclimbDOM = {
     return this._bridgeCmd('focus', { selector });
   },
 
-  // Fill a row's inputs with a word, targeting each input individually
-  async pageFillRow(rowSelector, word) {
-    return this._bridgeCmd('fill-row', { rowSelector, word }, 15000);
+  // Fill a row's inputs with a word, targeting each input individually.
+  // cells limits it to those box indexes (retyping wrong letters only).
+  async pageFillRow(rowSelector, word, cells = null) {
+    return this._bridgeCmd('fill-row', { rowSelector, word, cells }, 15000);
   },
 
   // Drag from source to target (by CSS selectors) in the page's JS context
@@ -476,11 +488,6 @@ const CrossclimbDOM = {
     return this._bridgeCmd('drag', { srcSel, tgtSel }, 8000);
   },
 
-  // Read current board order by reading input values in DOM order
-  async pageReadOrder() {
-    return this._bridgeCmd('read-order', {}, 3000);
-  },
-
   // Directly reorder DOM elements to match target word order (fallback when drag fails)
   async pageReorderDOM(targetWords) {
     return this._bridgeCmd('reorder-dom', { targetWords }, 5000);
@@ -12,6 +12,7 @@ const DOMInspector = {
       timestamp: new Date().toISOString(),
       url: window.location.href,
       iframes: this._findIframes(),
+      board: BoardState.toPlain(BoardState.snapshot()),
       gameContainer: this._findGameContainer(),
       rows: this._findPuzzleRows(),
       inputs: this._findInputElements(),
@@ -81,7 +82,7 @@ const DOMInspector = {
 
   _findPuzzleRows() {
     // Look for row-like structures that could be puzzle rows
-    // A Crossclimb board has 7 rows, each containing letter cells
+    // A standard Crossclimb board has 7 rows (special editions vary), each containing letter cells
     const candidates = [];
 
     // Strategy 1: Find elements that look like rows with letter cells
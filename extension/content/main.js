@@ -3,7 +3,7 @@
 //
 // CrossclimbSolver - Main Content Script
 // Entry point that orchestrates the solving flow
-// Loaded last in the content script chain (after dom-helpers, answer-parser, dom-inspector, solver, overlay)
+// Loaded last in the content script chain (after dom-helpers, puzzle-schema, answer-parser, answer-sources, answer-cache, puzzle-archive, answer-import, puzzle-identity, board-state, strategy-scoreboard, dom-inspector, clue-similarity, dictionary-solver, solver, overlay)
 
 (function() {
   'use strict';
@@ -16,6 +16,9 @@
   let isInitialized = false;
   let isTopFrame = false;
   let gameRowsFoundInThisFrame = false;
+  let pageIdentity = null;
+  // True while a puzzle picked from the archive is active (it may differ from the page's)
+  let pinnedPuzzle = false;
 
   // ----- INITIALIZATION -----
 
@@ -34,16 +37,27 @@
 
       Overlay.onSolve(handleSolve);
       Overlay.onInspect(handleInspect);
+      Overlay.onImport(handleImport);
+      Overlay.onArchive({ list: listArchive, preview: previewArchivePuzzle, load: loadArchivePuzzle });
 
-      // Automatically fetch today's answers
+      // Keep the overlay's board line current as the user (or the solver) plays
+      BoardState.onChange((snapshot) => Overlay.setBoardState(snapshot));
+      BoardState.observe();
+
+      // Automatically fetch the answers for the puzzle on screen
       try {
         Overlay.setStatus('fetching', 'Fetching answers...');
-        Overlay.log('Fetching latest puzzle from crossclimbanswer.io...');
+        pageIdentity = PuzzleIdentity.detect();
+        if (pageIdentity.puzzleNumber != null) {
+          Overlay.log(`Page shows puzzle #${pageIdentity.puzzleNumber} (from ${pageIdentity.method})`);
+        }
+        Overlay.log(`Fetching puzzle from ${AnswerSources.list().map(s => s.name).join(', ')}...`);
 
-        puzzleData = await fetchAndParseAnswers();
+        puzzleData = await fetchAndParseAnswers(pageIdentity.puzzleNumber);
 
         if (puzzleData) {
           Overlay.setPuzzleInfo(puzzleData);
+          checkPuzzleIdentity();
           Overlay.setStatus('idle', 'Answers loaded. Click "Solve Puzzle" to start.');
           Overlay.log(`Loaded puzzle #${puzzleData.puzzleNumber}: ${puzzleData.wordLadder.join(' → ')}`);
         } else {
@@ -52,7 +66,7 @@
         }
       } catch (error) {
         console.error(`${LOG_PREFIX} Init error:`, error);
-        Overlay.setStatus('error', 'Failed to fetch answers');
+        Overlay.setStatus('error', FETCH_ERROR_HINTS[error.code] || 'Failed to fetch answers');
         Overlay.log(`Error: ${error.message}`);
       }
     } else {
@@ -85,53 +99,256 @@
 
   // ----- ANSWER FETCHING -----
 
-  async function fetchAndParseAnswers() {
-    // Step 1: Get the latest puzzle number
-    const latestResponse = await sendMessage({ type: 'FETCH_LATEST' });
-    if (!latestResponse.success) {
-      throw new Error(`Failed to fetch homepage: ${latestResponse.error}`);
+  // Status-line text for the error codes the background fetch layer returns
+  const FETCH_ERROR_HINTS = {
+    OFFLINE: 'You are offline. Reconnect and reload to fetch answers.',
+    NOT_PUBLISHED: 'Answers for this puzzle are not published yet. Try again later or import them.',
+    PARSE_FAILED: 'Answer page found but could not be read. Try importing the answers.',
+    SERVER_ERROR: 'The answer site is having problems. Try again later.',
+    TIMEOUT: 'The answer site is not responding. Try again later.',
+    NETWORK: 'Could not reach the answer site.'
+  };
+
+  // When sources fail differently, report the code that best explains it to the user
+  const FETCH_ERROR_PRIORITY = ['OFFLINE', 'NOT_PUBLISHED', 'PARSE_FAILED', 'SERVER_ERROR', 'TIMEOUT', 'NETWORK'];
+
+  function codedError(message, code) {
+    const error = new Error(message);
+    error.code = code || null;
+    return error;
+  }
+
+  // Try each registered answer source in priority order; the first one that
+  // yields a usable word ladder wins. Errors from earlier sources are only
+  // surfaced if every source fails, and even then a cached puzzle is used if
+  // one is available (e.g. when offline).
+  // requestedNumber is the puzzle detected on the LinkedIn page; null means "latest".
+  async function fetchAndParseAnswers(requestedNumber = null) {
+    const errors = [];
+    const codes = new Set();
+
+    for (const source of AnswerSources.list()) {
+      try {
+        const parsed = await fetchFromSource(source, requestedNumber);
+        if (parsed.wordLadder.length >= 2) {
+          return parsed;
+        }
+        errors.push(`${source.name}: no word ladder found`);
+        codes.add('PARSE_FAILED');
+        Overlay.log(`${source.name}: could not parse a word ladder, trying next source`);
+      } catch (error) {
+        errors.push(`${source.name}: ${error.message}`);
+        if (error.code) codes.add(error.code);
+        const hint = FETCH_ERROR_HINTS[error.code];
+        Overlay.log(`${source.name} failed: ${error.message}${hint ? ` (${hint})` : ''}`);
+      }
+    }
+
+    const cached = await readCache(() => requestedNumber != null
+      ? AnswerCache.get(requestedNumber, AnswerParser.VERSION)
+      : AnswerCache.getNewest(AnswerParser.VERSION));
+    if (cached) {
+      Overlay.log(`All sources failed, using cached puzzle #${cached.puzzleNumber}`);
+      return cached;
+    }
+
+    throw codedError(`All answer sources failed (${errors.join('; ')})`,
+      FETCH_ERROR_PRIORITY.find(code => codes.has(code)));
+  }
+
+  async function fetchFromSource(source, requestedNumber = null) {
+    // Step 1: Use the page's puzzle number, else the source's latest (today's prefetch
+    // or a recent lookup is reused)
+    let puzzleNumber = requestedNumber;
+    if (puzzleNumber == null) {
+      puzzleNumber = await readCache(() => prefetchedNumber(source.id)) ??
+        await readCache(() => AnswerCache.getLatest(source.id));
+    }
+    if (!puzzleNumber) {
+      const latestResponse = await sendMessage({ type: 'FETCH_LATEST', sourceId: source.id });
+      if (!latestResponse.success) {
+        throw codedError(`Failed to fetch homepage: ${latestResponse.error}`, latestResponse.code);
+      }
+      puzzleNumber = latestResponse.data.puzzleNumber;
+      await writeCache(() => AnswerCache.setLatest(source.id, puzzleNumber));
     }
 
-    const puzzleNumber = latestResponse.data.puzzleNumber;
-    console.log(`${LOG_PREFIX} Latest puzzle number: ${puzzleNumber}`);
-    Overlay.log(`Latest puzzle: #${puzzleNumber}`);
+    const label = requestedNumber != null ? 'Requested' : 'Latest';
+    console.log(`${LOG_PREFIX} ${label} puzzle number from ${source.name}: ${puzzleNumber}`);
+    Overlay.log(`${label} puzzle: #${puzzleNumber} (${source.name})`);
 
-    // Step 2: Fetch the answer page
+    // Step 2: Serve from the local cache when this puzzle was already parsed
+    const cached = await readCache(() => AnswerCache.get(puzzleNumber, AnswerParser.VERSION));
+    if (cached) {
+      Overlay.log(`Using cached answers for #${puzzleNumber}`);
+      return cached;
+    }
+
+    // Step 3: Have the background fetch and parse the answer page (sized to the
+    // board if it's up); only the parsed puzzleData comes back
     const answerResponse = await sendMessage({
       type: 'FETCH_ANSWERS',
-      puzzleNumber: puzzleNumber
+      sourceId: source.id,
+      puzzleNumber: puzzleNumber,
+      shape: Solver.detectShape()
     });
 
     if (!answerResponse.success) {
-      throw new Error(`Failed to fetch puzzle ${puzzleNumber}: ${answerResponse.error}`);
+      throw codedError(`Failed to fetch puzzle ${puzzleNumber}: ${answerResponse.error}`, answerResponse.code);
+    }
+
+    // Step 4: Check and cache the result
+    const parsed = answerResponse.data.puzzleData;
+    if (parsed.provenance?.wordLadder) {
+      Overlay.log(`Ladder via ${parsed.provenance.wordLadder} (confidence ${parsed.confidence})`);
+    }
+    const alternatives = AnswerParser.ladderAlternatives(parsed);
+    if (alternatives.length > 0) {
+      Overlay.log(`Ladder is ambiguous, ${alternatives.length} other valid order(s): ${alternatives.map(a => a.join(' → ')).join('; ')}`);
     }
 
-    // Step 3: Parse the HTML
-    const parsed = AnswerParser.parse(answerResponse.data.html);
-    parsed.puzzleNumber = parsed.puzzleNumber || puzzleNumber;
+    const schema = PuzzleSchema.validate(parsed);
+    if (!schema.ok) {
+      console.warn(`${LOG_PREFIX} Parsed data does not match the puzzle schema:`, PuzzleSchema.describeErrors(schema.errors));
+    }
+    if (schema.ok && parsed.wordLadder.length >= 2) {
+      await writeCache(() => AnswerCache.set(puzzleNumber, parsed, AnswerParser.VERSION));
+    }
 
     console.log(`${LOG_PREFIX} Parsed puzzle data:`, parsed);
     return parsed;
   }
 
+  // Today's puzzle number if the background prefetch already fetched it from this source
+  async function prefetchedNumber(sourceId) {
+    const state = await AnswerCache.getPrefetchState();
+    if (state?.status !== 'ready' || state.sourceId !== sourceId) return null;
+    return state.releaseDay === PuzzleArchive.releaseDay() ? state.puzzleNumber : null;
+  }
+
+  // Warn in the overlay when the loaded answers may not belong to the puzzle on screen
+  function checkPuzzleIdentity() {
+    const mismatch = pageIdentity ? PuzzleIdentity.describeMismatch(pageIdentity, puzzleData) : null;
+    if (mismatch) {
+      Overlay.setWarning(mismatch);
+      Overlay.log(`Warning: ${mismatch}`);
+    } else {
+      Overlay.setWarning(null);
+    }
+  }
+
+  // Cache failures (quota, extension reloaded mid-session) must never block solving
+  async function readCache(fn) {
+    try {
+      return await fn();
+    } catch (e) {
+      console.warn(`${LOG_PREFIX} Answer cache read failed:`, e);
+      return null;
+    }
+  }
+
+  async function writeCache(fn) {
+    try {
+      await fn();
+    } catch (e) {
+      console.warn(`${LOG_PREFIX} Answer cache write failed:`, e);
+    }
+  }
+
+  // ----- ARCHIVE -----
+
+  // Puzzles the default source has published, newest first: [{ puzzleNumber, date, dateEstimated }]
+  async function listArchive(refresh = false) {
+    return PuzzleArchive.get(AnswerSources.getDefault().id, refresh);
+  }
+
+  // Fetch a past puzzle (or read it from the cache) without making it active
+  async function previewArchivePuzzle(puzzleNumber) {
+    return fetchAndParseAnswers(puzzleNumber);
+  }
+
+  // Make a past puzzle the active one. Solving keeps it even when the page shows
+  // a different number; board verification still refuses a mismatched board.
+  async function loadArchivePuzzle(puzzleNumber) {
+    puzzleData = await fetchAndParseAnswers(puzzleNumber);
+    pinnedPuzzle = true;
+    Overlay.setPuzzleInfo(puzzleData);
+    checkPuzzleIdentity();
+    Overlay.setStatus('idle', `Puzzle #${puzzleNumber} loaded from the archive`);
+    Overlay.log(`Loaded archived puzzle #${puzzleNumber}: ${puzzleData.wordLadder.join(' → ')}`);
+    return puzzleData;
+  }
+
   // ----- SOLVE HANDLER -----
 
-  async function handleSolve() {
+  // options.force types even when the answers fail board verification
+  async function handleSolve(options = {}) {
+    // The game may have rendered its puzzle number after init; re-check before typing
+    const identity = PuzzleIdentity.detect();
+    if (identity.puzzleNumber != null && puzzleData && !pinnedPuzzle &&
+        puzzleData.puzzleNumber !== identity.puzzleNumber && !['dictionary', 'import'].includes(puzzleData.source)) {
+      Overlay.log(`Loaded answers are for #${puzzleData.puzzleNumber}, page shows #${identity.puzzleNumber}. Refetching...`);
+      puzzleData = null;
+    }
+    pageIdentity = identity;
+
     if (!puzzleData) {
       Overlay.log('No puzzle data loaded. Trying to fetch...');
       try {
-        puzzleData = await fetchAndParseAnswers();
+        puzzleData = await fetchAndParseAnswers(identity.puzzleNumber);
         Overlay.setPuzzleInfo(puzzleData);
+        checkPuzzleIdentity();
       } catch (error) {
-        Overlay.setStatus('error', 'Cannot solve: no answers available');
         Overlay.log(`Error: ${error.message}`);
+        Overlay.log('No answers available — trying answer-free mode...');
+        const derived = await Solver.solveWithoutAnswers(buildSolverCallbacks());
+        if (!derived) {
+          Overlay.setStatus('error', 'Cannot solve: no answers available');
+          const hint = FETCH_ERROR_HINTS[error.code];
+          Overlay.toggleImport(true, `${hint ? `${hint} ` : 'No answers found. '}Paste them here if you have them from elsewhere.`);
+        }
         return;
       }
     }
 
     Overlay.log('Starting solver...');
 
-    const solverCallbacks = {
+    // v1.5: Solver.solve() now uses crossclimb__* selectors directly,
+    // with legacy fallback built in
+    await Solver.solve(puzzleData, buildSolverCallbacks(), { force: !!options.force });
+  }
+
+  // Load answers pasted into the overlay (or passed from the console) and solve with them
+  async function handleImport(text, onParsed) {
+    const imported = AnswerImport.parse(text, Solver.detectShape() || undefined);
+    if (!imported.ok) {
+      Overlay.log(`Import failed: ${imported.errors.join('; ')}`);
+      return imported;
+    }
+    onParsed?.();
+
+    puzzleData = imported.puzzleData;
+    const identity = PuzzleIdentity.detect();
+    if (puzzleData.puzzleNumber == null) {
+      puzzleData.puzzleNumber = identity.puzzleNumber;
+    }
+    pageIdentity = identity;
+    Overlay.setPuzzleInfo(puzzleData);
+    checkPuzzleIdentity();
+    Overlay.log(`Imported ${puzzleData.wordLadder.length} ladder words and ${puzzleData.clueAnswerPairs.length} clues (${imported.format})`);
+
+    Overlay.log('Starting solver with imported answers...');
+    await Solver.solve(puzzleData, buildSolverCallbacks());
+    return imported;
+  }
+
+  async function handleSolveWithoutAnswers() {
+    Overlay.log('Starting answer-free solver...');
+    await Solver.solveWithoutAnswers(buildSolverCallbacks());
+  }
+
+  function buildSolverCallbacks() {
+    return {
       onStatus: (phase, msg) => Overlay.setStatus(phase, msg),
       onLog: (msg) => Overlay.log(msg),
       onError: (error) => {
@@ -142,10 +359,6 @@
         Overlay.log('Puzzle solved successfully!');
       }
     };
-
-    // v1.5: Solver.solve() now uses crossclimb__* selectors directly,
-    // with legacy fallback built in
-    await Solver.solve(puzzleData, solverCallbacks);
   }
 
   // ----- INSPECT HANDLER -----
@@ -209,24 +422,18 @@
       Overlay.log(`Iframe query failed: ${e.message}`);
     }
 
-    // v1.5: Check new crossclimb board detection
-    Overlay.log('--- Board detection (v1.5) ---');
-    const board = Solver._findGameBoard();
-    if (board) {
-      Overlay.log(`Game board FOUND: ${board.middleRows.length} middle rows, ${board.lockedRows.length} locked rows`);
-      for (let i = 0; i < board.middleRows.length; i++) {
-        const row = board.middleRows[i];
-        const boxes = row.querySelectorAll('.crossclimb__guess_box');
-        const cls = (row.className || '').substring(0, 80);
-        Overlay.log(`  Middle row ${i + 1}: ${boxes.length} boxes, class="${cls}"`);
-      }
-      for (let i = 0; i < board.lockedRows.length; i++) {
-        const row = board.lockedRows[i];
-        const text = row.textContent.trim().substring(0, 60);
-        Overlay.log(`  Locked row ${i + 1}: text="${text}"`);
+    // Board state as the solver sees it (BoardState, crossclimb__* selectors)
+    Overlay.log('--- Board state ---');
+    const board = report.board;
+    if (board.found) {
+      Overlay.log(`Game board FOUND: ${board.shape.rows}-word ladder, ${board.shape.wordLength} letters`);
+      for (const row of board.rows) {
+        const flags = [row.locked && 'locked', row.focused && 'focused',
+          row.correct === true && 'correct', row.correct === false && 'wrong'].filter(Boolean);
+        Overlay.log(`  Row ${row.position + 1} (${row.kind}): ${row.letters.map(l => l || '_').join('')} ` +
+          `${row.letters.length} boxes${flags.length ? ` [${flags.join(', ')}]` : ''}`);
       }
-      const clue = Solver._readActiveClue(board.gridContainer);
-      Overlay.log(`  Active clue: "${clue || '(none)'}"`);
+      Overlay.log(`  Active clue: "${board.clue || '(none)'}"`);
     } else {
       Overlay.log('Game board NOT found via crossclimb__* selectors');
     }
@@ -375,6 +582,16 @@
       sendResponse({ ok: true });
       return;
     }
+    if (message.type === 'LOAD_PUZZLE') {
+      if (!isTopFrame) return;
+      loadArchivePuzzle(message.puzzleNumber)
+        .then(data => sendResponse({ ok: true, puzzleData: data }))
+        .catch(error => {
+          Overlay.log(`Error: ${error.message}`);
+          sendResponse({ ok: false, error: error.message });
+        });
+      return true;
+    }
     if (message.type === 'INSPECT') {
       handleInspect();
       sendResponse({ ok: true });
@@ -432,20 +649,83 @@
     version: VERSION,
     init,
     getPuzzleData: () => puzzleData,
+    detectPuzzle: () => PuzzleIdentity.detect(),
     solve: handleSolve,
+    solveWithoutAnswers: handleSolveWithoutAnswers,
+    importAnswers: handleImport,
+    archive: listArchive,
+    loadPuzzle: loadArchivePuzzle,
     inspect: handleInspect,
+    // Typed snapshot of the board on screen (no element references)
+    board: () => BoardState.toPlain(BoardState.snapshot()),
     showOverlay: () => Overlay.show(),
     hideOverlay: () => Overlay.hide(),
     setPuzzleData: (data) => {
-      puzzleData = data;
-      if (isTopFrame) Overlay.setPuzzleInfo(data);
+      const migrated = PuzzleSchema.migrate(data);
+      const { ok, errors } = PuzzleSchema.validate(migrated);
+      if (!ok) throw new Error(`Invalid puzzle data: ${PuzzleSchema.describeErrors(errors).join('; ')}`);
+      puzzleData = migrated;
+      if (isTopFrame) Overlay.setPuzzleInfo(migrated);
     },
+    // Shareable JSON of the loaded puzzle; importAnswers() accepts it back
+    exportPuzzle: () => (puzzleData ? PuzzleSchema.export(puzzleData) : null),
     DOM: CrossclimbDOM,
     Parser: AnswerParser,
+    Schema: PuzzleSchema,
+    Sources: AnswerSources,
+    Archive: PuzzleArchive,
+    Cache: AnswerCache,
     Inspector: DOMInspector,
+    Board: BoardState,
+    Scoreboard: StrategyScoreboard,
     Solver: Solver,
+    Dictionary: DictionarySolver,
+    Similarity: ClueSimilarity,
     Overlay: Overlay,
 
+    // Fetch an answer page and run every parser strategy on it individually
+    async testStrategies(puzzleNumber, sourceId = AnswerSources.getDefault()?.id) {
+      const response = await sendMessage({ type: 'RUN_STRATEGIES', sourceId, puzzleNumber, shape: Solver.detectShape() });
+      if (!response.success) throw new Error(response.error);
+      const { results } = response.data;
+      console.table(results.map(r => ({
+        strategy: r.name,
+        field: r.field,
+        valid: r.valid,
+        output: r.error ? `error: ${r.error}` : JSON.stringify(r.output)?.substring(0, 120)
+      })));
+      return results;
+    },
+
+    // Check every answer source against its latest and a known past puzzle, to tell an
+    // answer-site layout change from a LinkedIn board change when solving fails
+    async checkSources() {
+      const response = await sendMessage({ type: 'CHECK_SOURCES' });
+      if (!response.success) throw new Error(response.error);
+      const report = response.data;
+      console.table(report.sources.flatMap(source => (source.pages.length > 0 ? source.pages : [{}]).map(page => ({
+        source: source.name,
+        status: source.status,
+        puzzle: page.puzzleNumber ? `#${page.puzzleNumber} (${page.label})` : '-',
+        valid: page.strategies ? `${page.strategies.filter(s => s.valid).length}/${page.strategies.length}` : '-',
+        failing: page.strategies?.filter(s => !s.valid).map(s => s.name).join(', ') || '',
+        ladder: page.parse ? (page.parse.ok ? page.parse.ladderStrategy : 'none') : '-',
+        changes: page.changes?.join('; ') || '',
+        error: page.error || source.error || ''
+      }))));
+      return report;
+    },
+
+    // Typing and drag methods that worked or failed on this board (see StrategyScoreboard)
+    async strategies() {
+      const board = BoardState.find();
+      if (board) await StrategyScoreboard.load(board);
+      const summary = StrategyScoreboard.summary();
+      console.table(summary);
+      return summary;
+    },
+    resetStrategies: () => StrategyScoreboard.reset(),
+
     async testType(word) {
       console.log(`${LOG_PREFIX} Test typing: "${word}"`);
       for (const char of word) {
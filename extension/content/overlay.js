@@ -34,13 +34,37 @@ const Overlay = {
           <div class="ccs-status-indicator ccs-status-idle"></div>
           <span class="ccs-status-text">Ready</span>
         </div>
+        <div class="ccs-warning"></div>
         <div class="ccs-puzzle-info">
-          <span class="ccs-puzzle-number">-</span>
+          <span class="ccs-puzzle-label">
+            <span class="ccs-puzzle-number">-</span>
+            <span class="ccs-badge ccs-badge-warning"></span>
+          </span>
           <span class="ccs-puzzle-words">-</span>
         </div>
+        <div class="ccs-board-state"></div>
         <div class="ccs-actions">
           <button class="ccs-btn ccs-btn-primary ccs-solve-btn">Solve Puzzle</button>
           <button class="ccs-btn ccs-btn-secondary ccs-inspect-btn">Inspect DOM</button>
+          <button class="ccs-btn ccs-btn-secondary ccs-import-toggle">Import Answers</button>
+          <button class="ccs-btn ccs-btn-secondary ccs-archive-toggle">Puzzle Archive</button>
+        </div>
+        <div class="ccs-archive">
+          <div class="ccs-archive-row">
+            <select class="ccs-archive-select"></select>
+            <button class="ccs-btn ccs-btn-secondary ccs-archive-refresh" title="Refresh the list">&#8635;</button>
+          </div>
+          <div class="ccs-archive-preview"></div>
+          <div class="ccs-archive-row">
+            <button class="ccs-btn ccs-btn-secondary ccs-archive-preview-btn">Preview</button>
+            <button class="ccs-btn ccs-btn-primary ccs-archive-load-btn">Load</button>
+          </div>
+        </div>
+        <div class="ccs-import">
+          <textarea class="ccs-import-text" rows="7" spellcheck="false"
+            placeholder="Paste puzzle JSON, &quot;clue – ANSWER&quot; lines or the ladder words.&#10;Add &quot;Top: WORD&quot; / &quot;Bottom: WORD&quot; lines if you know them."></textarea>
+          <div class="ccs-import-errors"></div>
+          <button class="ccs-btn ccs-btn-primary ccs-import-btn">Import &amp; Solve</button>
         </div>
         <div class="ccs-log-container">
           <div class="ccs-log-header">Activity Log</div>
@@ -64,12 +88,27 @@ const Overlay = {
     this._puzzleNumber = this._panel.querySelector('.ccs-puzzle-number');
     this._puzzleWords = this._panel.querySelector('.ccs-puzzle-words');
     this._answerList = this._panel.querySelector('.ccs-answer-list');
+    this._warning = this._panel.querySelector('.ccs-warning');
+    this._puzzleBadge = this._panel.querySelector('.ccs-badge-warning');
+    this._boardState = this._panel.querySelector('.ccs-board-state');
+    this._import = this._panel.querySelector('.ccs-import');
+    this._importText = this._panel.querySelector('.ccs-import-text');
+    this._importErrors = this._panel.querySelector('.ccs-import-errors');
+    this._archive = this._panel.querySelector('.ccs-archive');
+    this._archiveSelect = this._panel.querySelector('.ccs-archive-select');
+    this._archivePreview = this._panel.querySelector('.ccs-archive-preview');
 
     // Event listeners
     this._panel.querySelector('.ccs-btn-minimize').addEventListener('click', () => this.toggleMinimize());
     this._panel.querySelector('.ccs-btn-close').addEventListener('click', () => this.hide());
     this._solveBtn.addEventListener('click', () => this._onSolveClick());
     this._inspectBtn.addEventListener('click', () => this._onInspectClick());
+    this._panel.querySelector('.ccs-import-toggle').addEventListener('click', () => this.toggleImport());
+    this._panel.querySelector('.ccs-import-btn').addEventListener('click', () => this._onImportClick());
+    this._panel.querySelector('.ccs-archive-toggle').addEventListener('click', () => this.toggleArchive());
+    this._panel.querySelector('.ccs-archive-refresh').addEventListener('click', () => this._loadArchiveList(true));
+    this._panel.querySelector('.ccs-archive-preview-btn').addEventListener('click', () => this._onArchivePreview());
+    this._panel.querySelector('.ccs-archive-load-btn').addEventListener('click', () => this._onArchiveLoad());
 
     // Make draggable
     this._makeDraggable();
@@ -127,6 +166,13 @@ const Overlay = {
     }
   },
 
+  // Show a warning banner (e.g. answers may be for a different puzzle); null clears it
+  setWarning(message) {
+    if (!this._warning) return;
+    this._warning.textContent = message || '';
+    this._warning.classList.toggle('ccs-visible', !!message);
+  },
+
   // Add a log entry
   log(message) {
     if (!this._logContainer) return;
@@ -150,6 +196,18 @@ const Overlay = {
         : 'Puzzle';
     }
 
+    // Flag ladders the parser only guessed from loose page text, or whose answers
+    // fit more than one order
+    if (this._puzzleBadge) {
+      const weak = AnswerParser.isWeakLadder(puzzleData);
+      const orders = AnswerParser.ladderAlternatives(puzzleData).length + 1;
+      this._puzzleBadge.textContent = weak ? 'Low confidence' : orders > 1 ? 'Ambiguous' : '';
+      this._puzzleBadge.title = weak
+        ? `Ladder from fallback "${puzzleData.provenance.wordLadder}" (confidence ${puzzleData.confidence}); check before solving`
+        : orders > 1 ? `${orders} orders of these answers form a valid ladder; the solver tries each until the game accepts one` : '';
+      this._puzzleBadge.classList.toggle('ccs-visible', weak || orders > 1);
+    }
+
     if (this._puzzleWords && puzzleData.wordLadder.length >= 2) {
       this._puzzleWords.textContent =
         `${puzzleData.wordLadder[0]} → ${puzzleData.wordLadder[puzzleData.wordLadder.length - 1]}`;
@@ -177,9 +235,110 @@ const Overlay = {
     }
   },
 
+  // Summarise the live board (a BoardState snapshot) and mark the answers already on it
+  setBoardState(snapshot) {
+    if (!this._boardState) return;
+
+    const middle = snapshot.rows.filter(r => r.kind === 'middle');
+    const parts = [];
+    if (snapshot.found) {
+      parts.push(`${middle.filter(r => r.filled).length}/${middle.length} rows filled`);
+      const wrong = snapshot.rows.filter(r => r.correct === false).length;
+      if (wrong > 0) parts.push(`${wrong} marked wrong`);
+      if (snapshot.rows.some(r => r.kind === 'endpoint' && !r.locked)) parts.push('ends unlocked');
+      if (snapshot.focusedRow != null) parts.push(`row ${snapshot.focusedRow + 1} focused`);
+    }
+    this._boardState.textContent = snapshot.found ? `Board: ${parts.join(' · ')}` : '';
+    this._boardState.title = snapshot.clue ? `Clue: ${snapshot.clue}` : '';
+    this._boardState.classList.toggle('ccs-visible', snapshot.found);
+
+    const onBoard = new Set(snapshot.rows.filter(r => r.filled).map(r => r.word));
+    for (const item of this._answerList?.querySelectorAll('.ccs-answer-item') || []) {
+      const word = item.querySelector('.ccs-answer-word')?.textContent;
+      item.classList.toggle('ccs-answer-placed', onBoard.has(word));
+    }
+  },
+
+  // Show/hide the manual import panel; an optional message explains why it opened
+  toggleImport(show = !this._import?.classList.contains('ccs-visible'), message = null) {
+    if (!this._import) return;
+    this._import.classList.toggle('ccs-visible', show);
+    this.setImportErrors(message ? [message] : []);
+    if (show) this._importText.focus();
+  },
+
+  setImportErrors(errors) {
+    if (!this._importErrors) return;
+    this._importErrors.innerHTML = '';
+    for (const error of errors) {
+      const el = document.createElement('div');
+      el.textContent = error;
+      this._importErrors.appendChild(el);
+    }
+  },
+
+  // Show/hide the archive browser; the puzzle list is fetched the first time it opens
+  toggleArchive(show = !this._archive?.classList.contains('ccs-visible')) {
+    if (!this._archive) return;
+    this._archive.classList.toggle('ccs-visible', show);
+    if (show && this._archiveSelect.options.length === 0) {
+      this._loadArchiveList(false);
+    }
+  },
+
+  async _loadArchiveList(refresh) {
+    if (!this._archiveHandlers) return;
+    this._archivePreview.textContent = 'Loading archive...';
+    try {
+      const entries = await this._archiveHandlers.list(refresh);
+      this._archiveSelect.innerHTML = '';
+      for (const entry of entries) {
+        const option = document.createElement('option');
+        option.value = entry.puzzleNumber;
+        option.textContent = entry.date
+          ? `#${entry.puzzleNumber} · ${entry.dateEstimated ? '~' : ''}${entry.date}`
+          : `#${entry.puzzleNumber}`;
+        this._archiveSelect.appendChild(option);
+      }
+      this._archivePreview.textContent = `${entries.length} puzzles`;
+    } catch (error) {
+      this._archivePreview.textContent = `Archive unavailable: ${error.message}`;
+    }
+  },
+
+  _selectedArchiveNumber() {
+    const value = parseInt(this._archiveSelect.value, 10);
+    return Number.isInteger(value) ? value : null;
+  },
+
+  async _onArchivePreview() {
+    const puzzleNumber = this._selectedArchiveNumber();
+    if (puzzleNumber == null || !this._archiveHandlers) return;
+    this._archivePreview.textContent = `Fetching #${puzzleNumber}...`;
+    try {
+      const data = await this._archiveHandlers.preview(puzzleNumber);
+      this._archivePreview.textContent = data.wordLadder.join(' → ');
+    } catch (error) {
+      this._archivePreview.textContent = `Could not load #${puzzleNumber}: ${error.message}`;
+    }
+  },
+
+  async _onArchiveLoad() {
+    const puzzleNumber = this._selectedArchiveNumber();
+    if (puzzleNumber == null || !this._archiveHandlers) return;
+    try {
+      await this._archiveHandlers.load(puzzleNumber);
+      this.toggleArchive(false);
+    } catch (error) {
+      this._archivePreview.textContent = `Could not load #${puzzleNumber}: ${error.message}`;
+    }
+  },
+
   // Callbacks (set by main.js)
   _solveCallback: null,
   _inspectCallback: null,
+  _importCallback: null,
+  _archiveHandlers: null,
 
   onSolve(callback) {
     this._solveCallback = callback;
@@ -189,6 +348,30 @@ const Overlay = {
     this._inspectCallback = callback;
   },
 
+  // callback(text, onParsed) resolves to { ok, errors[] }, calling onParsed() once
+  // the text has parsed and before solving with it
+  onImport(callback) {
+    this._importCallback = callback;
+  },
+
+  // handlers: { list(refresh) → entries, preview(n) → puzzleData, load(n) }
+  onArchive(handlers) {
+    this._archiveHandlers = handlers;
+  },
+
+  // The panel closes as soon as the text parses, not when the solve that follows
+  // ends; anything that fails after that reopens it with the error
+  async _onImportClick() {
+    if (!this._importCallback) return;
+    try {
+      const result = await this._importCallback(this._importText.value, () => this.toggleImport(false));
+      if (!result.ok) this.setImportErrors(result.errors);
+    } catch (e) {
+      this.toggleImport(true);
+      this.setImportErrors([e.message]);
+    }
+  },
+
   _onSolveClick() {
     if (this._solveCallback) {
       this._solveCallback();
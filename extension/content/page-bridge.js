@@ -37,7 +37,7 @@
           break;
 
         case 'fill-row':
-          fillRowAsync(d.rowSelector, d.word, result);
+          fillRowAsync(d.rowSelector, d.word, result, d.cells);
           return; // ack sent async
 
         case 'type-key':
@@ -52,10 +52,6 @@
           doDragAsync(d.srcSel, d.tgtSel, result);
           return; // ack sent async
 
-        case 'read-order':
-          result.data = readBoardOrder();
-          break;
-
         case 'reorder-dom':
           reorderDOM(d.targetWords, result);
           break;
@@ -224,9 +220,10 @@
   }
 
   // ---- FILL ROW (primary typing strategy) ----
-  // Targets each <input> in a row individually using execCommand('insertText')
+  // Targets each <input> in a row individually using execCommand('insertText').
+  // cells (optional) limits it to those box indexes, for retyping wrong letters.
 
-  function fillRowAsync(rowSelector, word, result) {
+  function fillRowAsync(rowSelector, word, result, cells) {
     var row = document.querySelector(rowSelector);
     if (!row) {
       result.ok = false;
@@ -254,8 +251,13 @@
       return;
     }
 
+    var positions = cells || [];
+    if (!cells) {
+      for (var p = 0; p < word.length; p++) positions.push(p);
+    }
+
     // First, click the first input to activate the row
-    var firstInput = inputs[0];
+    var firstInput = inputs[positions[0]] || inputs[0];
     var rect = firstInput.getBoundingClientRect();
     var cx = rect.left + rect.width / 2;
     var cy = rect.top + rect.height / 2;
@@ -270,15 +272,15 @@
     var details = [];
 
     function fillNext() {
-      if (idx >= word.length) {
+      if (idx >= positions.length) {
         result.fillDetails = details;
         window.postMessage(result, '*');
         return;
       }
 
-      var input = inputs[idx];
-      var letter = word[idx].toLowerCase();
-      var detail = { idx: idx, letter: letter };
+      var input = inputs[positions[idx]];
+      var letter = word[positions[idx]].toLowerCase();
+      var detail = { idx: positions[idx], letter: letter };
 
       // Focus this specific input
       input.focus();
@@ -1461,55 +1463,6 @@
     }
   }
 
-  // ---- READ BOARD ORDER ----
-  // Reads the current row order by visual position (y-coordinate), NOT DOM order.
-  // The game may reorder rows visually via CSS transforms without moving DOM elements,
-  // so we must sort by getBoundingClientRect().top to get the true visual order.
-  // Also re-tags rows with data-cs-row in visual order so subsequent drag selectors
-  // target the correct elements.
-
-  function readBoardOrder() {
-    // The middle rows live inside an <ol class="crossclimb__guess__container">
-    var container = document.querySelector('.crossclimb__guess__container');
-    if (!container) {
-      // Fallback: find rows inside the grid
-      container = document.querySelector('.crossclimb__grid');
-    }
-    if (!container) return { error: 'no container found' };
-
-    var rawRows = [];
-    var children = container.querySelectorAll('.crossclimb__guess--middle');
-    for (var i = 0; i < children.length; i++) {
-      var row = children[i];
-      var inputs = row.querySelectorAll('.crossclimb__guess_box input');
-      var word = '';
-      for (var j = 0; j < inputs.length; j++) {
-        word += (inputs[j].value || '').toUpperCase();
-      }
-      rawRows.push({
-        el: row,
-        word: word,
-        y: Math.round(row.getBoundingClientRect().top)
-      });
-    }
-
-    // Sort by visual position (y-coordinate) — critical for correct reordering
-    rawRows.sort(function(a, b) { return a.y - b.y; });
-
-    // Re-tag rows with data-cs-row in visual order so drag selectors stay correct
-    var rows = [];
-    for (var k = 0; k < rawRows.length; k++) {
-      rawRows[k].el.setAttribute('data-cs-row', String(k));
-      rows.push({
-        word: rawRows[k].word,
-        csRow: String(k),
-        y: rawRows[k].y
-      });
-    }
-
-    return { rows: rows };
-  }
-
   // ---- UTILITIES ----
 
   function assign(target) {
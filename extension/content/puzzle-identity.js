@@ -0,0 +1,148 @@
+// Copyright 2025 mcarthey
+// SPDX-License-Identifier: Apache-2.0
+//
+// CrossclimbSolver - Puzzle Identity Detection
+// Works out which puzzle the LinkedIn game page is actually showing, so we can
+// request exactly that puzzle instead of assuming the answer site's newest one
+// is today's (wrong around midnight, across timezones, and for archived games).
+//
+// Evidence is gathered from, in order of trust:
+//   1. The page URL (archived games carry the puzzle id)
+//   2. Embedded JSON state (<code>/<script type="application/json"> blobs)
+//   3. Visible text in the game UI ("Crossclimb #654", "No. 654")
+//   4. A date shown in the game UI (only used to flag a mismatch)
+
+const PuzzleIdentity = {
+  // Keys LinkedIn has used for the daily puzzle id in embedded state
+  STATE_KEYS: ['puzzleNumber', 'puzzleId', 'gamePuzzleNumber', 'dailyGameNumber', 'gameNumber'],
+
+  // puzzleData sources that aren't an answer site's latest puzzle: pasted answers
+  // and answers derived from the board itself
+  UNFETCHED_SOURCES: ['import', 'dictionary'],
+
+  // Returns { puzzleNumber, date, method, evidence[] }; puzzleNumber/date may be null
+  detect(root = document) {
+    const identity = { puzzleNumber: null, date: null, method: null, evidence: [] };
+
+    for (const doc of this._documents(root)) {
+      const fromUrl = this._fromUrl(doc.location?.href || '');
+      const fromState = this._fromEmbeddedState(doc);
+      const fromText = this._fromVisibleText(doc);
+
+      for (const [method, value] of [['url', fromUrl], ['state', fromState], ['text', fromText]]) {
+        if (value == null) continue;
+        identity.evidence.push(`${method}: #${value}`);
+        if (identity.puzzleNumber == null) {
+          identity.puzzleNumber = value;
+          identity.method = method;
+        }
+      }
+
+      const date = this._fromDate(doc);
+      if (date && !identity.date) {
+        identity.date = date;
+        identity.evidence.push(`date: ${date}`);
+      }
+    }
+
+    console.log('[CrossclimbSolver] Puzzle identity:', identity);
+    return identity;
+  },
+
+  // Today's puzzle day as YYYY-MM-DD, in LinkedIn's release timezone
+  today() {
+    return PuzzleArchive.releaseDay();
+  },
+
+  // Describe why the loaded answers might not belong to the puzzle on screen.
+  // Returns null when everything checks out.
+  describeMismatch(identity, puzzleData) {
+    if (!puzzleData) return null;
+
+    if (identity.puzzleNumber != null && puzzleData.puzzleNumber != null &&
+        identity.puzzleNumber !== puzzleData.puzzleNumber) {
+      return `Page shows puzzle #${identity.puzzleNumber} but answers are for #${puzzleData.puzzleNumber}`;
+    }
+    // The checks below guard the assumption that the answers are the latest puzzle's
+    if (this.UNFETCHED_SOURCES.includes(puzzleData.source)) return null;
+    if (identity.puzzleNumber == null && identity.date && identity.date !== this.today()) {
+      return `Page shows a puzzle from ${identity.date}, answers are for the latest puzzle #${puzzleData.puzzleNumber}`;
+    }
+    if (identity.puzzleNumber == null) {
+      return `Could not confirm the puzzle number on this page; assuming latest #${puzzleData.puzzleNumber}`;
+    }
+    return null;
+  },
+
+  // ----- EVIDENCE SOURCES -----
+
+  // The top document plus any same-origin iframes (the game may be in games-embed)
+  _documents(root) {
+    const docs = [root];
+    for (const iframe of root.querySelectorAll('iframe')) {
+      try {
+        const doc = iframe.contentDocument || iframe.contentWindow?.document;
+        if (doc?.body) docs.push(doc);
+      } catch { /* cross-origin */ }
+    }
+    return docs;
+  },
+
+  _fromUrl(href) {
+    const match = href.match(/[?&](?:puzzle|puzzleId|puzzleNumber|id)=(\d{1,5})\b/i) ||
+                  href.match(/\/games\/(?:archive\/)?crossclimb\/(\d{1,5})\b/i);
+    return match ? parseInt(match[1], 10) : null;
+  },
+
+  _fromEmbeddedState(doc) {
+    const keyPattern = new RegExp(`"(?:${this.STATE_KEYS.join('|')})"\\s*:\\s*"?(\\d{1,5})\\b`);
+    const blobs = doc.querySelectorAll('code, script[type="application/json"], script[type="application/ld+json"]');
+
+    for (const blob of blobs) {
+      const text = blob.textContent || '';
+      // Only trust blobs that are about this game
+      if (!/crossclimb/i.test(text)) continue;
+      const match = text.match(keyPattern);
+      if (match) return parseInt(match[1], 10);
+    }
+    return null;
+  },
+
+  _fromVisibleText(doc) {
+    const overlay = doc.getElementById('crossclimb-solver-overlay');
+    const candidates = doc.querySelectorAll(
+      '[class*="crossclimb"], [class*="games-share"], [class*="game-header"], h1, h2, h3'
+    );
+
+    for (const el of candidates) {
+      if (overlay && overlay.contains(el)) continue;
+      const text = (el.textContent || '').replace(/\s+/g, ' ').trim();
+      if (text.length === 0 || text.length > 300) continue;
+      const match = text.match(/Crossclimb\s*(?:#|No\.?)\s*(\d{1,5})\b/i) ||
+                    text.match(/(?:^|\s)(?:#|No\.)\s*(\d{2,5})\b/);
+      if (match) return parseInt(match[1], 10);
+    }
+
+    const title = doc.title || '';
+    const titleMatch = title.match(/Crossclimb\s*(?:#|No\.?)\s*(\d{1,5})\b/i);
+    return titleMatch ? parseInt(titleMatch[1], 10) : null;
+  },
+
+  // Only the game's own container is searched: elsewhere on the page a date is
+  // as likely to be a feed post's or a notification's
+  _fromDate(doc) {
+    const root = doc.querySelector('[class*="crossclimb"]');
+    if (!root) return null;
+
+    const time = root.querySelector('time[datetime]');
+    if (time) {
+      // A bare YYYY-MM-DD would parse as UTC midnight and could shift a day
+      const datetime = time.getAttribute('datetime');
+      if (/^\d{4}-\d{2}-\d{2}/.test(datetime)) return datetime.slice(0, 10);
+      const parsed = new Date(datetime);
+      if (!isNaN(parsed)) return PuzzleArchive.releaseDay(parsed);
+    }
+
+    return PuzzleArchive.findDate((root.textContent || '').replace(/\s+/g, ' '));
+  }
+};
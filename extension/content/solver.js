@@ -19,11 +19,29 @@ const Solver = {
     puzzleData: null,
     currentPhase: 'idle',
     log: [],
+    // One entry per typed row: { row, answer, ok, strategy, attempts } (see _typeIntoRow)
+    fillResults: [],
   },
 
   // ----- MAIN SOLVE FLOW -----
 
-  async solve(puzzleData, callbacks = {}) {
+  // Minimum verification confidence before any answer is typed (see _verifyPuzzleMatch)
+  VERIFY_THRESHOLD: 0.5,
+
+  // Upper bounds (ms) for the condition waits between steps. Each wait ends as soon
+  // as its board signal arrives; on timeout the flow logs it and carries on.
+  WAIT: {
+    focus: 600,       // a clicked row gains new-focus
+    clue: 1500,       // the clue changes to the activated row's
+    letters: 2000,    // typed letters show up in the row's inputs
+    order: 2000,      // the row order changes after a drag
+    endpoints: 5000,  // the endpoint rows gain inputs once the order is accepted
+    feedback: 800,    // the game marks typed rows right or wrong
+    settle: 150       // the board counts as settled after this long unchanged
+  },
+
+  // options.force skips the refusal when verification confidence is low
+  async solve(puzzleData, callbacks = {}, options = {}) {
     const { onStatus, onLog, onError, onComplete } = callbacks;
 
     const log = (msg) => {
@@ -40,10 +58,11 @@ const Solver = {
 
     try {
       this.state.puzzleData = puzzleData;
+      this.state.fillResults = [];
 
       // Step 1: Find the game board
       status('inspecting', 'Looking for Crossclimb game board...');
-      const board = this._findGameBoard();
+      const board = BoardState.find();
 
       if (!board) {
         // Run legacy discovery as fallback + diagnostics
@@ -62,13 +81,14 @@ const Solver = {
         throw new Error('Could not find Crossclimb game board. Make sure the puzzle page is open.');
       }
 
-      log(`Found game board: ${board.middleRows.length} middle rows, ${board.lockedRows.length} locked rows`);
+      log(`Found game board: ${board.middleRows.length} middle rows, ${board.lockedRows.length} locked rows ` +
+        `(${board.shape.rows}-word ladder, ${board.shape.wordLength} letters)`);
 
-      // Tag rows with data attributes so the page-context bridge can find them.
-      // Sort middle rows by visual position (y-coordinate) to handle CSS-transformed ordering.
-      board.middleRows.sort((a, b) => a.getBoundingClientRect().top - b.getBoundingClientRect().top);
-      board.middleRows.forEach((row, i) => row.setAttribute('data-cs-row', String(i)));
-      board.lockedRows.forEach((row, i) => row.setAttribute('data-cs-lock', String(i)));
+      this._tagBoardRows(board);
+
+      const scoreboard = await StrategyScoreboard.load(board);
+      const lastWorked = Object.entries(scoreboard.lastSuccess).map(([kind, method]) => `${kind}=${method}`);
+      log(`Strategy scoreboard ${scoreboard.fingerprint}: ${lastWorked.length > 0 ? `last worked ${lastWorked.join(', ')}` : 'no history'}`);
 
       // Inject the page-context bridge for event dispatch (file-based, bypasses CSP)
       await CrossclimbDOM.injectBridge();
@@ -78,7 +98,7 @@ const Solver = {
 
       // Step 2: Build clue-answer map from our puzzle data
       status('matching', 'Preparing answers...');
-      const middleAnswers = AnswerParser.getMiddleAnswersOrdered(puzzleData);
+      const middleAnswers = AnswerParser.getMiddleAnswersOrdered(puzzleData, board.shape);
       const clueAnswerMap = new Map();
       for (const pair of puzzleData.clueAnswerPairs) {
         clueAnswerMap.set(pair.clue.toLowerCase().trim(), pair.answer);
@@ -113,18 +133,7 @@ const Solver = {
       // Previously, we read a clue and immediately filled its row. If clue matching
       // failed (e.g. error message on row 1), the fallback "stole" a word that a
       // later row's clue would have matched. Two-pass approach fixes this.
-      status('solving', 'Reading clues from all rows...');
-      const rowClues = [];
-
-      for (let i = 0; i < board.middleRows.length; i++) {
-        const row = board.middleRows[i];
-        status('solving', `Reading clue ${i + 1}/${board.middleRows.length}...`);
-        await this._activateRow(row);
-        await CrossclimbDOM.sleep(400);
-        const clueText = this._readActiveClue(board.gridContainer);
-        rowClues.push({ index: i, clue: clueText });
-        log(`Row ${i + 1} clue: "${clueText || '(none)'}"`);
-      }
+      const rowClues = await this._readAllClues(board, status, log);
 
       // Log source clue-answer pairs for debugging
       log('Source clue-answer pairs:');
@@ -132,78 +141,94 @@ const Solver = {
         log(`  "${pair.clue}" → ${pair.answer}`);
       }
 
+      // Step 4b: Make sure these answers belong to the board on screen before typing.
+      // Typing another day's answers costs the user their streak.
+      status('matching', 'Verifying answers match the board...');
+      const verification = this._verifyPuzzleMatch(board, rowClues, puzzleData, middleAnswers);
+      for (const check of verification.checks) {
+        log(`  ${check.ok ? 'OK  ' : 'FAIL'} ${check.name}: ${check.detail}`);
+      }
+      log(`Verification confidence: ${verification.confidence.toFixed(2)} (threshold ${this.VERIFY_THRESHOLD})`);
+      if (!verification.ok) {
+        if (options.force) {
+          log('Verification failed but force=true — typing anyway');
+        } else {
+          throw new Error(`Answers don't appear to match this board (confidence ${verification.confidence.toFixed(2)}). ` +
+            'Nothing was typed. Check the puzzle number, or use solve({ force: true }) to override.');
+        }
+      }
+
       // Step 5: Global clue-to-answer matching (all clues at once)
       status('solving', 'Matching clues to answers...');
       const assignments = this._globalMatchClues(rowClues, puzzleData, middleAnswers, log);
-      log(`Assignments: ${assignments.map(a => `Row ${a.index + 1}=${a.answer}`).join(', ')}`);
+      log(`Assignments: ${assignments.map(a => `Row ${a.index + 1}=${a.answer} (${a.method}, ${a.confidence.toFixed(2)})`).join(', ')}`);
 
       // Step 6: Fill each row with its assigned answer (second pass)
       status('solving', 'Filling in answers...');
       const filledAnswers = [];
 
       for (const assignment of assignments) {
-        const i = assignment.index;
-        const row = board.middleRows[i];
-        status('solving', `Filling row ${i + 1}/${board.middleRows.length} with ${assignment.answer}...`);
+        status('solving', `Filling row ${assignment.index + 1}/${board.middleRows.length} with ${assignment.answer}...`);
+        filledAnswers.push(await this._fillAssignment(assignment, board, log));
+      }
 
-        await this._activateRow(row);
-        await CrossclimbDOM.sleep(400);
+      // Step 6b: Re-match and retype any rows the game rejects
+      await this._reassignRejectedRows(filledAnswers, rowClues, puzzleData, middleAnswers, board, status, log);
 
-        log(`Typing "${assignment.answer}" into row ${i + 1}`);
-        await this._typeIntoRow(row, assignment.answer, board, log);
-        filledAnswers.push({ answer: assignment.answer, rowElement: row, index: i });
-        await CrossclimbDOM.sleep(500);
+      const verified = this.state.fillResults.filter(f => f.ok).length;
+      log(`Filled ${filledAnswers.length}/${board.middleRows.length} rows, ${verified} verified`);
+      log(`Fill strategies: ${this._describeFills(this.state.fillResults)}`);
+
+      // Step 7: Reorder rows to form the correct word ladder. An ambiguous ladder has
+      // more than one valid order; the game unlocks the endpoint rows only for its
+      // own, so each alternative is tried in turn until that happens.
+      const orders = this._candidateOrders(puzzleData, middleAnswers);
+      if (orders.length > 1) {
+        log(`Ladder is ambiguous: ${orders.length} valid orders of the middle rows`);
       }
 
-      log(`Filled ${filledAnswers.length}/${board.middleRows.length} rows`);
+      let endpoints = null;
+      for (let k = 0; k < orders.length; k++) {
+        if (k > 0) {
+          log(`Game did not accept that order; trying alternative ${k}/${orders.length - 1}: ${orders[k].join(' → ')}`);
+        }
+        if (filledAnswers.length >= 2) {
+          status('reordering', 'Reordering rows...');
+          await this._reorderMiddleRows(board, orders[k], filledAnswers, log);
+        }
+        if (!puzzleData.startWord || !puzzleData.endWord) break;
 
-      // Step 7: Reorder rows to form the correct word ladder
-      if (filledAnswers.length >= 2) {
-        status('reordering', 'Reordering rows...');
-        await this._reorderMiddleRows(board, middleAnswers, filledAnswers, log);
+        status('solving', 'Checking for endpoint rows...');
+        // The game unlocks the endpoints once it accepts the order
+        const unlocked = await BoardState.waitFor(
+          (snap) => snap.rows.some(r => r.kind === 'endpoint' && !r.locked),
+          { board, timeout: this.WAIT.endpoints, settle: this.WAIT.settle });
+        if (!unlocked) log(`Endpoint rows did not unlock within ${this.WAIT.endpoints}ms`);
+        endpoints = this._findEndpointRows(board);
+        log(`Endpoint rows: top hasInputs=${!!endpoints.top} bottom hasInputs=${!!endpoints.bottom}`);
+        if (endpoints.top || endpoints.bottom) break;
       }
 
       // Step 8: Fill start/end words into the locked rows (which unlock after correct ordering)
-      if (puzzleData.startWord && puzzleData.endWord) {
-        status('solving', 'Checking for endpoint rows...');
-        await CrossclimbDOM.sleep(2000); // Wait for game to process correct ordering
-
-        // Re-detect all rows in the grid to find newly unlocked endpoint rows
-        const allGuesses = board.gridContainer.querySelectorAll('.crossclimb__guess');
-        const sortedRows = [...allGuesses]
-          .map(r => ({ el: r, y: r.getBoundingClientRect().top, hasInputs: r.querySelectorAll('.crossclimb__guess_box input').length > 0 }))
-          .sort((a, b) => a.y - b.y);
-
-        const middleRowSet = new Set(board.middleRows);
-        const topRow = sortedRows[0];
-        const bottomRow = sortedRows[sortedRows.length - 1];
-
-        log(`Endpoint rows: top hasInputs=${topRow?.hasInputs} bottom hasInputs=${bottomRow?.hasInputs}`);
-
+      if (endpoints) {
         // Fill top row (start word) if it has inputs and isn't a middle row
-        if (topRow?.hasInputs && !middleRowSet.has(topRow.el)) {
-          topRow.el.setAttribute('data-cs-endpoint', 'top');
+        if (endpoints.top) {
+          endpoints.top.setAttribute('data-cs-endpoint', 'top');
           log(`Filling top row with "${puzzleData.startWord}"`);
-          const topResult = await CrossclimbDOM.pageFillRow('[data-cs-endpoint="top"]', puzzleData.startWord);
-          log(`  Top: ok=${topResult.ok} inputs=${topResult.inputCount || '?'}${topResult.error ? ' err=' + topResult.error : ''}`);
-          if (topResult.fillDetails) {
-            log(`  Letters: ${topResult.fillDetails.map(d => `${d.letter}=${d.valueAfter || '?'}`).join(' ')}`);
-          }
-          await CrossclimbDOM.sleep(500);
+          const fill = await this._typeIntoRow(endpoints.top, puzzleData.startWord, board, log, '[data-cs-endpoint="top"]');
+          this.state.fillResults.push({ row: 'top', answer: puzzleData.startWord, ...fill });
         }
 
         // Fill bottom row (end word) if it has inputs and isn't a middle row
-        if (bottomRow?.hasInputs && !middleRowSet.has(bottomRow.el)) {
-          bottomRow.el.setAttribute('data-cs-endpoint', 'bottom');
+        if (endpoints.bottom) {
+          endpoints.bottom.setAttribute('data-cs-endpoint', 'bottom');
           log(`Filling bottom row with "${puzzleData.endWord}"`);
-          const bottomResult = await CrossclimbDOM.pageFillRow('[data-cs-endpoint="bottom"]', puzzleData.endWord);
-          log(`  Bottom: ok=${bottomResult.ok} inputs=${bottomResult.inputCount || '?'}${bottomResult.error ? ' err=' + bottomResult.error : ''}`);
-          if (bottomResult.fillDetails) {
-            log(`  Letters: ${bottomResult.fillDetails.map(d => `${d.letter}=${d.valueAfter || '?'}`).join(' ')}`);
-          }
+          const fill = await this._typeIntoRow(endpoints.bottom, puzzleData.endWord, board, log, '[data-cs-endpoint="bottom"]');
+          this.state.fillResults.push({ row: 'bottom', answer: puzzleData.endWord, ...fill });
         }
       }
 
+      if (endpoints) log(`Fill strategies: ${this._describeFills(this.state.fillResults)}`);
       status('done', 'Puzzle solved!');
       onComplete?.();
 
@@ -214,318 +239,684 @@ const Solver = {
     }
   },
 
-  // ----- GAME BOARD DISCOVERY -----
+  // ----- ANSWER-FREE MODE -----
+  // Reads every clue, derives the ladder from the bundled dictionary, then hands
+  // the result to the normal solve flow. Refuses to type when the clues don't
+  // single out one ladder. Returns the derived puzzleData once the board is
+  // solved, or null when deriving or solving failed.
 
-  _findGameBoard(root = document) {
-    // Find the grid container
-    const gridContainer = root.querySelector('.crossclimb__grid') ||
-                          root.querySelector('[class*="crossclimb__grid"]');
-    if (!gridContainer) {
-      console.log('[CrossclimbSolver] No .crossclimb__grid found');
-
-      // Try in accessible iframes
-      const iframes = root.querySelectorAll('iframe');
-      for (const iframe of iframes) {
-        try {
-          const iframeDoc = iframe.contentDocument || iframe.contentWindow?.document;
-          if (!iframeDoc) continue;
-          const result = this._findGameBoard(iframeDoc);
-          if (result) return result;
-        } catch { /* cross-origin */ }
-      }
-      return null;
-    }
+  async solveWithoutAnswers(callbacks = {}) {
+    const { onStatus, onLog, onError } = callbacks;
+
+    const log = (msg) => {
+      this.state.log.push(msg);
+      console.log(`[CrossclimbSolver] ${msg}`);
+      onLog?.(msg);
+    };
+
+    const status = (phase, msg) => {
+      this.state.currentPhase = phase;
+      log(`[${phase}] ${msg}`);
+      onStatus?.(phase, msg);
+    };
 
-    // Find all guess rows
-    const allGuesses = gridContainer.querySelectorAll('.crossclimb__guess, [class*="crossclimb__guess"]');
-    const lockedRows = [];
-    const middleRows = [];
-
-    for (const guess of allGuesses) {
-      const className = guess.className || '';
-      if (className.includes('crossclimb__guess--lock')) {
-        lockedRows.push(guess);
-      } else if (className.includes('crossclimb__guess--middle')) {
-        middleRows.push(guess);
+    try {
+      status('inspecting', 'Looking for Crossclimb game board...');
+      const board = BoardState.find();
+      if (!board) {
+        throw new Error('Could not find Crossclimb game board. Make sure the puzzle page is open.');
       }
-    }
 
-    // Also check inside the ordered list container
-    if (middleRows.length === 0) {
-      const container = gridContainer.querySelector('.crossclimb__guess__container, ol');
-      if (container) {
-        for (const child of container.children) {
-          const className = child.className || '';
-          if (className.includes('crossclimb__guess')) {
-            if (className.includes('--lock')) {
-              lockedRows.push(child);
-            } else {
-              middleRows.push(child);
-            }
-          }
+      this._tagBoardRows(board);
+      await CrossclimbDOM.injectBridge();
+
+      const { wordLength } = board.shape;
+      log(`Answer-free mode: ${board.middleRows.length} rows of ${wordLength} letters`);
+
+      const rowClues = await this._readAllClues(board, status, log);
+
+      status('matching', 'Deriving ladder from dictionary...');
+      const derived = await DictionarySolver.derive(rowClues, wordLength, log);
+      if (!derived.ok) {
+        for (const alt of derived.alternatives || []) {
+          log(`  Candidate: ${alt.join(' → ')}`);
         }
+        throw new Error(`Answer-free mode cannot decide: ${derived.reason}`);
       }
-    }
 
-    if (middleRows.length === 0) {
-      console.log('[CrossclimbSolver] Found grid but no middle rows');
+      log(`Derived ladder: ${derived.chain.join(' → ')}`);
+      const puzzleData = DictionarySolver.toPuzzleData(rowClues, derived);
+      await this.solve(puzzleData, callbacks);
+      // solve() reports its own errors; it only ends in 'done' when the board is solved
+      return this.state.currentPhase === 'done' ? puzzleData : null;
+
+    } catch (error) {
+      status('error', error.message);
+      onError?.(error);
+      console.error('[CrossclimbSolver] Error:', error);
       return null;
     }
+  },
 
-    // Find the clue section
-    const clueSection = root.querySelector('.crossclimb__clue-section') ||
-                        root.querySelector('[class*="crossclimb__clue"]');
+  // ----- GAME BOARD DISCOVERY -----
 
-    // Find the wrapper
-    const wrapper = root.querySelector('.crossclimb__wrapper') ||
-                    gridContainer.parentElement;
+  // Tag rows with data attributes so the page-context bridge can find them.
+  // Middle rows are taken in visual order (see BoardState) to handle CSS-transformed ordering.
+  _tagBoardRows(board) {
+    board.middleRows = BoardState.snapshot(board).rows.filter(r => r.kind === 'middle').map(r => r.element);
+    board.middleRows.forEach((row, i) => row.setAttribute('data-cs-row', String(i)));
+    board.lockedRows.forEach((row, i) => row.setAttribute('data-cs-lock', String(i)));
+  },
 
-    return {
-      gridContainer,
-      wrapper,
-      clueSection,
-      lockedRows,
-      middleRows,
-      allGuesses: [...allGuesses],
-      doc: root,
-    };
+  // The board's ladder shape { rows, wordLength }, or null when no board is on screen.
+  // rows counts the whole ladder: every middle row plus the two locked endpoints.
+  detectShape() {
+    return BoardState.find()?.shape || null;
+  },
+
+  // The endpoint rows once the game has unlocked them (they gain letter inputs when
+  // the middle order is accepted). Taken from a fresh snapshot since the game may
+  // re-render them. Returns { top, bottom }, each an element or null.
+  _findEndpointRows(board) {
+    const { rows } = BoardState.snapshot(board);
+    const unlocked = (row) => (row && row.kind === 'endpoint' && !row.locked ? row.element : null);
+    return { top: unlocked(rows[0]), bottom: unlocked(rows[rows.length - 1]) };
+  },
+
+  // Middle-row orders to try, best first: the loaded ladder, then the alternative
+  // orderings the parser recorded for an ambiguous ladder (same answers only)
+  _candidateOrders(puzzleData, middleAnswers) {
+    const sameAnswers = (words) => [...words].sort().join() === [...middleAnswers].sort().join();
+    const orders = [middleAnswers];
+    for (const alt of AnswerParser.ladderAlternatives(puzzleData)) {
+      const middle = alt.slice(1, -1);
+      if (sameAnswers(middle) && !orders.some(o => o.join() === middle.join())) {
+        orders.push(middle);
+      }
+    }
+    return orders;
   },
 
   // ----- ROW ACTIVATION -----
 
-  async _activateRow(rowElement) {
+  // Click a row until the game focuses it: the first guess box, then the inner
+  // container, then the row itself. Returns whether the row gained focus.
+  async _activateRow(rowElement, board) {
     const idx = rowElement.getAttribute('data-cs-row');
     const baseSel = `[data-cs-row="${idx}"]`;
 
-    // Click the first guess box via the page-context bridge
-    const boxSel = `${baseSel} .crossclimb__guess_box`;
-    let result = await CrossclimbDOM.pageClick(boxSel);
-    await CrossclimbDOM.sleep(150);
-
-    // Also click the inner container
-    const innerSel = `${baseSel} .crossclimb__guess__inner`;
-    await CrossclimbDOM.pageClick(innerSel);
-    await CrossclimbDOM.sleep(150);
-
-    // If still not focused, click the row itself
-    const isActive = rowElement.className.includes('new-focus') ||
-                     rowElement.className.includes('active');
-    if (!isActive) {
-      await CrossclimbDOM.pageClick(baseSel);
-      await CrossclimbDOM.sleep(150);
+    const targets = [`${baseSel} .crossclimb__guess_box`, `${baseSel} .crossclimb__guess__inner`, baseSel];
+    for (const selector of targets) {
+      await CrossclimbDOM.pageClick(selector);
+      if (await this._waitForFocus(board, rowElement)) return true;
+    }
+    return false;
+  },
+
+  // ----- BOARD WAITS -----
+
+  _waitForFocus(board, rowElement) {
+    return BoardState.waitFor((snap) => BoardState.rowOf(snap, rowElement)?.focused,
+      { board, timeout: this.WAIT.focus });
+  },
+
+  // Wait for a row's inputs to hold `word` and stop changing
+  async _waitForWord(board, rowElement, word, log) {
+    const settled = await BoardState.waitFor((snap) => BoardState.rowOf(snap, rowElement)?.word === word,
+      { board, timeout: this.WAIT.letters, settle: this.WAIT.settle });
+    if (!settled) {
+      log?.(`  Row shows "${BoardState.readRow(rowElement).word}" after ${this.WAIT.letters}ms, expected "${word}"`);
     }
+    return !!settled;
+  },
+
+  // Wait for the middle rows to leave order `beforeWords` and settle.
+  // Resolves with the new order's words, or null if nothing moved.
+  async _waitForOrderChange(board, beforeWords, timeout = this.WAIT.order) {
+    const moved = await BoardState.waitFor((snap) => snap.middleOrder.join() !== beforeWords.join(),
+      { board, timeout, settle: this.WAIT.settle });
+    return moved ? moved.middleOrder : null;
   },
 
   // ----- CLUE READING -----
 
-  _readActiveClue(gridContainer) {
-    // The game shows one clue at a time in .crossclimb__clue
-    // Search upward from grid to find the clue section
-    const searchRoots = [
-      gridContainer,
-      gridContainer.parentElement,
-      gridContainer.closest('.crossclimb__wrapper'),
-      gridContainer.closest('.crossclimb__container'),
-      gridContainer.closest('[class*="crossclimb"]'),
-      document,
-    ].filter(Boolean);
-
-    for (const root of searchRoots) {
-      const clueEl = root.querySelector('.crossclimb__clue');
-      if (clueEl) {
-        const text = clueEl.textContent.trim();
-        if (text.length > 0) return text;
+  // Activate each middle row in turn and read the clue the game shows for it
+  async _readAllClues(board, status, log) {
+    status('solving', 'Reading clues from all rows...');
+    const rowClues = [];
+
+    for (let i = 0; i < board.middleRows.length; i++) {
+      const row = board.middleRows[i];
+      status('solving', `Reading clue ${i + 1}/${board.middleRows.length}...`);
+
+      // An already-focused row keeps its clue; otherwise wait for the clue to change
+      const before = BoardState.snapshot(board);
+      const wasFocused = BoardState.rowOf(before, row)?.focused;
+      await this._activateRow(row, board);
+      if (!wasFocused) {
+        await BoardState.waitFor((snap) => !!snap.clue && snap.clue !== before.clue,
+          { board, timeout: this.WAIT.clue });
       }
+      const clueText = BoardState.readClue(board.gridContainer);
+      rowClues.push({ index: i, clue: clueText });
+      log(`Row ${i + 1} clue: "${clueText || '(none)'}"`);
+    }
+
+    return rowClues;
+  },
+
+  // ----- PRE-SOLVE VERIFICATION -----
+
+  // Compare the live board against puzzleData: row count, letters per row, and how
+  // well the clues on screen match the source's clues. Returns
+  // { ok, confidence, checks: [{ name, ok, detail }] }.
+  _verifyPuzzleMatch(board, rowClues, puzzleData, middleAnswers) {
+    const checks = [];
+    const rowCount = board.middleRows.length;
+
+    // Row count
+    const rowCountOk = middleAnswers.length === rowCount;
+    checks.push({
+      name: 'row count',
+      ok: rowCountOk,
+      detail: `board has ${rowCount} middle rows, answers have ${middleAnswers.length}`
+    });
 
-      // Also try broader selectors
-      const clueSections = root.querySelectorAll('[class*="crossclimb__clue"]');
-      for (const section of clueSections) {
-        const text = section.textContent.trim();
-        // Skip very short or very long text (not a clue)
-        if (text.length > 5 && text.length < 200) return text;
+    // Letters per row (.crossclimb__guess_box cells) vs answer word length
+    const boxCounts = board.middleRows.map(row => BoardState.readRow(row).letters.length);
+    const answerLengths = [...new Set(middleAnswers.map(a => a.length))];
+    const boardLengths = [...new Set(boxCounts)];
+    const lengthOk = boardLengths.length === 1 && answerLengths.length === 1 &&
+                     boardLengths[0] === answerLengths[0];
+    checks.push({
+      name: 'word length',
+      ok: lengthOk,
+      detail: `board rows have ${boardLengths.join('/')} boxes, answers have ${answerLengths.join('/')} letters`
+    });
+
+    // Clue similarity: best score of each readable board clue against the source clues
+    const scores = [];
+    for (const { index, clue } of rowClues) {
+      if (this._isErrorClue(clue)) continue;
+      let best = 0;
+      for (const pair of puzzleData.clueAnswerPairs) {
+        best = Math.max(best, this._clueSimilarity(clue, pair.clue));
       }
+      scores.push({ index, best });
     }
+    const clueScore = scores.length > 0
+      ? scores.reduce((sum, s) => sum + s.best, 0) / scores.length
+      : 0;
+    checks.push({
+      name: 'clue similarity',
+      ok: clueScore >= this.VERIFY_THRESHOLD,
+      detail: scores.length > 0
+        ? `mean ${clueScore.toFixed(2)} over ${scores.length} readable clues [${scores.map(s => `${s.index + 1}:${s.best.toFixed(2)}`).join(' ')}]`
+        : 'no readable clues on the board'
+    });
 
-    return null;
+    // Structural mismatches mean a different puzzle no matter how the clues score
+    const confidence = rowCountOk && lengthOk ? clueScore : 0;
+    return { ok: confidence >= this.VERIFY_THRESHOLD, confidence, checks };
   },
 
   // ----- CLUE-ANSWER MATCHING -----
 
-  _matchClueToAnswer(clueFromDOM, puzzleData, usedAnswers) {
-    const normalize = (s) => s.toLowerCase().replace(/[^a-z0-9\s]/g, '').replace(/\s+/g, ' ').trim();
-    const clueNorm = normalize(clueFromDOM);
+  // Error messages the game shows in place of a clue (not real clues)
+  _isErrorClue(clue) {
+    if (!clue) return true;
+    const lower = clue.toLowerCase();
+    return lower.includes('wrong') || lower.includes('incorrect') ||
+           lower.includes('try again') || lower.includes('not quite') ||
+           lower.length > 150;
+  },
 
+  // Similarity of two clue texts in [0, 1] (see clue-similarity.js)
+  _clueSimilarity(a, b) {
+    return ClueSimilarity.score(a, b);
+  },
+
+  // Minimum similarity for a clue to count as evidence for an answer
+  MATCH_THRESHOLD: 0.3,
+
+  _matchClueToAnswer(clueFromDOM, puzzleData, usedAnswers) {
     let bestMatch = null;
     let bestScore = 0;
 
     for (const pair of puzzleData.clueAnswerPairs) {
       if (usedAnswers.includes(pair.answer)) continue;
+      const score = this._clueSimilarity(clueFromDOM, pair.clue);
+      if (score > bestScore) {
+        bestScore = score;
+        bestMatch = pair.answer;
+      }
+    }
 
-      const pairNorm = normalize(pair.clue);
-
-      // Exact match
-      if (clueNorm === pairNorm) return pair.answer;
+    return bestScore > this.MATCH_THRESHOLD ? bestMatch : null;
+  },
 
-      // One contains the other
-      if (clueNorm.includes(pairNorm) || pairNorm.includes(clueNorm)) {
-        if (0.9 > bestScore) { bestScore = 0.9; bestMatch = pair.answer; }
-        continue;
+  // ----- GLOBAL CLUE MATCHING -----
+  // Scores every row against every answer, then picks the assignment with the
+  // highest total similarity (Hungarian algorithm). Unlike greedy passes, an early
+  // weak match can't steal an answer that a later row matches better.
+  // Returns [{ index, answer, score, confidence, method }] where confidence is the
+  // row's margin over its best alternative, and method is 'clue' when the
+  // similarity cleared MATCH_THRESHOLD or 'fallback' when the row had no evidence.
+
+  // rejected is a Set of "row:ANSWER" keys (_pairKey) the game has marked wrong.
+  _globalMatchClues(rowClues, puzzleData, middleAnswers, log, rejected = new Set()) {
+    const matrix = this._buildScoreMatrix(rowClues, puzzleData, middleAnswers);
+    const rowCount = rowClues.length;
+    const answerCount = middleAnswers.length;
+    const size = Math.max(rowCount, answerCount);
+
+    // Square cost matrix; padded cells cost 1 (no similarity). A tiny positional
+    // term keeps evidence-free rows in ladder order, as the old fallback did.
+    const cost = [];
+    for (let i = 0; i < size; i++) {
+      cost.push([]);
+      for (let j = 0; j < size; j++) {
+        const score = i < rowCount && j < answerCount ? matrix[i][j] : 0;
+        const penalty = j < answerCount && rejected.has(this._pairKey(i, middleAnswers[j])) ? this.REJECTED_COST : 0;
+        cost[i].push(1 - score + penalty + Math.abs(i - j) * 1e-6);
       }
+    }
 
-      // Word overlap (Jaccard similarity)
-      const wordsA = new Set(clueNorm.split(' '));
-      const wordsB = new Set(pairNorm.split(' '));
-      const intersection = new Set([...wordsA].filter(w => wordsB.has(w)));
-      const union = new Set([...wordsA, ...wordsB]);
-      const jaccard = intersection.size / union.size;
+    const rowToAnswer = this._hungarian(cost);
+    const assignments = [];
 
-      if (jaccard > bestScore) {
-        bestScore = jaccard;
-        bestMatch = pair.answer;
-      }
+    for (let i = 0; i < rowCount; i++) {
+      const j = rowToAnswer[i];
+      if (j == null || j >= answerCount) continue;
+
+      const score = matrix[i][j];
+      const runnerUp = Math.max(0, ...matrix[i].filter((_, k) => k !== j));
+      const method = score > this.MATCH_THRESHOLD ? 'clue' : 'fallback';
+      const confidence = method === 'clue' ? Math.max(0, score - runnerUp) : 0;
+
+      assignments.push({ index: i, answer: middleAnswers[j], score, confidence, method });
+      log(method === 'clue'
+        ? `  Match (${score.toFixed(2)}, margin ${confidence.toFixed(2)}): Row ${i + 1} → ${middleAnswers[j]}`
+        : `  Fallback: Row ${i + 1} → ${middleAnswers[j]}`);
     }
 
-    return bestScore > 0.3 ? bestMatch : null;
+    return assignments;
   },
 
-  // ----- GLOBAL CLUE MATCHING -----
+  _pairKey(index, answer) {
+    return `${index}:${answer}`;
+  },
 
-  _globalMatchClues(rowClues, puzzleData, middleAnswers, log) {
-    const pairs = puzzleData.clueAnswerPairs;
-    const normalize = (s) => s.toLowerCase().replace(/[^a-z0-9\s]/g, '').replace(/\s+/g, ' ').trim();
-
-    // Detect error messages (not real clues)
-    const isErrorClue = (clue) => {
-      if (!clue) return true;
-      const lower = clue.toLowerCase();
-      return lower.includes('wrong') || lower.includes('incorrect') ||
-             lower.includes('try again') || lower.includes('not quite') ||
-             lower.length > 150;
-    };
+  // matrix[row][answer] = best similarity between the row's clue and any source
+  // clue for that answer (0 for rows showing an error instead of a clue)
+  _buildScoreMatrix(rowClues, puzzleData, middleAnswers) {
+    return rowClues.map(({ clue }) => middleAnswers.map(answer => {
+      if (this._isErrorClue(clue)) return 0;
+      let best = 0;
+      for (const pair of puzzleData.clueAnswerPairs) {
+        if (pair.answer !== answer) continue;
+        best = Math.max(best, this._clueSimilarity(clue, pair.clue));
+      }
+      return best;
+    }));
+  },
 
-    const assignments = new Array(rowClues.length).fill(null);
-    const usedAnswers = new Set();
-
-    // Pass 1: Exact matches (normalized)
-    for (let i = 0; i < rowClues.length; i++) {
-      const { clue } = rowClues[i];
-      if (isErrorClue(clue)) continue;
-      const clueNorm = normalize(clue);
-
-      for (const pair of pairs) {
-        if (usedAnswers.has(pair.answer)) continue;
-        if (clueNorm === normalize(pair.clue)) {
-          assignments[i] = pair.answer;
-          usedAnswers.add(pair.answer);
-          log(`  Exact match: Row ${i + 1} → ${pair.answer}`);
-          break;
+  // Cost of a row/answer pairing the game has rejected; above any real pairing's
+  // cost (at most 1), so it's only chosen when nothing else is left
+  REJECTED_COST: 10,
+
+  // Minimum-cost perfect matching on a square cost matrix (Hungarian algorithm,
+  // O(n^3) potentials form). Returns rowToCol[i] = assigned column.
+  _hungarian(cost) {
+    const n = cost.length;
+    const u = new Array(n + 1).fill(0);
+    const v = new Array(n + 1).fill(0);
+    const colToRow = new Array(n + 1).fill(0); // 1-based; 0 = unassigned
+    const way = new Array(n + 1).fill(0);
+
+    for (let i = 1; i <= n; i++) {
+      colToRow[0] = i;
+      let j0 = 0;
+      const minv = new Array(n + 1).fill(Infinity);
+      const used = new Array(n + 1).fill(false);
+
+      do {
+        used[j0] = true;
+        const i0 = colToRow[j0];
+        let delta = Infinity;
+        let j1 = 0;
+        for (let j = 1; j <= n; j++) {
+          if (used[j]) continue;
+          const cur = cost[i0 - 1][j - 1] - u[i0] - v[j];
+          if (cur < minv[j]) {
+            minv[j] = cur;
+            way[j] = j0;
+          }
+          if (minv[j] < delta) {
+            delta = minv[j];
+            j1 = j;
+          }
         }
-      }
+        for (let j = 0; j <= n; j++) {
+          if (used[j]) {
+            u[colToRow[j]] += delta;
+            v[j] -= delta;
+          } else {
+            minv[j] -= delta;
+          }
+        }
+        j0 = j1;
+      } while (colToRow[j0] !== 0);
+
+      do {
+        const j1 = way[j0];
+        colToRow[j0] = colToRow[j1];
+        j0 = j1;
+      } while (j0 !== 0);
     }
 
-    // Pass 2: Substring matches
-    for (let i = 0; i < rowClues.length; i++) {
-      if (assignments[i]) continue;
-      const { clue } = rowClues[i];
-      if (isErrorClue(clue)) continue;
-      const clueNorm = normalize(clue);
-
-      for (const pair of pairs) {
-        if (usedAnswers.has(pair.answer)) continue;
-        const pairNorm = normalize(pair.clue);
-        if (clueNorm.includes(pairNorm) || pairNorm.includes(clueNorm)) {
-          assignments[i] = pair.answer;
-          usedAnswers.add(pair.answer);
-          log(`  Substring match: Row ${i + 1} → ${pair.answer}`);
-          break;
-        }
-      }
+    const rowToCol = new Array(n);
+    for (let j = 1; j <= n; j++) {
+      if (colToRow[j] > 0) rowToCol[colToRow[j] - 1] = j - 1;
     }
+    return rowToCol;
+  },
+
+  // ----- REJECTION FEEDBACK -----
+  // The game marks a wrong guess on its row, or shows an error message where the
+  // clue was. Each rejected row/answer pairing is demoted in the clue matching and
+  // the assignment is solved again; rows whose answer changed are retyped.
+
+  MAX_REASSIGN_ROUNDS: 3,
+
+  // Activate a middle row and type its assigned answer. Returns the filledAnswers
+  // entry { answer, rowElement, index, errorClue } and records the fill result.
+  async _fillAssignment(assignment, board, log) {
+    const i = assignment.index;
+    const row = board.middleRows[i];
+    await this._activateRow(row, board);
+
+    log(`Typing "${assignment.answer}" into row ${i + 1}`);
+    const fill = await this._typeIntoRow(row, assignment.answer, board, log);
+    const result = { row: i + 1, answer: assignment.answer, ...fill };
+    const previous = this.state.fillResults.findIndex(f => f.row === i + 1);
+    if (previous >= 0) this.state.fillResults[previous] = result;
+    else this.state.fillResults.push(result);
+
+    // The row is still active, so the clue area now shows its clue or the game's error
+    const snap = BoardState.snapshot(board);
+    const errorClue = BoardState.rowOf(snap, row)?.focused && snap.clue && this._isErrorClue(snap.clue)
+      ? snap.clue : null;
+    return { answer: assignment.answer, rowElement: row, index: i, errorClue };
+  },
+
+  // Filled entries the game rejected: marked wrong, or answered with an error clue
+  async _rejectedRows(filled, board) {
+    // Feedback can lag the last keystroke; wait until a filled row is marked, or give up
+    const snap = await BoardState.waitFor(
+      (s) => filled.some(f => BoardState.rowOf(s, f.rowElement)?.correct != null),
+      { board, timeout: this.WAIT.feedback, settle: this.WAIT.settle }) || BoardState.snapshot(board);
+    return filled.filter(f => f.errorClue || BoardState.rowOf(snap, f.rowElement)?.correct === false);
+  },
+
+  // Demote rejected pairings, re-match, and retype rows whose answer changed, until
+  // the game accepts every row, the matching stops changing, or the rounds run out.
+  // Updates filledAnswers in place.
+  async _reassignRejectedRows(filledAnswers, rowClues, puzzleData, middleAnswers, board, status, log) {
+    const rejected = new Set();
+    let suspects = filledAnswers;
 
-    // Pass 3: Jaccard similarity (best match above threshold)
-    for (let i = 0; i < rowClues.length; i++) {
-      if (assignments[i]) continue;
-      const { clue } = rowClues[i];
-      if (isErrorClue(clue)) continue;
-      const clueNorm = normalize(clue);
-      const wordsA = new Set(clueNorm.split(' '));
-
-      let bestMatch = null;
-      let bestScore = 0;
-
-      for (const pair of pairs) {
-        if (usedAnswers.has(pair.answer)) continue;
-        const pairNorm = normalize(pair.clue);
-        const wordsB = new Set(pairNorm.split(' '));
-        const intersection = new Set([...wordsA].filter(w => wordsB.has(w)));
-        const union = new Set([...wordsA, ...wordsB]);
-        const jaccard = intersection.size / union.size;
-        if (jaccard > bestScore) { bestScore = jaccard; bestMatch = pair.answer; }
+    for (let round = 1; round <= this.MAX_REASSIGN_ROUNDS; round++) {
+      const rejectedRows = await this._rejectedRows(suspects, board);
+      if (rejectedRows.length === 0) return;
+
+      for (const f of rejectedRows) {
+        rejected.add(this._pairKey(f.index, f.answer));
+        log(`Game rejected row ${f.index + 1} = ${f.answer}${f.errorClue ? ` ("${f.errorClue}")` : ''}`);
       }
 
-      if (bestScore > 0.3 && bestMatch) {
-        assignments[i] = bestMatch;
-        usedAnswers.add(bestMatch);
-        log(`  Fuzzy match (${bestScore.toFixed(2)}): Row ${i + 1} → ${bestMatch}`);
+      status('solving', `Re-matching ${rejectedRows.length} rejected row${rejectedRows.length > 1 ? 's' : ''}...`);
+      const assignments = this._globalMatchClues(rowClues, puzzleData, middleAnswers, log, rejected);
+      const changed = assignments.filter(a => filledAnswers.find(f => f.index === a.index)?.answer !== a.answer);
+      if (changed.length === 0) {
+        log('No other answer fits the rejected rows; leaving them as typed');
+        return;
       }
-    }
 
-    // Pass 4: Assign remaining answers to remaining rows (position-based fallback)
-    const remainingAnswers = middleAnswers.filter(a => !usedAnswers.has(a));
-    let remainIdx = 0;
-    for (let i = 0; i < rowClues.length; i++) {
-      if (assignments[i]) continue;
-      if (remainIdx < remainingAnswers.length) {
-        assignments[i] = remainingAnswers[remainIdx++];
-        log(`  Fallback: Row ${i + 1} → ${assignments[i]}`);
+      log(`Round ${round}: retyping ${changed.map(a => `Row ${a.index + 1}=${a.answer}`).join(', ')}`);
+      suspects = [];
+      for (const assignment of changed) {
+        const entry = await this._fillAssignment(assignment, board, log);
+        filledAnswers[filledAnswers.findIndex(f => f.index === assignment.index)] = entry;
+        suspects.push(entry);
       }
     }
 
-    return assignments
-      .map((answer, i) => ({ index: i, answer }))
-      .filter(a => a.answer);
+    const stillRejected = await this._rejectedRows(suspects, board);
+    if (stillRejected.length > 0) {
+      log(`Rows still rejected after ${this.MAX_REASSIGN_ROUNDS} rounds: ${stillRejected.map(f => f.index + 1).join(', ')}`);
+    }
   },
 
   // ----- TYPING -----
 
-  async _typeIntoRow(rowElement, answer, board, log) {
-    const idx = rowElement.getAttribute('data-cs-row');
-    const rowSel = `[data-cs-row="${idx}"]`;
-
-    // Primary: Use fill-row to target each input individually via execCommand
-    const result = await CrossclimbDOM.pageFillRow(rowSel, answer);
-    if (log) {
-      log(`  Fill row: ok=${result.ok} inputs=${result.inputCount || '?'}${result.error ? ' err=' + result.error : ''}`);
-      // Log per-letter details
-      if (result.fillDetails) {
-        const summary = result.fillDetails.map(d =>
-          `${d.letter}${d.execOk ? '' : '!exec'}${d.fallback ? '(fb)' : ''}=${d.valueAfter || '?'}`
-        ).join(' ');
-        log(`  Letters: ${summary}`);
+  // Typing strategies in escalation order. The first fills the whole row; each
+  // later one only retypes the cells the row still has wrong. StrategyScoreboard
+  // moves the last one that worked to the front and drops those that keep failing.
+  // Retypes are scored and ordered as 'retype', apart from whole-row 'fill's:
+  // finishing a few cells someone else typed says little about filling a row.
+  FILL_STRATEGIES: ['pageFillRow', 'pageTypeWord', 'simulateKeyPresses', 'clickVirtualKeyboard'],
+
+  // Type answer into a row, read the inputs back, and retype wrong cells with the
+  // next strategy until the row reads correctly. rowSel defaults to the row's
+  // data-cs-row tag. Returns { ok, strategy, attempts: [{ strategy, cells, wrongCells }] }
+  // where strategy is the one that completed the row (null if none did).
+  async _typeIntoRow(rowElement, answer, board, log, rowSel = `[data-cs-row="${rowElement.getAttribute('data-cs-row')}"]`) {
+    const attempts = [];
+    let cells = [...answer].map((_, k) => k);
+    // The first attempt in 'fill' order, the retypes in 'retype' order, each strategy once
+    const kindOf = () => (attempts.length === 0 ? 'fill' : 'retype');
+    const nextStrategy = () => StrategyScoreboard.order(kindOf(), this.FILL_STRATEGIES)
+      .find(s => !attempts.some(a => a.strategy === s)) || null;
+
+    for (let strategy = nextStrategy(); strategy; strategy = nextStrategy()) {
+      const started = Date.now();
+      try {
+        await this._fillCells(strategy, rowElement, rowSel, answer, cells, board, log);
+      } catch (e) {
+        log?.(`  ${strategy} failed: ${e.message}`);
       }
+      await this._waitForWord(board, rowElement, answer);
+
+      const wrongCells = this._wrongCells(rowElement, answer);
+      StrategyScoreboard.record(kindOf(), strategy, wrongCells.length === 0, Date.now() - started);
+      attempts.push({ strategy, cells, wrongCells });
+      if (wrongCells.length === 0) {
+        log?.(`  Verified "${answer}" via ${strategy}${attempts.length > 1 ? ` (attempt ${attempts.length})` : ''}`);
+        return { ok: true, strategy, attempts };
+      }
+      log?.(`  ${strategy}: row reads "${this._rowText(rowElement)}", ` +
+        `retyping cell${wrongCells.length > 1 ? 's' : ''} ${wrongCells.map(k => k + 1).join(', ')}`);
+      cells = wrongCells;
     }
 
-    if (!result.ok) {
-      // Fallback: click first box + type word via execCommand-only
-      if (log) log(`  Falling back to type-word`);
-      const boxSel = `${rowSel} .crossclimb__guess_box`;
-      await CrossclimbDOM.pageClick(boxSel);
-      await CrossclimbDOM.sleep(200);
-      const typeResult = await CrossclimbDOM.pageTypeWord(answer);
-      if (log) log(`  Type word fallback: ok=${typeResult.ok}`);
+    log?.(`  Could not type "${answer}": row still reads "${this._rowText(rowElement)}"`);
+    return { ok: false, strategy: null, attempts };
+  },
+
+  // "Row 1=pageFillRow, Row 2=simulateKeyPresses, top=FAILED" from state.fillResults
+  _describeFills(fillResults) {
+    return fillResults.map(f => `${typeof f.row === 'number' ? `Row ${f.row}` : f.row}=${f.strategy || 'FAILED'}`).join(', ');
+  },
+
+  // Box indexes whose input doesn't hold the answer's letter
+  _wrongCells(rowElement, answer) {
+    const { letters } = BoardState.readRow(rowElement);
+    return [...answer].map((_, k) => k).filter(k => letters[k] !== answer[k]);
+  },
+
+  // The row's letters with '_' for empty boxes
+  _rowText(rowElement) {
+    return BoardState.readRow(rowElement).letters.map(l => l || '_').join('');
+  },
+
+  // Type answer's letters at `cells` (box indexes) with one strategy
+  async _fillCells(strategy, rowElement, rowSel, answer, cells, board, log) {
+    const inputs = [...rowElement.querySelectorAll('.crossclimb__guess_box input')];
+    inputs.forEach((input, k) => input.setAttribute('data-cs-cell', String(k)));
+    const cellSel = (k) => `${rowSel} [data-cs-cell="${k}"]`;
+    const wholeRow = cells.length === answer.length;
+
+    switch (strategy) {
+      case 'pageFillRow': {
+        // execCommand on each input in the page context
+        const result = await CrossclimbDOM.pageFillRow(rowSel, answer, wholeRow ? null : cells);
+        log?.(`  Fill row: ok=${result.ok} inputs=${result.inputCount || '?'}${result.error ? ' err=' + result.error : ''}`);
+        if (result.fillDetails) {
+          const summary = result.fillDetails.map(d =>
+            `${d.letter}${d.execOk ? '' : '!exec'}${d.fallback ? '(fb)' : ''}=${d.valueAfter || '?'}`
+          ).join(' ');
+          log?.(`  Letters: ${summary}`);
+        }
+        if (!result.ok) throw new Error(result.error || 'no response');
+        break;
+      }
+
+      case 'pageTypeWord':
+        // Key events in the page context at the focused box; the game advances the cursor
+        if (wholeRow) {
+          await CrossclimbDOM.pageClick(`${rowSel} .crossclimb__guess_box`);
+          await this._waitForFocus(board, rowElement);
+          await CrossclimbDOM.pageTypeWord(answer);
+          break;
+        }
+        for (const k of cells) {
+          await CrossclimbDOM.pageClick(cellSel(k));
+          inputs[k]?.select();
+          await CrossclimbDOM.pageTypeWord(answer[k]);
+        }
+        break;
+
+      case 'simulateKeyPresses':
+        // Key events plus the native value setter, from the content script
+        for (const k of cells) {
+          if (!inputs[k]) continue;
+          CrossclimbDOM.setReactInputValue(inputs[k], '');
+          await CrossclimbDOM.simulateKeyPresses(inputs[k], answer[k].toLowerCase());
+        }
+        break;
+
+      case 'clickVirtualKeyboard':
+        // The game's on-screen keyboard, one focused box at a time
+        for (const k of cells) {
+          await CrossclimbDOM.pageClick(cellSel(k));
+          inputs[k]?.select();
+          await CrossclimbDOM.clickVirtualKeyboard(answer[k]);
+        }
+        break;
     }
   },
 
   // ----- ROW REORDERING -----
 
+  // Reorder phases in default order. targets are the elements dragged, tried in
+  // turn until one moves a row; the deep Ember phase has none.
+  DRAG_PHASES: {
+    // Chrome DevTools Protocol Input.dispatchMouseEvent produces isTrusted:true
+    // pointer/mouse events. These are indistinguishable from real user input and
+    // trigger setPointerCapture, React/Ember state transitions, and all other
+    // native browser behaviors.
+    'debugger': { title: 'Trusted drag via chrome.debugger API', targets: ['handle', 'dragger', 'row'] },
+    // For when the debugger API is unavailable (e.g. the user denies debugger
+    // permission). Synthetic events with monkeypatched setPointerCapture; these
+    // have isTrusted:false so they may not trigger the game's state update.
+    'capture-bypass': { title: 'Pointer drag with setPointerCapture bypass', targets: ['handle', 'dragger'] },
+    // Synthetic DragEvent/DataTransfer. Also isTrusted:false.
+    'html5': { title: 'HTML5 Drag and Drop', targets: ['handle', 'row'] },
+    // Loads Ember via requirejs, searches for the owner and attempts a
+    // service-level reorder. Falls back to a DOM reorder.
+    'ember': { title: 'Deep Ember reorder', targets: null }
+  },
+
+  // Shortest list of single-row moves that turns currentWords into targetWords.
+  // A move { word, from, to } takes the row at `from` out of the list and drops it
+  // so it ends up at `to`; the rows in between shift one place to close the gap,
+  // which is what the game's sortable list does. Dropping onto the row currently
+  // at `to` lands it there. Rows on a longest increasing subsequence (by target
+  // position) never move, so the plan has n - LIS moves. Returns null when the
+  // two orders don't hold the same words.
+  _planReorder(currentWords, targetWords) {
+    if (currentWords.length !== targetWords.length) return null;
+
+    // Target position of each current row; repeated words (e.g. empty rows) pair up in order
+    const remaining = targetWords.map((word, rank) => ({ word, rank }));
+    const ranks = [];
+    for (const word of currentWords) {
+      const k = remaining.findIndex(r => r.word === word);
+      if (k < 0) return null;
+      ranks.push(remaining.splice(k, 1)[0].rank);
+    }
+
+    const keep = this._longestIncreasing(ranks);
+    let order = ranks.slice();
+    const placed = new Set(keep.map(i => ranks[i]));
+    const moves = [];
+
+    // Move the other rows in target order, each to just after the placed row
+    // ranked below it (or to the top); placed rows always stay in target order
+    for (const rank of ranks.filter(r => !placed.has(r)).sort((a, b) => a - b)) {
+      const from = order.indexOf(rank);
+      const rest = order.filter(r => r !== rank);
+      const before = rest.filter(r => placed.has(r) && r < rank);
+      const to = before.length > 0 ? rest.indexOf(Math.max(...before)) + 1 : 0;
+      moves.push({ word: targetWords[rank], from, to });
+      order = this._moveRow(order, from, to);
+      placed.add(rank);
+    }
+    return moves;
+  },
+
+  // items with the one at `from` moved to index `to` (the list a drop produces)
+  _moveRow(items, from, to) {
+    const moved = items.slice();
+    const [item] = moved.splice(from, 1);
+    moved.splice(to, 0, item);
+    return moved;
+  },
+
+  // Indexes of one longest strictly increasing subsequence of values (patience sorting)
+  _longestIncreasing(values) {
+    const tails = [];       // tails[len] = index ending the best subsequence of length len + 1
+    const previous = [];
+    values.forEach((value, i) => {
+      let lo = 0;
+      let hi = tails.length;
+      while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (values[tails[mid]] < value) lo = mid + 1;
+        else hi = mid;
+      }
+      previous[i] = lo > 0 ? tails[lo - 1] : -1;
+      tails[lo] = i;
+    });
+
+    const indexes = [];
+    for (let i = tails.length ? tails[tails.length - 1] : -1; i >= 0; i = previous[i]) indexes.unshift(i);
+    return indexes;
+  },
+
   async _reorderMiddleRows(board, correctMiddleOrder, filledAnswers, log) {
-    // correctMiddleOrder is [word2, word3, word4, word5, word6] in correct ladder order
+    // correctMiddleOrder is the ladder minus its endpoints, one word per middle row
 
-    // Read actual board state via bridge (sorted by visual y-coordinate)
+    // Read the middle rows top to bottom and re-tag data-cs-row in that order so
+    // drag selectors keep pointing at the right rows. Returns [{word, csRow, y}, ...].
     const readOrder = async () => {
-      const result = await CrossclimbDOM.pageReadOrder();
-      if (!result.ok || !result.data?.rows) return null;
-      return result.data.rows; // [{word, csRow, y}, ...]
+      const middle = BoardState.snapshot(board).rows.filter(r => r.kind === 'middle');
+      if (middle.length === 0) return null;
+      return middle.map((row, i) => {
+        row.element.setAttribute('data-cs-row', String(i));
+        return { word: row.word, csRow: String(i), y: row.y };
+      });
     };
 
     const isCorrect = (rows) => {
@@ -542,25 +933,33 @@ const Solver = {
     const currentWords = current.map(r => r.word);
     log(`Current order: ${currentWords.join(' → ')}`);
     log(`Target order:  ${correctMiddleOrder.join(' → ')}`);
+    const plan = this._planReorder(currentWords, correctMiddleOrder);
+    if (plan) {
+      log(`Plan: ${plan.length} move${plan.length === 1 ? '' : 's'}${plan.map(m => ` ${m.word} ${m.from}→${m.to}`).join(',')}`);
+    } else {
+      log('Board rows do not hold the target words; cannot plan a reorder');
+    }
 
     if (isCorrect(current)) {
       log('Rows already in correct order!');
       return;
     }
 
-    // Helper: find first wrong position and build selectors
+    // Helper: plan the remaining moves from the order on the board and build
+    // selectors for the first one. Replanned after every drag, so a drop that
+    // lands somewhere unexpected only costs the moves it actually undid.
     const findSwap = (rows) => {
       const words = rows.map(r => r.word);
-      const wrongIdx = words.findIndex((w, i) => w !== correctMiddleOrder[i]);
-      if (wrongIdx < 0) return null;
-      const targetWord = correctMiddleOrder[wrongIdx];
-      const sourceIdx = words.indexOf(targetWord);
-      if (sourceIdx < 0) return null;
+      const plan = this._planReorder(words, correctMiddleOrder);
+      if (!plan || plan.length === 0) return null;
+      const { word, from: sourceIdx, to: wrongIdx } = plan[0];
       // Use [data-sortable-handle="true"] for the actual sortable handle element
       const srcRow = rows[sourceIdx].csRow;
       const tgtRow = rows[wrongIdx].csRow;
       return {
-        word: targetWord, sourceIdx, wrongIdx, srcRow, tgtRow,
+        word, sourceIdx, wrongIdx, srcRow, tgtRow,
+        movesLeft: plan.length,
+        expectedWords: this._moveRow(words, sourceIdx, wrongIdx),
         srcHandle: `[data-cs-row="${srcRow}"] [data-sortable-handle="true"]`,
         tgtHandle: `[data-cs-row="${tgtRow}"] [data-sortable-handle="true"]`,
         srcDragger: `[data-cs-row="${srcRow}"] .crossclimb__guess-dragger`,
@@ -571,7 +970,8 @@ const Solver = {
     };
 
     // Helper: try a single drag with a given method, return true if it changed the order
-    const tryOneDrag = async (method, label, srcSel, tgtSel, beforeWords) => {
+    // expectedWords is the order the planner predicts the drop will produce
+    const tryOneDrag = async (method, label, srcSel, tgtSel, beforeWords, expectedWords) => {
       log(`  Moving via ${label}...`);
       let dragResult;
       switch (method) {
@@ -594,7 +994,7 @@ const Solver = {
           return false;
       }
       log(`  ${label}: ok=${dragResult.ok}${dragResult.dragged ? ' trusted=yes' : ''}${dragResult.captureAttempted ? ' captureBypass=yes' : ''}${dragResult.html5Completed ? ' html5=complete' : ''}${dragResult.error ? ' err=' + dragResult.error : ''}`);
-      await CrossclimbDOM.sleep(800);
+      await this._waitForOrderChange(board, beforeWords);
 
       const after = await readOrder();
       if (isCorrect(after)) {
@@ -608,22 +1008,26 @@ const Solver = {
           return 'no-effect';
         }
         log(`  ${label} partial: ${afterWords.join(' → ')}`);
+        if (expectedWords && afterWords.join() !== expectedWords.join()) {
+          log(`  Drop landed differently than planned (expected ${expectedWords.join(' → ')}); replanning`);
+        }
         return 'partial';
       }
       return 'error';
     };
 
-    // Helper: try multiple drags with a given method until correct
+    // Helper: try multiple drags with a given method until correct. A plan never
+    // needs more than n - 1 moves; the bound leaves a spare for a misplaced drop.
     const tryFullReorder = async (method, label, selectorFn) => {
-      for (let pass = 0; pass < 6; pass++) {
+      for (let pass = 0; pass <= correctMiddleOrder.length; pass++) {
         current = await readOrder();
         if (!current || isCorrect(current)) return isCorrect(current);
         const swap = findSwap(current);
-        if (!swap) return true; // already correct
+        if (!swap) return false; // not correct, but no plan from this order (e.g. a misread row)
         const beforeWords = current.map(r => r.word);
         const { src, tgt } = selectorFn ? selectorFn(swap) : { src: swap.srcHandle, tgt: swap.tgtHandle };
-        log(`  [${label} pass ${pass + 1}] "${swap.word}" pos ${swap.sourceIdx}→${swap.wrongIdx}`);
-        const result = await tryOneDrag(method, label, src, tgt, beforeWords);
+        log(`  [${label} pass ${pass + 1}] "${swap.word}" pos ${swap.sourceIdx}→${swap.wrongIdx} (${swap.movesLeft} move${swap.movesLeft > 1 ? 's' : ''} left)`);
+        const result = await tryOneDrag(method, label, src, tgt, beforeWords, swap.expectedWords);
         if (result === 'complete') return true;
         if (result === 'no-effect') return false;
         // partial — continue
@@ -632,309 +1036,232 @@ const Solver = {
       return current && isCorrect(current);
     };
 
-    let reordered = false;
+    // Helper: one drag phase. Tries each drag target in turn until one moves a row,
+    // then finishes the reorder with it.
+    const dragTargets = {
+      handle: { src: 'srcHandle', tgt: 'tgtHandle', name: '[data-sortable-handle]' },
+      dragger: { src: 'srcDragger', tgt: 'tgtDragger', name: '.crossclimb__guess-dragger' },
+      row: { src: 'srcRow', tgt: 'tgtRow', name: 'row element' }
+    };
+    const tryDragPhase = async (method, targets) => {
+      for (const [n, target] of targets.entries()) {
+        current = await readOrder();
+        if (!current || isCorrect(current)) return isCorrect(current);
+        const swap = findSwap(current);
+        if (!swap) return false;
 
-    // ──── Phase 1: Trusted drag via chrome.debugger API ────
-    // Uses Chrome DevTools Protocol Input.dispatchMouseEvent to produce
-    // isTrusted:true pointer/mouse events. These are indistinguishable from
-    // real user input and will trigger setPointerCapture, React/Ember state
-    // transitions, and all other native browser behaviors.
-    log('Phase 1: Trusted drag via chrome.debugger API...');
-    {
-      const swap = findSwap(current);
-      if (swap) {
-        const beforeWords = current.map(r => r.word);
-        // Try the sortable handle first
-        let result = await tryOneDrag('debugger', 'debugger-handle', swap.srcHandle, swap.tgtHandle, beforeWords);
-        if (result === 'complete') {
-          reordered = true;
-        } else if (result === 'partial') {
-          reordered = await tryFullReorder('debugger', 'debugger-handle');
-        } else if (result === 'no-effect') {
-          // Try the .crossclimb__guess-dragger element instead
-          log('  Retrying on .crossclimb__guess-dragger...');
-          current = await readOrder();
-          if (current && !isCorrect(current)) {
-            const swap2 = findSwap(current);
-            if (swap2) {
-              const bw2 = current.map(r => r.word);
-              const result2 = await tryOneDrag('debugger', 'debugger-dragger', swap2.srcDragger, swap2.tgtDragger, bw2);
-              if (result2 === 'complete') {
-                reordered = true;
-              } else if (result2 === 'partial') {
-                reordered = await tryFullReorder('debugger', 'debugger-dragger',
-                  (s) => ({ src: s.srcDragger, tgt: s.tgtDragger }));
-              } else if (result2 === 'no-effect') {
-                // Try dragging the entire row element
-                log('  Retrying on row element...');
-                current = await readOrder();
-                if (current && !isCorrect(current)) {
-                  const swap3 = findSwap(current);
-                  if (swap3) {
-                    const bw3 = current.map(r => r.word);
-                    const result3 = await tryOneDrag('debugger', 'debugger-row', swap3.srcRow, swap3.tgtRow, bw3);
-                    if (result3 === 'complete') reordered = true;
-                    else if (result3 === 'partial') {
-                      reordered = await tryFullReorder('debugger', 'debugger-row',
-                        (s) => ({ src: s.srcRow, tgt: s.tgtRow }));
-                    }
-                  }
-                }
-              }
-            }
-          }
-        }
+        const { src, tgt, name } = dragTargets[target];
+        const label = `${method}-${target}`;
+        if (n > 0) log(`  Retrying on ${name}...`);
+        const result = await tryOneDrag(method, label, swap[src], swap[tgt], current.map(r => r.word), swap.expectedWords);
+        if (result === 'complete') return true;
+        if (result === 'partial') return tryFullReorder(method, label, (s) => ({ src: s[src], tgt: s[tgt] }));
+        if (result !== 'no-effect') return false;
       }
-    }
+      return false;
+    };
 
-    // ──── Phase 2 (fallback): Pointer drag with setPointerCapture bypass ────
-    // Kept as fallback in case debugger API is unavailable (e.g. user denies
-    // debugger permission). Uses synthetic events with monkeypatched
-    // setPointerCapture — these have isTrusted:false so they may not trigger
-    // the game's state update.
-    if (!reordered) {
-      log('Phase 2 (fallback): Pointer drag with setPointerCapture bypass...');
+    // Helper: the deep Ember reorder phase. visualOnly is set when only the DOM
+    // moved; that isn't scored as a success since the game may not accept it.
+    let visualOnly = false;
+    const tryDeepReorder = async () => {
       current = await readOrder();
-      if (current && !isCorrect(current)) {
-        const swap = findSwap(current);
-        if (swap) {
-          const beforeWords = current.map(r => r.word);
-          const result = await tryOneDrag('capture-bypass', 'capture-bypass', swap.srcHandle, swap.tgtHandle, beforeWords);
-          if (result === 'complete') {
-            reordered = true;
-          } else if (result === 'partial') {
-            reordered = await tryFullReorder('capture-bypass', 'capture-bypass');
-          } else if (result === 'no-effect') {
-            log('  Retrying on .crossclimb__guess-dragger...');
-            current = await readOrder();
-            if (current && !isCorrect(current)) {
-              const swap2 = findSwap(current);
-              if (swap2) {
-                const bw2 = current.map(r => r.word);
-                const result2 = await tryOneDrag('capture-bypass', 'capture-bypass-dragger', swap2.srcDragger, swap2.tgtDragger, bw2);
-                if (result2 === 'complete') reordered = true;
-                else if (result2 === 'partial') reordered = await tryFullReorder('capture-bypass', 'capture-bypass-dragger',
-                  (s) => ({ src: s.srcDragger, tgt: s.tgtDragger }));
-              }
-            }
-          }
-        }
-      }
-    }
+      if (!current || isCorrect(current)) return isCorrect(current);
 
-    // ──── Phase 3 (fallback): HTML5 Drag and Drop ────
-    // Uses synthetic DragEvent/DataTransfer. Also isTrusted:false.
-    if (!reordered) {
-      log('Phase 3 (fallback): HTML5 Drag and Drop...');
-      current = await readOrder();
-      if (current && !isCorrect(current)) {
-        const swap = findSwap(current);
-        if (swap) {
-          const beforeWords = current.map(r => r.word);
-          let result = await tryOneDrag('html5', 'html5-handle', swap.srcHandle, swap.tgtHandle, beforeWords);
-          if (result === 'complete') {
-            reordered = true;
-          } else if (result === 'partial') {
-            reordered = await tryFullReorder('html5', 'html5');
-          } else if (result === 'no-effect') {
-            current = await readOrder();
-            if (current && !isCorrect(current)) {
-              const swap2 = findSwap(current);
-              if (swap2) {
-                const bw2 = current.map(r => r.word);
-                const result2 = await tryOneDrag('html5', 'html5-row', swap2.srcRow, swap2.tgtRow, bw2);
-                if (result2 === 'complete') reordered = true;
-                else if (result2 === 'partial') reordered = await tryFullReorder('html5', 'html5-row',
-                  (s) => ({ src: s.srcRow, tgt: s.tgtRow }));
-              }
-            }
-          }
+      const deepResult = await CrossclimbDOM.pageEmberDeepReorder(correctMiddleOrder);
+      const reorderMethod = deepResult.reorderMethod || (deepResult.reordered ? 'unknown' : 'none');
+      log(`  Deep reorder: ok=${deepResult.ok} ownerFound=${deepResult.ownerFound || false} reordered=${deepResult.reordered || false} method=${reorderMethod}`);
+
+      // Log strategies tried
+      if (deepResult.strategies?.length > 0) {
+        for (const s of deepResult.strategies) {
+          log(`  Strategy: ${s}`);
         }
       }
-    }
 
-    // ──── Phase 4 (fallback): Deep Ember reorder ────
-    // Loads Ember via requirejs, searches for owner, attempts service-level reorder.
-    // Falls back to DOM reorder.
-    if (!reordered) {
-      log('Phase 4 (fallback): Deep Ember reorder...');
-      current = await readOrder();
-      if (current && !isCorrect(current)) {
-        const deepResult = await CrossclimbDOM.pageEmberDeepReorder(correctMiddleOrder);
-        const reorderMethod = deepResult.reorderMethod || (deepResult.reordered ? 'unknown' : 'none');
-        log(`  Deep reorder: ok=${deepResult.ok} ownerFound=${deepResult.ownerFound || false} reordered=${deepResult.reordered || false} method=${reorderMethod}`);
-
-        // Log strategies tried
-        if (deepResult.strategies?.length > 0) {
-          for (const s of deepResult.strategies) {
-            log(`  Strategy: ${s}`);
+      // Log diagnostics
+      const diag = deepResult.diag || {};
+      if (diag.emberVersion) log(`  Ember version: ${diag.emberVersion}`);
+      if (diag.namespaceCount !== undefined) log(`  Namespaces: ${diag.namespaceCount}`);
+      if (diag.viewRegistryCount !== undefined) log(`  View registry entries: ${diag.viewRegistryCount}`);
+      if (diag.globalEmberViews !== undefined) log(`  Global .ember-view elements: ${diag.globalEmberViews}`);
+      if (diag.viewsWithMeta !== undefined) log(`  Views with __ember metadata: ${diag.viewsWithMeta}`);
+      if (diag.candidateElements !== undefined) log(`  Candidate elements searched: ${diag.candidateElements} (with meta: ${diag.candidatesWithMeta || 0})`);
+      if (diag.appClassKeys?.length > 0) log(`  App class keys: ${diag.appClassKeys.join(', ')}`);
+
+      // Log lookups
+      if (deepResult.lookups) {
+        for (const [name, info] of Object.entries(deepResult.lookups)) {
+          if (info.found) {
+            log(`  Lookup ${name}: FOUND [${info.keys?.slice(0, 15).join(', ')}]`);
+            if (info.sortCompKeys) log(`    sortComponent: [${info.sortCompKeys.slice(0, 15).join(', ')}]`);
+            if (info.groupEntryCount !== undefined) log(`    groupEntries: ${info.groupEntryCount}`);
+          } else if (info.error) {
+            log(`  Lookup ${name}: error=${info.error}`);
           }
         }
+      }
 
-        // Log diagnostics
-        const diag = deepResult.diag || {};
-        if (diag.emberVersion) log(`  Ember version: ${diag.emberVersion}`);
-        if (diag.namespaceCount !== undefined) log(`  Namespaces: ${diag.namespaceCount}`);
-        if (diag.viewRegistryCount !== undefined) log(`  View registry entries: ${diag.viewRegistryCount}`);
-        if (diag.globalEmberViews !== undefined) log(`  Global .ember-view elements: ${diag.globalEmberViews}`);
-        if (diag.viewsWithMeta !== undefined) log(`  Views with __ember metadata: ${diag.viewsWithMeta}`);
-        if (diag.candidateElements !== undefined) log(`  Candidate elements searched: ${diag.candidateElements} (with meta: ${diag.candidatesWithMeta || 0})`);
-        if (diag.appClassKeys?.length > 0) log(`  App class keys: ${diag.appClassKeys.join(', ')}`);
-
-        // Log lookups
-        if (deepResult.lookups) {
-          for (const [name, info] of Object.entries(deepResult.lookups)) {
-            if (info.found) {
-              log(`  Lookup ${name}: FOUND [${info.keys?.slice(0, 15).join(', ')}]`);
-              if (info.sortCompKeys) log(`    sortComponent: [${info.sortCompKeys.slice(0, 15).join(', ')}]`);
-              if (info.groupEntryCount !== undefined) log(`    groupEntries: ${info.groupEntryCount}`);
-            } else if (info.error) {
-              log(`  Lookup ${name}: error=${info.error}`);
-            }
-          }
-        }
+      // Log game-state module info
+      if (diag.gameState) {
+        const gs = diag.gameState;
+        log(`  game-state module: defaultType=${gs.defaultType} keys=[${gs.keys?.join(', ')}]`);
+        if (gs.protoKeys?.length > 0) log(`    proto: [${gs.protoKeys.join(', ')}]`);
+        if (gs.objectKeys?.length > 0) log(`    object: [${gs.objectKeys.join(', ')}]`);
+        if (gs.namedExports) log(`    exports: ${JSON.stringify(gs.namedExports)}`);
+      }
+      if (diag.gameStateError) log(`  game-state error: ${diag.gameStateError}`);
 
-        // Log game-state module info
-        if (diag.gameState) {
-          const gs = diag.gameState;
-          log(`  game-state module: defaultType=${gs.defaultType} keys=[${gs.keys?.join(', ')}]`);
-          if (gs.protoKeys?.length > 0) log(`    proto: [${gs.protoKeys.join(', ')}]`);
-          if (gs.objectKeys?.length > 0) log(`    object: [${gs.objectKeys.join(', ')}]`);
-          if (gs.namedExports) log(`    exports: ${JSON.stringify(gs.namedExports)}`);
-        }
-        if (diag.gameStateError) log(`  game-state error: ${diag.gameStateError}`);
+      // Log crossclimb component info
+      if (diag.crossclimbComp) {
+        log(`  crossclimb component: defaultType=${diag.crossclimbComp.defaultType}`);
+        if (diag.crossclimbComp.protoKeys?.length > 0) log(`    proto: [${diag.crossclimbComp.protoKeys.join(', ')}]`);
+      }
+      if (diag.guessComp) {
+        log(`  guess component: defaultType=${diag.guessComp.defaultType}`);
+        if (diag.guessComp.protoKeys?.length > 0) log(`    proto: [${diag.guessComp.protoKeys.join(', ')}]`);
+      }
+      if (diag.sortableGroup) {
+        log(`  sortable-group modifier: defaultType=${diag.sortableGroup.defaultType}`);
+        if (diag.sortableGroup.protoKeys?.length > 0) log(`    proto: [${diag.sortableGroup.protoKeys.join(', ')}]`);
+      }
 
-        // Log crossclimb component info
-        if (diag.crossclimbComp) {
-          log(`  crossclimb component: defaultType=${diag.crossclimbComp.defaultType}`);
-          if (diag.crossclimbComp.protoKeys?.length > 0) log(`    proto: [${diag.crossclimbComp.protoKeys.join(', ')}]`);
-        }
-        if (diag.guessComp) {
-          log(`  guess component: defaultType=${diag.guessComp.defaultType}`);
-          if (diag.guessComp.protoKeys?.length > 0) log(`    proto: [${diag.guessComp.protoKeys.join(', ')}]`);
-        }
-        if (diag.sortableGroup) {
-          log(`  sortable-group modifier: defaultType=${diag.sortableGroup.defaultType}`);
-          if (diag.sortableGroup.protoKeys?.length > 0) log(`    proto: [${diag.sortableGroup.protoKeys.join(', ')}]`);
+      // Log deep diagnostic dump if present
+      if (diag.deepDump) {
+        const dd = diag.deepDump;
+        log('  --- DIAGNOSTIC DUMP ---');
+
+        // D1: Service internals
+        if (dd.sortableState) {
+          const ss = dd.sortableState;
+          log(`  sortable-state ownProps: [${ss.ownProps?.join(', ')}]`);
+          log(`  sortable-state proto1: [${ss.proto1?.join(', ')}]`);
+          if (ss.groups) {
+            const g = ss.groups;
+            log(`  groups: type=${g.type} constructor=${g.constructor} isMap=${g.isMap} isSet=${g.isSet} isArray=${g.isArray}`);
+            log(`  groups: size=${g.size} length=${g.length} hasForEach=${g.hasForEach} hasEntries=${g.hasEntries}`);
+            log(`  groups ownKeys: [${g.ownKeys?.join(', ')}]`);
+            log(`  groups protoKeys: [${g.protoKeys?.slice(0, 15).join(', ')}]`);
+            if (g.symbols?.length > 0) log(`  groups symbols: [${g.symbols.join(', ')}]`);
+            if (g.mapKeys) log(`  groups mapKeys: [${g.mapKeys.join(', ')}]`);
+            if (g.json) log(`  groups json: ${g.json}`);
+          }
+          // Log any inspected own properties
+          for (const [key, val] of Object.entries(ss)) {
+            if (key.startsWith('prop_')) log(`  sortable-state.${key.slice(5)}: type=${val.type} constructor=${val.constructor} keys=[${val.keys?.join(', ')}]`);
+          }
         }
 
-        // Log deep diagnostic dump if present
-        if (diag.deepDump) {
-          const dd = diag.deepDump;
-          log('  --- DIAGNOSTIC DUMP ---');
-
-          // D1: Service internals
-          if (dd.sortableState) {
-            const ss = dd.sortableState;
-            log(`  sortable-state ownProps: [${ss.ownProps?.join(', ')}]`);
-            log(`  sortable-state proto1: [${ss.proto1?.join(', ')}]`);
-            if (ss.groups) {
-              const g = ss.groups;
-              log(`  groups: type=${g.type} constructor=${g.constructor} isMap=${g.isMap} isSet=${g.isSet} isArray=${g.isArray}`);
-              log(`  groups: size=${g.size} length=${g.length} hasForEach=${g.hasForEach} hasEntries=${g.hasEntries}`);
-              log(`  groups ownKeys: [${g.ownKeys?.join(', ')}]`);
-              log(`  groups protoKeys: [${g.protoKeys?.slice(0, 15).join(', ')}]`);
-              if (g.symbols?.length > 0) log(`  groups symbols: [${g.symbols.join(', ')}]`);
-              if (g.mapKeys) log(`  groups mapKeys: [${g.mapKeys.join(', ')}]`);
-              if (g.json) log(`  groups json: ${g.json}`);
-            }
-            // Log any inspected own properties
-            for (const [key, val] of Object.entries(ss)) {
-              if (key.startsWith('prop_')) log(`  sortable-state.${key.slice(5)}: type=${val.type} constructor=${val.constructor} keys=[${val.keys?.join(', ')}]`);
-            }
+        if (dd.dragCoord) {
+          const dc = dd.dragCoord;
+          log(`  drag-coord ownProps: [${dc.ownProps?.join(', ')}]`);
+          log(`  drag-coord proto1: [${dc.proto1?.join(', ')}]`);
+          if (dc.sortComponents) {
+            const sc = dc.sortComponents;
+            log(`  sortComponents: type=${sc.type} constructor=${sc.constructor} isMap=${sc.isMap} isSet=${sc.isSet} isArray=${sc.isArray}`);
+            log(`  sortComponents: size=${sc.size} length=${sc.length} hasForEach=${sc.hasForEach}`);
+            log(`  sortComponents ownKeys: [${sc.ownKeys?.join(', ')}]`);
           }
+        }
 
-          if (dd.dragCoord) {
-            const dc = dd.dragCoord;
-            log(`  drag-coord ownProps: [${dc.ownProps?.join(', ')}]`);
-            log(`  drag-coord proto1: [${dc.proto1?.join(', ')}]`);
-            if (dc.sortComponents) {
-              const sc = dc.sortComponents;
-              log(`  sortComponents: type=${sc.type} constructor=${sc.constructor} isMap=${sc.isMap} isSet=${sc.isSet} isArray=${sc.isArray}`);
-              log(`  sortComponents: size=${sc.size} length=${sc.length} hasForEach=${sc.hasForEach}`);
-              log(`  sortComponents ownKeys: [${sc.ownKeys?.join(', ')}]`);
+        // D2: Registry
+        if (dd.registry) {
+          if (dd.registry.registrations?.length > 0) log(`  registry entries: [${dd.registry.registrations.join(', ')}]`);
+          if (dd.registry.resolveCache?.length > 0) log(`  resolve cache: [${dd.registry.resolveCache.join(', ')}]`);
+          if (dd.registry.resolvedInstances?.length > 0) {
+            for (const ri of dd.registry.resolvedInstances) {
+              log(`  cached: ${ri.key} type=${ri.type} constructor=${ri.constructor} hasGameState=${ri.hasGameState}`);
             }
           }
-
-          // D2: Registry
-          if (dd.registry) {
-            if (dd.registry.registrations?.length > 0) log(`  registry entries: [${dd.registry.registrations.join(', ')}]`);
-            if (dd.registry.resolveCache?.length > 0) log(`  resolve cache: [${dd.registry.resolveCache.join(', ')}]`);
-            if (dd.registry.resolvedInstances?.length > 0) {
-              for (const ri of dd.registry.resolvedInstances) {
-                log(`  cached: ${ri.key} type=${ri.type} constructor=${ri.constructor} hasGameState=${ri.hasGameState}`);
-              }
-            }
-            if (dd.registry.factories) {
-              for (const [name, f] of Object.entries(dd.registry.factories)) {
-                if (f.found) log(`  factory ${name}: hasClass=${f.hasClass} proto=[${f.protoKeys?.join(', ')}]`);
-                else if (f.error) log(`  factory ${name}: error=${f.error}`);
-              }
+          if (dd.registry.factories) {
+            for (const [name, f] of Object.entries(dd.registry.factories)) {
+              if (f.found) log(`  factory ${name}: hasClass=${f.hasClass} proto=[${f.protoKeys?.join(', ')}]`);
+              else if (f.error) log(`  factory ${name}: error=${f.error}`);
             }
           }
+        }
 
-          // D3: All services
-          if (dd.allServices?.length > 0) log(`  all cached services (${dd.allServices.length}): [${dd.allServices.slice(0, 20).join(', ')}]`);
-          if (dd.servicesWithGameState?.length > 0) log(`  SERVICES WITH gameState: [${dd.servicesWithGameState.join(', ')}]`);
-
-          // D4: DOM metadata
-          if (dd.domMetadata) {
-            for (const [elName, info] of Object.entries(dd.domMetadata)) {
-              if (!info.found) continue;
-              log(`  ${elName}: dunderKeys=[${info.dunderKeys?.join(', ')}] emberKeys=[${info.emberKeys?.join(', ')}]`);
-              for (const [refKey, refVal] of Object.entries(info)) {
-                if (refKey.startsWith('ref_')) {
-                  log(`    ${refKey}: type=${refVal.type} constructor=${refVal.constructor} keys=[${refVal.keys?.slice(0, 10).join(', ')}] gameState=${refVal.hasGameState} component=${refVal.hasComponent}`);
-                }
+        // D3: All services
+        if (dd.allServices?.length > 0) log(`  all cached services (${dd.allServices.length}): [${dd.allServices.slice(0, 20).join(', ')}]`);
+        if (dd.servicesWithGameState?.length > 0) log(`  SERVICES WITH gameState: [${dd.servicesWithGameState.join(', ')}]`);
+
+        // D4: DOM metadata
+        if (dd.domMetadata) {
+          for (const [elName, info] of Object.entries(dd.domMetadata)) {
+            if (!info.found) continue;
+            log(`  ${elName}: dunderKeys=[${info.dunderKeys?.join(', ')}] emberKeys=[${info.emberKeys?.join(', ')}]`);
+            for (const [refKey, refVal] of Object.entries(info)) {
+              if (refKey.startsWith('ref_')) {
+                log(`    ${refKey}: type=${refVal.type} constructor=${refVal.constructor} keys=[${refVal.keys?.slice(0, 10).join(', ')}] gameState=${refVal.hasGameState} component=${refVal.hasComponent}`);
               }
             }
           }
+        }
 
-          // D5: Globals
-          if (dd.globals) {
-            const g = dd.globals;
-            log(`  viewRegistry: exists=${g.hasViewRegistry} count=${g.viewRegistryCount}`);
-            if (g.viewsWithGameState?.length > 0) log(`  viewRegistry components with gameState: [${g.viewsWithGameState.join(', ')}]`);
-            if (g.viewSamples?.length > 0) {
-              for (const vs of g.viewSamples) {
-                log(`  viewSample: id=${vs.id} constructor=${vs.constructor} keys=[${vs.keys?.join(', ')}]`);
-              }
+        // D5: Globals
+        if (dd.globals) {
+          const g = dd.globals;
+          log(`  viewRegistry: exists=${g.hasViewRegistry} count=${g.viewRegistryCount}`);
+          if (g.viewsWithGameState?.length > 0) log(`  viewRegistry components with gameState: [${g.viewsWithGameState.join(', ')}]`);
+          if (g.viewSamples?.length > 0) {
+            for (const vs of g.viewSamples) {
+              log(`  viewSample: id=${vs.id} constructor=${vs.constructor} keys=[${vs.keys?.join(', ')}]`);
             }
           }
+        }
 
-          // D6: Modules
-          if (dd.modules) {
-            log(`  requirejs modules: ${dd.modules.total} total`);
-            if (dd.modules.crossclimb?.length > 0) log(`  crossclimb modules: [${dd.modules.crossclimb.join(', ')}]`);
-            if (dd.modules.sortable?.length > 0) log(`  sortable modules: [${dd.modules.sortable.join(', ')}]`);
-            if (dd.modules.gameState?.length > 0) log(`  game-state modules: [${dd.modules.gameState.join(', ')}]`);
-          }
-
-          log('  --- END DIAGNOSTIC DUMP ---');
-          log('  (Full dump also in browser console: F12 → Console, search "[CS-DIAG]")');
+        // D6: Modules
+        if (dd.modules) {
+          log(`  requirejs modules: ${dd.modules.total} total`);
+          if (dd.modules.crossclimb?.length > 0) log(`  crossclimb modules: [${dd.modules.crossclimb.join(', ')}]`);
+          if (dd.modules.sortable?.length > 0) log(`  sortable modules: [${dd.modules.sortable.join(', ')}]`);
+          if (dd.modules.gameState?.length > 0) log(`  game-state modules: [${dd.modules.gameState.join(', ')}]`);
         }
 
-        if (deepResult.reordered) {
-          await CrossclimbDOM.sleep(1000);
-          current = await readOrder();
-          if (isCorrect(current)) {
-            if (reorderMethod === 'ember-model') {
-              log('  Ember model reorder succeeded!');
-              reordered = true;
-            } else if (reorderMethod === 'dom') {
-              log('  DOM reorder succeeded visually but Ember model NOT updated');
-              log('  WARNING: Game may not recognize the reorder. Endpoint rows may not unlock.');
-              // Still mark as "reordered" so we don't retry, but the model may be stale
-              reordered = true;
-            } else {
-              log('  Reorder succeeded (method: ' + reorderMethod + ')');
-              reordered = true;
-            }
+        log('  --- END DIAGNOSTIC DUMP ---');
+        log('  (Full dump also in browser console: F12 → Console, search "[CS-DIAG]")');
+      }
+
+      if (deepResult.reordered) {
+        await BoardState.waitFor((snap) => snap.middleOrder.join() === correctMiddleOrder.join(),
+          { board, timeout: this.WAIT.order, settle: this.WAIT.settle });
+        current = await readOrder();
+        if (isCorrect(current)) {
+          if (reorderMethod === 'ember-model') {
+            log('  Ember model reorder succeeded!');
+            return true;
+          } else if (reorderMethod === 'dom') {
+            log('  DOM reorder succeeded visually but Ember model NOT updated');
+            log('  WARNING: Game may not recognize the reorder. Endpoint rows may not unlock.');
+            // Still count it as reordered so we don't retry, but the model may be stale
+            visualOnly = true;
+            return true;
           } else {
-            log('  Reorder applied but visual order still wrong');
+            log('  Reorder succeeded (method: ' + reorderMethod + ')');
+            return true;
           }
+        } else {
+          log('  Reorder applied but visual order still wrong');
         }
       }
+      return false;
+    };
+
+    // Phases in the scoreboard's order: the last one that worked on this board
+    // first, without those that keep failing. Only scored when a plan exists,
+    // since no phase can reorder rows that don't hold the target words.
+    let reordered = false;
+    const phases = StrategyScoreboard.order('drag', Object.keys(this.DRAG_PHASES));
+    const skipped = Object.keys(this.DRAG_PHASES).filter(m => !phases.includes(m));
+    if (skipped.length > 0) log(`Skipping drag phases that keep failing on this board: ${skipped.join(', ')}`);
+
+    for (const [n, method] of phases.entries()) {
+      const phase = this.DRAG_PHASES[method];
+      log(`Phase ${n + 1}${n > 0 ? ' (fallback)' : ''}: ${phase.title}...`);
+      const started = Date.now();
+      reordered = phase.targets ? await tryDragPhase(method, phase.targets) : await tryDeepReorder();
+      if (plan) StrategyScoreboard.record('drag', method, reordered && !visualOnly, Date.now() - started);
+      if (reordered) break;
     }
 
     // Final verification
@@ -982,7 +1309,7 @@ const Solver = {
     }
 
     // Check for word-rows
-    if (wordLadder?.length >= 7) {
+    if (wordLadder?.length >= AnswerParser.MIN_LADDER_LENGTH) {
       const wordRows = this._findWordRows(document, document.body, wordLadder);
       if (wordRows.length >= 3) {
         info.wordRows = wordRows;
@@ -1045,7 +1372,7 @@ const Solver = {
   },
 
   _findWordRows(doc, root, wordLadder) {
-    if (!root || !wordLadder || wordLadder.length < 7) return [];
+    if (!root || !wordLadder || wordLadder.length < AnswerParser.MIN_LADDER_LENGTH) return [];
     const wordSet = new Set(wordLadder.map(w => w.toUpperCase()));
     const wordRows = [];
     const overlayEl = document.getElementById('crossclimb-solver-overlay');
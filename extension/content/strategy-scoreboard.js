@@ -0,0 +1,135 @@
+// Copyright 2025 mcarthey
+// SPDX-License-Identifier: Apache-2.0
+//
+// CrossclimbSolver - Strategy Scoreboard
+// Remembers which typing and drag methods worked on this board, so the next
+// solve starts with the last one that worked and skips the ones that keep
+// failing. A skipped method gets another chance once RETRY_AFTER_MS has passed
+// since it was last tried. Kept in chrome.storage.local per extension version
+// and board fingerprint: an update or a LinkedIn DOM change starts a fresh
+// scoreboard.
+//
+// A stored entry is { version, fingerprint, lastSuccess: { [kind]: method },
+// methods: { [kind]: { [method]: { successes, failures, failStreak, totalMs, lastUsedAt } } } }
+// where kind is 'fill' (Solver.FILL_STRATEGIES typing a whole row), 'retype'
+// (the same strategies retyping a row's wrong cells) or 'drag' (Solver.DRAG_PHASES).
+
+const StrategyScoreboard = {
+  KEY_PREFIX: 'strategies:',
+  // Failures in a row before a method is skipped
+  SKIP_AFTER_FAILURES: 3,
+  // How long a skipped method is left out before it is tried again
+  RETRY_AFTER_MS: 24 * 60 * 60 * 1000,
+
+  _key: null,
+  _entry: null,
+
+  // Short hash of the board's structure: shape plus the drag handle and input
+  // markup the strategies depend on. Stable across puzzles, changes with the DOM.
+  fingerprint(board) {
+    const firstRow = board.middleRows[0];
+    const input = firstRow?.querySelector('.crossclimb__guess_box input');
+    const features = [
+      `${board.shape.rows}x${board.shape.wordLength}`,
+      `handle=${!!firstRow?.querySelector('[data-sortable-handle]')}`,
+      `dragger=${!!firstRow?.querySelector('.crossclimb__guess-dragger')}`,
+      `input=${input ? input.getAttribute('type') || 'text' : 'none'}`,
+      `iframe=${board.doc !== document}`,
+      ...[...board.gridContainer.classList].filter(c => c.startsWith('crossclimb__')).sort()
+    ].join('|');
+
+    let hash = 5381;
+    for (let i = 0; i < features.length; i++) hash = ((hash * 33) ^ features.charCodeAt(i)) >>> 0;
+    return hash.toString(36);
+  },
+
+  // Load the scoreboard for this board. Never throws: without storage the
+  // solver just runs every method in default order.
+  async load(board) {
+    const version = chrome.runtime.getManifest().version;
+    const fingerprint = this.fingerprint(board);
+    this._key = `${this.KEY_PREFIX}${version}:${fingerprint}`;
+    try {
+      this._entry = (await chrome.storage.local.get(this._key))[this._key] || null;
+    } catch (e) {
+      console.warn('[CrossclimbSolver] Strategy scoreboard unavailable:', e.message);
+      this._entry = null;
+    }
+    this._entry = this._entry || { version, fingerprint, lastSuccess: {}, methods: {} };
+    return this._entry;
+  },
+
+  // methods reordered for this board: the last one that worked first, then the
+  // rest by failure streak, ties going to the faster method on average and then
+  // to the given order. Methods on a streak of SKIP_AFTER_FAILURES are left out
+  // until RETRY_AFTER_MS after their last use. If every method is left out they
+  // are all returned, since something has to be tried.
+  order(kind, methods, now = Date.now()) {
+    const stats = this._entry?.methods[kind] || {};
+    const streak = (m) => stats[m]?.failStreak || 0;
+    const skipped = (m) => streak(m) >= this.SKIP_AFTER_FAILURES && now - stats[m].lastUsedAt < this.RETRY_AFTER_MS;
+    const usable = methods.filter(m => !skipped(m));
+    const ordered = (usable.length > 0 ? usable : methods.slice()).sort((a, b) =>
+      streak(a) - streak(b) ||
+      this._compareTimes(this._avgMs(stats[a]), this._avgMs(stats[b])) ||
+      methods.indexOf(a) - methods.indexOf(b));
+    const last = this._entry?.lastSuccess[kind];
+    return ordered.includes(last) ? [last, ...ordered.filter(m => m !== last)] : ordered;
+  },
+
+  // Average ms per use, or null for a method never used
+  _avgMs(stats) {
+    const uses = stats ? stats.successes + stats.failures : 0;
+    return uses > 0 ? stats.totalMs / uses : null;
+  },
+
+  // Faster first; a method never used has no time and goes after the timed ones
+  _compareTimes(a, b) {
+    if (a === null || b === null) return (a === null) - (b === null);
+    return a - b;
+  },
+
+  // Record one use of a method and save the scoreboard in the background
+  record(kind, method, ok, ms) {
+    if (!this._entry) return;
+    const byMethod = this._entry.methods[kind] = this._entry.methods[kind] || {};
+    const stats = byMethod[method] = byMethod[method] ||
+      { successes: 0, failures: 0, failStreak: 0, totalMs: 0, lastUsedAt: null };
+
+    if (ok) {
+      stats.successes++;
+      stats.failStreak = 0;
+      this._entry.lastSuccess[kind] = method;
+    } else {
+      stats.failures++;
+      stats.failStreak++;
+    }
+    stats.totalMs += Math.round(ms);
+    stats.lastUsedAt = Date.now();
+
+    chrome.storage.local.set({ [this._key]: this._entry })
+      .catch(e => console.warn('[CrossclimbSolver] Could not save strategy scoreboard:', e.message));
+  },
+
+  // [{ kind, method, successes, failures, failStreak, avgMs, last }] for the loaded board
+  summary() {
+    if (!this._entry) return [];
+    return Object.entries(this._entry.methods).flatMap(([kind, byMethod]) =>
+      Object.entries(byMethod).map(([method, s]) => ({
+        kind,
+        method,
+        successes: s.successes,
+        failures: s.failures,
+        failStreak: s.failStreak,
+        avgMs: Math.round(this._avgMs(s) || 0),
+        last: this._entry.lastSuccess[kind] === method
+      })));
+  },
+
+  // Forget every board's scoreboard
+  async reset() {
+    const all = await chrome.storage.local.get(null);
+    await chrome.storage.local.remove(Object.keys(all).filter(key => key.startsWith(this.KEY_PREFIX)));
+    if (this._entry) this._entry = { ...this._entry, lastSuccess: {}, methods: {} };
+  }
+};
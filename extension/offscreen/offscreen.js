@@ -0,0 +1,38 @@
+// Copyright 2025 mcarthey
+// SPDX-License-Identifier: Apache-2.0
+//
+// CrossclimbSolver - Offscreen Parser
+// Service workers have no DOMParser, so the background worker hands answer-page
+// HTML to this hidden document to run the source's parser. All answer-page parsing
+// happens here; content scripts and the popup only ever see the resulting puzzleData.
+// Only messages addressed with target: 'offscreen' are handled here.
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.target !== 'offscreen') return;
+
+  if (message.type === 'PARSE_ANSWERS') {
+    try {
+      const source = AnswerSources.get(message.sourceId) || AnswerSources.getDefault();
+      const puzzleData = source.parse(message.html, message.shape || undefined);
+      sendResponse({ success: true, data: { puzzleData, parserVersion: AnswerParser.VERSION } });
+    } catch (error) {
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
+  if (message.type === 'CHECK_PAGE') {
+    try {
+      sendResponse({ success: true, data: AnswerParser.checkPage(message.html, message.previous || null) });
+    } catch (error) {
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
+  if (message.type === 'RUN_STRATEGIES') {
+    try {
+      sendResponse({ success: true, data: AnswerParser.runStrategies(message.html, message.shape || undefined) });
+    } catch (error) {
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+});
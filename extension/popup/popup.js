@@ -10,6 +10,20 @@ const puzzleValue = document.getElementById('puzzleValue');
 const solveBtn = document.getElementById('solveBtn');
 const inspectBtn = document.getElementById('inspectBtn');
 const toggleBtn = document.getElementById('toggleBtn');
+const cacheList = document.getElementById('cacheList');
+const purgeCacheBtn = document.getElementById('purgeCacheBtn');
+const importText = document.getElementById('importText');
+const importErrors = document.getElementById('importErrors');
+const importBtn = document.getElementById('importBtn');
+const archiveSelect = document.getElementById('archiveSelect');
+const archivePreview = document.getElementById('archivePreview');
+const archivePreviewBtn = document.getElementById('archivePreviewBtn');
+const archiveLoadBtn = document.getElementById('archiveLoadBtn');
+const prefetchBox = document.getElementById('prefetchBox');
+const prefetchText = document.getElementById('prefetchText');
+const prefetchBtn = document.getElementById('prefetchBtn');
+const healthReport = document.getElementById('healthReport');
+const checkSourcesBtn = document.getElementById('checkSourcesBtn');
 
 // Check if we're on the Crossclimb page
 async function checkStatus() {
@@ -20,6 +34,7 @@ async function checkStatus() {
       statusDot.classList.add('active');
       statusText.textContent = 'Connected to Crossclimb page';
       solveBtn.disabled = false;
+      archiveLoadBtn.disabled = false;
 
       // Try to get puzzle data from the content script
       try {
@@ -44,6 +59,133 @@ async function checkStatus() {
   }
 }
 
+// List cached puzzles (newest first); expired entries are dimmed
+async function renderCache() {
+  try {
+    const entries = await AnswerCache.list();
+    cacheList.textContent = '';
+    if (entries.length === 0) {
+      cacheList.textContent = 'No cached puzzles';
+      return;
+    }
+
+    for (const entry of entries) {
+      const ladder = entry.puzzleData?.wordLadder || [];
+      const ageHours = Math.round((Date.now() - entry.cachedAt) / 3600000);
+
+      const row = document.createElement('div');
+      row.className = 'cache-entry';
+      if (Date.now() - entry.cachedAt >= AnswerCache.TTL_MS) row.classList.add('stale');
+
+      const words = document.createElement('span');
+      words.className = 'words';
+      words.textContent = ladder.length >= 2
+        ? `#${entry.puzzleNumber} ${ladder[0]} → ${ladder[ladder.length - 1]}`
+        : `#${entry.puzzleNumber}`;
+
+      const meta = document.createElement('span');
+      meta.textContent = `${entry.parserVersion != null ? `v${entry.parserVersion}` : 'imported'} · ${ageHours}h `;
+
+      const exportBtn = document.createElement('button');
+      exportBtn.className = 'export';
+      exportBtn.textContent = 'copy';
+      exportBtn.title = 'Copy as shareable JSON';
+      exportBtn.addEventListener('click', async () => {
+        await navigator.clipboard.writeText(PuzzleSchema.export(entry.puzzleData));
+        statusText.textContent = `Copied puzzle #${entry.puzzleNumber}`;
+      });
+      meta.appendChild(exportBtn);
+
+      row.append(words, meta);
+      cacheList.appendChild(row);
+    }
+  } catch (error) {
+    cacheList.textContent = 'Cache unavailable: ' + error.message;
+  }
+}
+
+// Whether the background prefetch already has today's answers cached
+async function renderPrefetch() {
+  const state = await AnswerCache.getPrefetchState();
+  const today = PuzzleArchive.releaseDay();
+  const time = (ms) => new Date(ms).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+  prefetchBox.classList.remove('ready');
+  prefetchBox.title = state?.lastError || '';
+  if (!state || state.releaseDay !== today) {
+    prefetchText.textContent = "Today's answers: not fetched yet";
+  } else if (state.status === 'ready') {
+    prefetchBox.classList.add('ready');
+    prefetchText.textContent = `Today's answers ready: #${state.puzzleNumber}`;
+  } else if (state.status === 'waiting') {
+    prefetchText.textContent = `Not published yet, next check ${time(state.nextAttemptAt)}`;
+  } else {
+    prefetchText.textContent = 'Not published yet, will fetch when you open the game';
+  }
+}
+
+// Fill the archive picker with every puzzle the default source lists
+async function renderArchive() {
+  try {
+    const entries = await PuzzleArchive.get(AnswerSources.getDefault().id);
+    archiveSelect.textContent = '';
+    for (const entry of entries) {
+      const option = document.createElement('option');
+      option.value = entry.puzzleNumber;
+      option.textContent = entry.date
+        ? `#${entry.puzzleNumber} · ${entry.dateEstimated ? '~' : ''}${entry.date}`
+        : `#${entry.puzzleNumber}`;
+      archiveSelect.appendChild(option);
+    }
+  } catch (error) {
+    archivePreview.textContent = 'Archive unavailable: ' + error.message;
+  }
+}
+
+// Fetch a past puzzle (parsed by the background, cached for the content script) to show its ladder.
+// The popup doesn't load the parser, so it can't tell whether a cached entry is from
+// the current parser version; the background always parses and reports the version.
+async function previewArchivePuzzle(puzzleNumber) {
+  const source = AnswerSources.getDefault();
+  const response = await chrome.runtime.sendMessage({ type: 'FETCH_ANSWERS', sourceId: source.id, puzzleNumber });
+  if (!response?.success) throw new Error(response?.error || 'Fetch failed');
+
+  const { puzzleData: parsed, parserVersion } = response.data;
+  if (parsed.wordLadder.length >= 2 && PuzzleSchema.validate(parsed).ok) {
+    await AnswerCache.set(puzzleNumber, parsed, parserVersion);
+  }
+  return parsed;
+}
+
+// One block per source: its status, then a line per checked page with the
+// strategies that stopped producing valid output and any layout changes
+function renderSourceHealth(report) {
+  healthReport.textContent = '';
+  for (const source of report.sources) {
+    const heading = document.createElement('div');
+    heading.className = source.status;
+    heading.textContent = `${source.name}: ${source.status}`;
+    healthReport.appendChild(heading);
+
+    const lines = source.error ? [source.error] : [];
+    for (const page of source.pages) {
+      if (page.error) {
+        lines.push(`#${page.puzzleNumber} (${page.label}): ${page.error}`);
+        continue;
+      }
+      const failing = page.strategies.filter(s => !s.valid).map(s => s.name);
+      const valid = page.strategies.length - failing.length;
+      lines.push(`#${page.puzzleNumber} (${page.label}): ${valid}/${page.strategies.length} strategies, ` +
+        (page.parse.ok ? `ladder via ${page.parse.ladderStrategy}` : 'no ladder'));
+      lines.push(...page.changes.map(change => `  ${change}`));
+      if (failing.length > 0) heading.title += `#${page.puzzleNumber}: ${failing.join(', ')}\n`;
+    }
+    const details = document.createElement('div');
+    details.textContent = lines.join('\n');
+    healthReport.appendChild(details);
+  }
+}
+
 // Send a command to the content script
 async function sendCommand(command) {
   try {
@@ -75,8 +217,82 @@ toggleBtn.addEventListener('click', async () => {
   await sendCommand('TOGGLE_OVERLAY');
 });
 
+// Validate a pasted export and store it in the cache, where the content
+// script picks it up the next time that puzzle is loaded
+importBtn.addEventListener('click', async () => {
+  const imported = PuzzleSchema.import(importText.value);
+  const errors = imported.ok ? [] : PuzzleSchema.describeErrors(imported.errors);
+  if (imported.ok && imported.puzzleData.puzzleNumber == null) {
+    errors.push('puzzleNumber: required to store a puzzle in the cache');
+  }
+  importErrors.textContent = errors.join('\n');
+  if (errors.length > 0) return;
+
+  const { puzzleNumber } = imported.puzzleData;
+  await AnswerCache.set(puzzleNumber, imported.puzzleData, null);
+  importText.value = '';
+  statusText.textContent = `Imported puzzle #${puzzleNumber}`;
+  renderCache();
+});
+
+prefetchBtn.addEventListener('click', async () => {
+  prefetchText.textContent = 'Checking...';
+  await chrome.runtime.sendMessage({ type: 'PREFETCH_NOW' });
+  await renderPrefetch();
+  renderCache();
+});
+
+checkSourcesBtn.addEventListener('click', async () => {
+  checkSourcesBtn.disabled = true;
+  healthReport.textContent = 'Checking answer sources...';
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'CHECK_SOURCES' });
+    if (!response?.success) throw new Error(response?.error || 'no response');
+    renderSourceHealth(response.data);
+  } catch (error) {
+    healthReport.textContent = 'Check failed: ' + error.message;
+  }
+  checkSourcesBtn.disabled = false;
+});
+
+archivePreviewBtn.addEventListener('click', async () => {
+  const puzzleNumber = parseInt(archiveSelect.value, 10);
+  if (!Number.isInteger(puzzleNumber)) return;
+  archivePreview.textContent = `Fetching #${puzzleNumber}...`;
+  try {
+    const data = await previewArchivePuzzle(puzzleNumber);
+    archivePreview.textContent = data.wordLadder.join(' → ') || 'No ladder found';
+    renderCache();
+  } catch (error) {
+    archivePreview.textContent = `Could not load #${puzzleNumber}: ${error.message}`;
+  }
+});
+
+archiveLoadBtn.addEventListener('click', async () => {
+  const puzzleNumber = parseInt(archiveSelect.value, 10);
+  if (!Number.isInteger(puzzleNumber)) return;
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const response = await chrome.tabs.sendMessage(tab.id, { type: 'LOAD_PUZZLE', puzzleNumber });
+    statusText.textContent = response?.ok
+      ? `Loaded puzzle #${puzzleNumber}`
+      : `Load failed: ${response?.error || 'no response'}`;
+  } catch (error) {
+    statusText.textContent = 'Error: ' + error.message;
+  }
+});
+
+purgeCacheBtn.addEventListener('click', async () => {
+  const removed = await AnswerCache.purge();
+  statusText.textContent = `Cleared ${removed} cache entr${removed === 1 ? 'y' : 'ies'}`;
+  renderCache();
+});
+
 // Listen for messages from content script in main.js
 // (Add message listener to content/main.js to handle these popup commands)
 
 // Initialize
 checkStatus();
+renderCache();
+renderArchive();
+renderPrefetch();
@@ -0,0 +1,109 @@
+// Copyright 2025 mcarthey
+// SPDX-License-Identifier: Apache-2.0
+//
+// CrossclimbSolver - Answer Cache
+// Persists parsed puzzleData in chrome.storage.local, keyed by puzzle number.
+// Entries carry the parser version that produced them and expire after a TTL,
+// so a parser fix automatically invalidates answers parsed by the old code.
+// Imported entries have no parser version and only expire by TTL.
+// Stored puzzleData is migrated to the current PuzzleSchema version on read.
+// Shared by the content scripts (read/write) and the popup (inspect/import/purge).
+
+const AnswerCache = {
+  KEY_PREFIX: 'answers:',
+  LATEST_KEY: 'answers-latest',
+  // Status of the background prefetch of the day's puzzle (written by background.js)
+  PREFETCH_KEY: 'answers-prefetch',
+  TTL_MS: 7 * 24 * 60 * 60 * 1000,
+  // How long a "latest puzzle number" lookup is trusted before asking the source again
+  LATEST_TTL_MS: 15 * 60 * 1000,
+
+  _key(puzzleNumber) {
+    return `${this.KEY_PREFIX}${puzzleNumber}`;
+  },
+
+  _isFresh(entry, parserVersion) {
+    if (!entry || !entry.puzzleData) return false;
+    if (parserVersion != null && entry.parserVersion != null && entry.parserVersion !== parserVersion) return false;
+    return Date.now() - entry.cachedAt < this.TTL_MS;
+  },
+
+  // Returns cached puzzleData, or null if missing, expired or from another parser version
+  async get(puzzleNumber, parserVersion) {
+    const key = this._key(puzzleNumber);
+    const stored = await chrome.storage.local.get(key);
+    const entry = stored[key];
+    if (!this._isFresh(entry, parserVersion)) return null;
+    return PuzzleSchema.migrate(entry.puzzleData);
+  },
+
+  // parserVersion is null for puzzles that didn't come from the parser (imports)
+  async set(puzzleNumber, puzzleData, parserVersion) {
+    await chrome.storage.local.set({
+      [this._key(puzzleNumber)]: {
+        puzzleNumber,
+        puzzleData: PuzzleSchema.migrate(puzzleData),
+        parserVersion,
+        cachedAt: Date.now()
+      }
+    });
+  },
+
+  // Most recent fresh entry by puzzle number (offline fallback)
+  async getNewest(parserVersion) {
+    const entries = (await this.list()).filter(e => this._isFresh(e, parserVersion));
+    return entries.length > 0 ? entries[0].puzzleData : null;
+  },
+
+  // All cached entries, newest puzzle first
+  async list() {
+    const all = await chrome.storage.local.get(null);
+    return Object.entries(all)
+      .filter(([key]) => key.startsWith(this.KEY_PREFIX))
+      .map(([, entry]) => ({ ...entry, puzzleData: PuzzleSchema.migrate(entry.puzzleData) }))
+      .sort((a, b) => b.puzzleNumber - a.puzzleNumber);
+  },
+
+  // Remember which puzzle number a source reported as latest
+  async setLatest(sourceId, puzzleNumber) {
+    const stored = await chrome.storage.local.get(this.LATEST_KEY);
+    const latest = stored[this.LATEST_KEY] || {};
+    latest[sourceId] = { puzzleNumber, checkedAt: Date.now() };
+    await chrome.storage.local.set({ [this.LATEST_KEY]: latest });
+  },
+
+  // Recently checked latest puzzle number for a source, or null
+  async getLatest(sourceId) {
+    const stored = await chrome.storage.local.get(this.LATEST_KEY);
+    const entry = stored[this.LATEST_KEY]?.[sourceId];
+    if (!entry || Date.now() - entry.checkedAt >= this.LATEST_TTL_MS) return null;
+    return entry.puzzleNumber;
+  },
+
+  // { status, puzzleNumber, sourceId, releaseDay, attempts, nextAttemptAt, lastError, lastReady, updatedAt } or null
+  async getPrefetchState() {
+    const stored = await chrome.storage.local.get(this.PREFETCH_KEY);
+    return stored[this.PREFETCH_KEY] || null;
+  },
+
+  async setPrefetchState(state) {
+    await chrome.storage.local.set({ [this.PREFETCH_KEY]: { ...state, updatedAt: Date.now() } });
+  },
+
+  // Remove one entry, or everything the cache owns when no number is given.
+  // Returns how many puzzle entries were removed (the bookkeeping keys don't count,
+  // and a number with no entry removes nothing).
+  async purge(puzzleNumber = null) {
+    if (puzzleNumber != null) {
+      const key = this._key(puzzleNumber);
+      const stored = await chrome.storage.local.get(key);
+      if (!(key in stored)) return 0;
+      await chrome.storage.local.remove(key);
+      return 1;
+    }
+    const all = await chrome.storage.local.get(null);
+    const entries = Object.keys(all).filter(k => k.startsWith(this.KEY_PREFIX));
+    await chrome.storage.local.remove([...entries, this.LATEST_KEY, this.PREFETCH_KEY]);
+    return entries.length;
+  }
+};
@@ -0,0 +1,86 @@
+// Copyright 2025 mcarthey
+// SPDX-License-Identifier: Apache-2.0
+//
+// CrossclimbSolver - Answer Source Registry
+// Each answer source declares its URL scheme, how to discover the latest puzzle
+// number from its homepage, and how to parse one of its answer pages.
+// Loaded by the background service worker (URLs + discovery, via importScripts), the
+// offscreen document (parsing) and the content scripts and popup (names and ids), so
+// nothing here may touch the DOM at load time.
+//
+// Adding a source: register() it below with a unique id and a priority (lower runs
+// first), and add its origin to host_permissions in manifest.json. A source may also
+// define parseArchive(homepageHtml) → [{ puzzleNumber, date }] for the archive browser;
+// it runs in the service worker, so it must use regexes rather than DOMParser.
+// parse(html, shape) may be given the board's { rows, wordLength } when the game
+// is on screen; without it the parser infers the ladder length from the page.
+
+const AnswerSources = {
+  _sources: [],
+
+  // Register (or replace) a source definition
+  register(source) {
+    const required = ['id', 'name', 'homepageUrl', 'puzzleUrl', 'discoverLatest', 'parse'];
+    const missing = required.filter(key => !source[key]);
+    if (missing.length > 0) {
+      throw new Error(`Answer source "${source.id || '?'}" is missing: ${missing.join(', ')}`);
+    }
+
+    this._sources = this._sources.filter(s => s.id !== source.id);
+    this._sources.push({ priority: 100, ...source });
+    this._sources.sort((a, b) => a.priority - b.priority);
+  },
+
+  get(id) {
+    return this._sources.find(s => s.id === id) || null;
+  },
+
+  // All registered sources in priority order
+  list() {
+    return [...this._sources];
+  },
+
+  // The highest-priority source, used when a message doesn't name one
+  getDefault() {
+    return this._sources[0] || null;
+  }
+};
+
+// ----- crossclimbanswer.io -----
+
+AnswerSources.register({
+  id: 'crossclimbanswer',
+  name: 'crossclimbanswer.io',
+  priority: 10,
+  homepageUrl: 'https://crossclimbanswer.io/',
+
+  puzzleUrl(puzzleNumber) {
+    return `https://crossclimbanswer.io/linkedin-crossclimb-answer/crossclimb-${puzzleNumber}/`;
+  },
+
+  // The homepage links every published puzzle as /crossclimb-654/; the highest is the latest
+  discoverLatest(homepageHtml) {
+    const matches = [...homepageHtml.matchAll(/crossclimb-(\d+)/g)];
+    if (matches.length === 0) return null;
+    return Math.max(...matches.map(m => parseInt(m[1], 10)));
+  },
+
+  // Each homepage link is an <a> to /crossclimb-N/, usually with the puzzle's date
+  // in or just after the link text
+  parseArchive(homepageHtml) {
+    const entries = [];
+    const linkPattern = /<a\b[^>]*href="[^"]*crossclimb-(\d+)[^"]*"[^>]*>([\s\S]*?)<\/a>/gi;
+    for (const match of homepageHtml.matchAll(linkPattern)) {
+      const end = match.index + match[0].length;
+      // Only text up to the next link can describe this one
+      const after = homepageHtml.slice(end, end + 200).split(/<a\b/i)[0];
+      const text = `${match[2]} ${after}`.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ');
+      entries.push({ puzzleNumber: parseInt(match[1], 10), date: PuzzleArchive.findDate(text) });
+    }
+    return entries;
+  },
+
+  parse(html, shape) {
+    return AnswerParser.parse(html, shape);
+  }
+});
@@ -0,0 +1,147 @@
+// Copyright 2025 mcarthey
+// SPDX-License-Identifier: Apache-2.0
+//
+// CrossclimbSolver - Puzzle Archive Index
+// A number/date index of every puzzle an answer source has published, built from
+// the source's homepage HTML (which FETCH_LATEST downloads anyway) and kept in
+// chrome.storage.local. Powers the archive browser in the popup and overlay.
+//
+// The background worker builds and stores the index (no DOM needed, regex only);
+// the popup and content scripts read it and ask for a rebuild via FETCH_ARCHIVE.
+
+const PuzzleArchive = {
+  KEY_PREFIX: 'archive:',
+  // Homepage listings change once a day; rebuild at most this often
+  TTL_MS: 6 * 60 * 60 * 1000,
+
+  // LinkedIn releases each day's puzzle at midnight in this timezone
+  RELEASE_TIMEZONE: 'America/Los_Angeles',
+
+  MONTHS: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'],
+
+  // Build [{ puzzleNumber, date, dateEstimated }] (newest first) from a homepage.
+  // Uses the source's parseArchive() when it has one, else just discovered numbers.
+  buildIndex(source, homepageHtml) {
+    const listed = source.parseArchive
+      ? source.parseArchive(homepageHtml)
+      : [{ puzzleNumber: source.discoverLatest(homepageHtml), date: null }];
+
+    const byNumber = new Map();
+    for (const entry of listed) {
+      if (!Number.isInteger(entry.puzzleNumber) || entry.puzzleNumber <= 0) continue;
+      const existing = byNumber.get(entry.puzzleNumber);
+      if (!existing || (!existing.date && entry.date)) {
+        byNumber.set(entry.puzzleNumber, { puzzleNumber: entry.puzzleNumber, date: entry.date || null });
+      }
+    }
+
+    const entries = [...byNumber.values()].sort((a, b) => b.puzzleNumber - a.puzzleNumber);
+    return this._fillDates(entries);
+  },
+
+  // Crossclimb is daily, so an undated puzzle's date follows from the nearest dated one
+  _fillDates(entries) {
+    const dated = entries.filter(e => e.date);
+    return entries.map(entry => {
+      if (entry.date || dated.length === 0) return { ...entry, dateEstimated: false };
+      const nearest = dated.reduce((best, e) =>
+        Math.abs(e.puzzleNumber - entry.puzzleNumber) < Math.abs(best.puzzleNumber - entry.puzzleNumber) ? e : best);
+      return {
+        ...entry,
+        date: this.addDays(nearest.date, entry.puzzleNumber - nearest.puzzleNumber),
+        dateEstimated: true
+      };
+    });
+  },
+
+  // ----- DATES -----
+
+  // "March 5, 2025", "5 March 2025", "2025-03-05" → "2025-03-05"; null if none found
+  findDate(text) {
+    const iso = text.match(/\b(\d{4})-(\d{2})-(\d{2})\b/);
+    if (iso) return iso[0];
+
+    const monthName = '(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.?';
+    const monthFirst = text.match(new RegExp(`\\b${monthName}\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4})\\b`, 'i'));
+    if (monthFirst) return this._formatDate(monthFirst[3], monthFirst[1], monthFirst[2]);
+
+    const dayFirst = text.match(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+${monthName},?\\s+(\\d{4})\\b`, 'i'));
+    if (dayFirst) return this._formatDate(dayFirst[3], dayFirst[2], dayFirst[1]);
+
+    return null;
+  },
+
+  // YYYY-MM-DD shifted by whole days (UTC arithmetic so DST never skews it)
+  addDays(date, days) {
+    const [y, m, d] = date.split('-').map(Number);
+    const shifted = new Date(Date.UTC(y, m - 1, d + days));
+    return shifted.toISOString().slice(0, 10);
+  },
+
+  // Whole days from one YYYY-MM-DD to another (negative when `to` is earlier)
+  daysBetween(from, to) {
+    return Math.round((Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000));
+  },
+
+  // The puzzle day (YYYY-MM-DD) a moment falls on, in the release timezone
+  releaseDay(date = new Date()) {
+    return new Intl.DateTimeFormat('en-CA', {
+      timeZone: this.RELEASE_TIMEZONE, year: 'numeric', month: '2-digit', day: '2-digit'
+    }).format(date);
+  },
+
+  // Epoch ms of midnight in the release timezone on a YYYY-MM-DD day
+  releaseTime(day) {
+    const [y, m, d] = day.split('-').map(Number);
+    // Pacific midnight is 08:00 UTC in winter and 07:00 UTC in summer
+    for (const utcHour of [7, 8]) {
+      const candidate = Date.UTC(y, m - 1, d, utcHour);
+      const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: this.RELEASE_TIMEZONE, hour: 'numeric', hourCycle: 'h23'
+      }).formatToParts(new Date(candidate));
+      if (parseInt(parts.find(p => p.type === 'hour')?.value, 10) === 0) return candidate;
+    }
+    return Date.UTC(y, m - 1, d, 8);
+  },
+
+  _formatDate(year, monthName, day) {
+    const month = this.MONTHS.indexOf(monthName.slice(0, 3).toLowerCase()) + 1;
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  },
+
+  // ----- STORAGE -----
+
+  _key(sourceId) {
+    return `${this.KEY_PREFIX}${sourceId}`;
+  },
+
+  async store(sourceId, entries) {
+    await chrome.storage.local.set({ [this._key(sourceId)]: { sourceId, entries, builtAt: Date.now() } });
+  },
+
+  // Stored index { sourceId, entries, builtAt }, or null; stale ones only when allowStale
+  async load(sourceId, allowStale = false) {
+    const key = this._key(sourceId);
+    const stored = (await chrome.storage.local.get(key))[key];
+    if (!stored) return null;
+    if (!allowStale && Date.now() - stored.builtAt >= this.TTL_MS) return null;
+    return stored;
+  },
+
+  // The index for a source, rebuilding it through the background worker when
+  // missing, stale or when refresh is set. Falls back to a stale copy if the
+  // source can't be reached. (Popup and content scripts only.)
+  async get(sourceId, refresh = false) {
+    if (!refresh) {
+      const fresh = await this.load(sourceId);
+      if (fresh) return fresh.entries;
+    }
+
+    const response = await chrome.runtime.sendMessage({ type: 'FETCH_ARCHIVE', sourceId });
+    if (response?.success) return response.data.entries;
+
+    const stale = await this.load(sourceId, true);
+    if (stale) return stale.entries;
+    throw new Error(response?.error || 'Archive index unavailable');
+  }
+};
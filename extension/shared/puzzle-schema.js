@@ -0,0 +1,187 @@
+// Copyright 2025 mcarthey
+// SPDX-License-Identifier: Apache-2.0
+//
+// CrossclimbSolver - Puzzle Data Schema
+// The one definition of a puzzleData object: what AnswerParser.parse returns,
+// what the cache stores, and what is exported/imported between users.
+// Shared by the content scripts and the popup.
+//
+// Version history (bump VERSION and add a step to MIGRATIONS on any shape change):
+//   0  Unversioned: wordLadder, clueAnswerPairs, startWord, endWord, puzzleNumber, theme, source
+//   1  Adds schemaVersion, provenance, failedStrategies, confidence
+//   2  Adds provenance.alternatives: other valid orderings of a reconstructed ladder
+
+const PuzzleSchema = {
+  VERSION: 2,
+
+  // Marks a file written by export() so import can tell it from a bare puzzleData
+  EXPORT_FORMAT: 'crossclimb-puzzle',
+
+  // MIGRATIONS[n] upgrades a version-n object to version n + 1
+  MIGRATIONS: {
+    0: (data) => ({
+      ...data,
+      source: data.source ?? null,
+      theme: data.theme ?? null,
+      provenance: data.provenance ?? null,
+      failedStrategies: data.failedStrategies ?? [],
+      confidence: data.confidence ?? null,
+      schemaVersion: 1
+    }),
+    1: (data) => ({
+      ...data,
+      provenance: data.provenance ? { ...data.provenance, alternatives: data.provenance.alternatives ?? [] } : null,
+      schemaVersion: 2
+    })
+  },
+
+  // A new puzzleData object with every field present
+  create(fields = {}) {
+    return {
+      schemaVersion: this.VERSION,
+      puzzleNumber: null,
+      wordLadder: [],
+      clueAnswerPairs: [],
+      startWord: null,
+      endWord: null,
+      theme: null,
+      source: null,
+      provenance: null,
+      failedStrategies: [],
+      confidence: null,
+      ...fields
+    };
+  },
+
+  // Upgrade an object of any earlier version to the current one.
+  // Objects from a newer version are returned unchanged (validate() reports them).
+  migrate(data) {
+    if (!data || typeof data !== 'object') return data;
+    let migrated = data;
+    let version = Number.isInteger(data.schemaVersion) ? data.schemaVersion : 0;
+    while (version < this.VERSION && this.MIGRATIONS[version]) {
+      migrated = this.MIGRATIONS[version](migrated);
+      version = migrated.schemaVersion;
+    }
+    return migrated;
+  },
+
+  // Returns { ok, errors: [{ field, message }] }
+  validate(data) {
+    const errors = [];
+    const fail = (field, message) => errors.push({ field, message });
+    const isWord = (w) => typeof w === 'string' && /^[A-Z]+$/.test(w);
+    const isNullableString = (v) => v === null || typeof v === 'string';
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      fail('', 'must be an object');
+      return { ok: false, errors };
+    }
+
+    if (data.schemaVersion !== this.VERSION) {
+      fail('schemaVersion', `must be ${this.VERSION} (got ${JSON.stringify(data.schemaVersion)}); run migrate() first`);
+    }
+    for (const field of Object.keys(this.create())) {
+      if (!(field in data)) fail(field, 'is missing');
+    }
+    if (errors.length > 0) return { ok: false, errors };
+
+    if (data.puzzleNumber !== null && !(Number.isInteger(data.puzzleNumber) && data.puzzleNumber > 0)) {
+      fail('puzzleNumber', 'must be a positive integer or null');
+    }
+
+    if (!Array.isArray(data.wordLadder)) {
+      fail('wordLadder', 'must be an array');
+    } else {
+      data.wordLadder.forEach((w, i) => {
+        if (!isWord(w)) fail(`wordLadder[${i}]`, 'must be an uppercase A-Z word');
+      });
+    }
+
+    if (!Array.isArray(data.clueAnswerPairs)) {
+      fail('clueAnswerPairs', 'must be an array');
+    } else {
+      data.clueAnswerPairs.forEach((pair, i) => {
+        if (!pair || typeof pair !== 'object') {
+          fail(`clueAnswerPairs[${i}]`, 'must be a { clue, answer } object');
+          return;
+        }
+        if (typeof pair.clue !== 'string') fail(`clueAnswerPairs[${i}].clue`, 'must be a string');
+        if (!isWord(pair.answer)) fail(`clueAnswerPairs[${i}].answer`, 'must be an uppercase A-Z word');
+      });
+    }
+
+    for (const field of ['startWord', 'endWord']) {
+      if (data[field] !== null && !isWord(data[field])) fail(field, 'must be an uppercase A-Z word or null');
+    }
+    for (const field of ['theme', 'source']) {
+      if (!isNullableString(data[field])) fail(field, 'must be a string or null');
+    }
+
+    if (data.provenance !== null) {
+      if (!data.provenance || typeof data.provenance !== 'object') {
+        fail('provenance', 'must be an object or null');
+      } else {
+        for (const field of ['startWord', 'endWord', 'wordLadder']) {
+          if (!isNullableString(data.provenance[field])) fail(`provenance.${field}`, 'must be a string or null');
+        }
+        if (!Array.isArray(data.provenance.clueAnswerPairs)) {
+          fail('provenance.clueAnswerPairs', 'must be an array');
+        }
+        const { alternatives } = data.provenance;
+        if (!Array.isArray(alternatives) || alternatives.some(alt => !Array.isArray(alt) || !alt.every(isWord))) {
+          fail('provenance.alternatives', 'must be an array of word ladders');
+        }
+      }
+    }
+    if (!Array.isArray(data.failedStrategies) || data.failedStrategies.some(s => typeof s !== 'string')) {
+      fail('failedStrategies', 'must be an array of strings');
+    }
+    if (data.confidence !== null && !(typeof data.confidence === 'number' && data.confidence >= 0 && data.confidence <= 1)) {
+      fail('confidence', 'must be a number from 0 to 1, or null');
+    }
+
+    // Every word in one puzzle has the same length
+    if (errors.length === 0) {
+      const words = [...data.wordLadder, ...data.clueAnswerPairs.map(p => p.answer),
+        data.startWord, data.endWord].filter(Boolean);
+      const length = words[0]?.length;
+      if (words.some(w => w.length !== length)) {
+        fail('wordLadder', 'words in a puzzle must all have the same length');
+      }
+    }
+
+    return { ok: errors.length === 0, errors };
+  },
+
+  // One line per error, for logs and UI
+  describeErrors(errors) {
+    return errors.map(e => (e.field ? `${e.field}: ${e.message}` : e.message));
+  },
+
+  // Serialise for sharing: { format, schemaVersion, exportedAt, puzzle }
+  export(data) {
+    return JSON.stringify({
+      format: this.EXPORT_FORMAT,
+      schemaVersion: this.VERSION,
+      exportedAt: new Date().toISOString(),
+      puzzle: this.migrate(data)
+    }, null, 2);
+  },
+
+  // Parse an export (or a bare puzzleData object), migrate it and validate it.
+  // Returns { ok, puzzleData, errors: [{ field, message }] }
+  import(json) {
+    let parsed;
+    try {
+      parsed = typeof json === 'string' ? JSON.parse(json) : json;
+    } catch (e) {
+      return { ok: false, puzzleData: null, errors: [{ field: '', message: `invalid JSON: ${e.message}` }] };
+    }
+
+    const raw = parsed?.format === this.EXPORT_FORMAT ? parsed.puzzle : parsed;
+    const puzzleData = this.migrate(raw);
+    const { ok, errors } = this.validate(puzzleData);
+    return { ok, puzzleData: ok ? puzzleData : null, errors };
+  }
+};
@@ -0,0 +1,44 @@
+// Copyright 2025 mcarthey
+// SPDX-License-Identifier: Apache-2.0
+//
+// CrossclimbSolver - Answer Cache Tests
+// Purging what the cache owns in chrome.storage.local, and nothing else.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension } = require('./helpers/extension');
+
+const LADDER = ['CORE', 'CARE', 'CART', 'DART', 'DARK', 'BARK', 'BANK'];
+
+function setup() {
+  const page = loadExtension({ scripts: ['shared/puzzle-schema.js', 'shared/answer-cache.js'] });
+  const AnswerCache = page.get('AnswerCache');
+  const puzzleData = page.get('PuzzleSchema').create({ wordLadder: LADDER, startWord: 'CORE', endWord: 'BANK' });
+  return { page, AnswerCache, puzzleData };
+}
+
+test('purge() counts only the puzzle entries it removes', async () => {
+  const { page, AnswerCache, puzzleData } = setup();
+  await AnswerCache.set(654, puzzleData, 5);
+  await AnswerCache.set(655, puzzleData, 5);
+  await AnswerCache.setLatest('crossclimbanswer', 655);
+  await AnswerCache.setPrefetchState({ status: 'ready', puzzleNumber: 655 });
+  page.chrome.store['strategies:1.0:abc'] = {};
+
+  assert.equal(await AnswerCache.purge(), 2);
+  assert.deepEqual(Object.keys(page.chrome.store), ['strategies:1.0:abc']);
+});
+
+test('purge() with nothing cached removes nothing', async () => {
+  const { AnswerCache } = setup();
+  await AnswerCache.setLatest('crossclimbanswer', 655);
+  assert.equal(await AnswerCache.purge(), 0);
+});
+
+test('purge(n) counts the entry only when there was one', async () => {
+  const { AnswerCache, puzzleData } = setup();
+  await AnswerCache.set(654, puzzleData, 5);
+  assert.equal(await AnswerCache.purge(655), 0);
+  assert.equal(await AnswerCache.purge(654), 1);
+  assert.equal(await AnswerCache.purge(654), 0);
+});
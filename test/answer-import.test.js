@@ -0,0 +1,97 @@
+// Copyright 2025 mcarthey
+// SPDX-License-Identifier: Apache-2.0
+//
+// CrossclimbSolver - Answer Import Tests
+// Pasted answers in each accepted format, checked against the board's shape
+// when one is given.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension } = require('./helpers/extension');
+
+const page = loadExtension({ scripts: ['shared/puzzle-schema.js', 'content/answer-parser.js', 'content/answer-import.js'] });
+const AnswerImport = page.get('AnswerImport');
+
+const plain = (value) => JSON.parse(JSON.stringify(value));
+const importText = (text, shape) => plain(AnswerImport.parse(text, shape));
+
+const LADDER = ['CORE', 'CARE', 'CART', 'DART', 'DARK', 'BARK', 'BANK'];
+const LONG_LADDER = ['AROUSING', 'GROUSING', 'GROUPING', 'TROUPING', 'TROOPING', 'DROOPING'];
+
+test('a ladder line imports with its endpoints', () => {
+  const result = importText(LADDER.join(' → '));
+  assert.equal(result.ok, true, result.errors.join('; '));
+  assert.equal(result.format, 'ladder');
+  assert.deepEqual(result.puzzleData.wordLadder, LADDER);
+  assert.equal(result.puzzleData.startWord, 'CORE');
+  assert.equal(result.puzzleData.endWord, 'BANK');
+});
+
+test('clue lines and endpoints are ordered into a ladder', () => {
+  const text = [
+    'Top: core',
+    'Shopping trolley – CART',
+    'Look after someone – CARE',
+    "A tree's outer layer – BARK",
+    'Pub game missile – DART',
+    'Without light – DARK',
+    'Bottom: bank'
+  ].join('\n');
+  const result = importText(text);
+  assert.equal(result.ok, true, result.errors.join('; '));
+  assert.equal(result.format, 'lines');
+  assert.deepEqual(result.puzzleData.wordLadder, LADDER);
+});
+
+test('words longer than seven letters import', () => {
+  const text = [
+    'Start: AROUSING',
+    'Complaining – GROUSING',
+    'Putting together – GROUPING',
+    'TROUPING – Touring as a company of actors',
+    'Marching in a body = TROOPING',
+    'End: DROOPING'
+  ].join('\n');
+  const result = importText(text, { rows: 6, wordLength: 8 });
+  assert.equal(result.ok, true, result.errors.join('; '));
+  assert.deepEqual(result.puzzleData.wordLadder, LONG_LADDER);
+});
+
+test('a ladder that does not fit the board is refused', () => {
+  const rows = importText(LADDER.join(' '), { rows: 6, wordLength: 4 });
+  assert.equal(rows.ok, false);
+  assert.match(rows.errors[0], /Ladder has 7 words, expected 6/);
+
+  const letters = importText(LONG_LADDER.join(' '), { rows: 6, wordLength: 7 });
+  assert.equal(letters.ok, false);
+  assert.deepEqual(letters.errors, ['"AROUSING" has 8 letters, the board\'s rows have 7']);
+});
+
+test('answers without both endpoints are refused', () => {
+  const text = [
+    'Look after someone – CARE',
+    'Shopping trolley – CART',
+    'Pub game missile – DART',
+    'Without light – DARK',
+    "A tree's outer layer – BARK",
+    'Top: CORE'
+  ].join('\n');
+  const result = importText(text);
+  assert.equal(result.ok, false);
+  assert.equal(result.puzzleData, null);
+  assert.match(result.errors[0], /^No ladder/);
+  assert.match(importText(text.replace('Top: CORE', '')).errors[0], /^No ladder/);
+});
+
+test('pasted answers are not written to the console', () => {
+  const logged = [];
+  const { console } = page.window;
+  const original = { log: console.log, warn: console.warn };
+  console.log = console.warn = (...args) => logged.push(args.map(a => (typeof a === 'string' ? a : JSON.stringify(a))).join(' '));
+  try {
+    AnswerImport.parse(`Top: CORE\nBottom: BANK\n${LADDER.slice(1, -1).map(w => `Secret clue – ${w}`).join('\n')}`);
+  } finally {
+    Object.assign(console, original);
+  }
+  assert.ok(!logged.some(line => line.includes('Secret clue')), logged.join('\n'));
+});
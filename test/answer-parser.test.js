@@ -0,0 +1,85 @@
+// Copyright 2025 mcarthey
+// SPDX-License-Identifier: Apache-2.0
+//
+// CrossclimbSolver - Answer Parser Tests
+// Regression tests over saved answer pages (fixtures/answer-pages). Each
+// <name>.html has a <name>.json with the expected parse and, per field, the
+// strategy that produced it, plus the strategies that are valid on their own.
+// A layout change then fails as a named strategy, not just a worse result.
+
+const fs = require('fs');
+const path = require('path');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension } = require('./helpers/extension');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'answer-pages');
+const FIXTURES = fs.readdirSync(FIXTURE_DIR)
+  .filter(file => file.endsWith('.html'))
+  .map(file => {
+    const name = path.basename(file, '.html');
+    return {
+      name,
+      html: fs.readFileSync(path.join(FIXTURE_DIR, file), 'utf8'),
+      expected: JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, `${name}.json`), 'utf8'))
+    };
+  });
+
+const page = loadExtension({ scripts: ['shared/puzzle-schema.js', 'content/answer-parser.js'] });
+const AnswerParser = page.get('AnswerParser');
+
+// Values from the jsdom realm compare by structure only once copied into this one
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+for (const { name, html, expected } of FIXTURES) {
+  test(`${name}: ${expected.description}`, async (t) => {
+    const result = plain(AnswerParser.parse(html, expected.shape));
+
+    await t.test('parse() output', () => {
+      assert.deepEqual(result.wordLadder, expected.wordLadder);
+      assert.deepEqual(result.clueAnswerPairs, expected.clueAnswerPairs);
+      assert.equal(result.startWord, expected.startWord);
+      assert.equal(result.endWord, expected.endWord);
+    });
+
+    await t.test('strategy behind each field', () => {
+      for (const field of ['wordLadder', 'startWord', 'endWord', 'clueAnswerPairs', 'alternatives']) {
+        assert.deepEqual(result.provenance[field], expected.provenance[field], `provenance.${field}`);
+      }
+    });
+
+    await t.test('each strategy on its own', () => {
+      const answers = expected.clueAnswerPairs.map(p => p.answer);
+      for (const { name: strategy, field, output, valid, error } of plain(AnswerParser.runStrategies(html, expected.shape))) {
+        assert.equal(error, null, `${strategy} threw`);
+        assert.equal(valid, expected.validStrategies.includes(strategy),
+          `${strategy} ${valid ? 'unexpectedly produced' : 'no longer produces'} valid ${field}`);
+        if (!valid) continue;
+
+        // What a valid strategy found has to agree with the expected parse
+        if (field === 'wordLadder') {
+          assert.deepEqual(output, expected.wordLadder, `${strategy} ladder`);
+        } else if (field === 'endpoints') {
+          assert.deepEqual([output.startWord, output.endWord], [expected.startWord, expected.endWord], `${strategy} endpoints`);
+        } else {
+          for (const pair of output) {
+            assert.ok(answers.includes(pair.answer), `${strategy} found "${pair.answer}", not an expected answer`);
+          }
+        }
+      }
+    });
+  });
+}
+
+test('every strategy is exercised by some fixture', () => {
+  const covered = new Set(FIXTURES.flatMap(f => f.expected.validStrategies));
+  const missing = plain(AnswerParser.strategies().map(s => s.name)).filter(name => !covered.has(name));
+  assert.deepEqual(missing, []);
+});
+
+test('_findPath finds a path of the exact length past a shorter route', () => {
+  const pool = ['CARE', 'CART', 'DART', 'DARE', 'DARK'];
+  // CARE→DARE→DARK is shorter, but the ladder needs four words
+  assert.deepEqual(plain(AnswerParser._findPath('CARE', 'DARK', pool, 4)), ['CARE', 'CART', 'DART', 'DARK']);
+  assert.deepEqual(plain(AnswerParser._findPath('CARE', 'DARK', pool, 3)), ['CARE', 'DARE', 'DARK']);
+});
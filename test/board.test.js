@@ -0,0 +1,228 @@
+// Copyright 2025 mcarthey
+// SPDX-License-Identifier: Apache-2.0
+//
+// CrossclimbSolver - Board Tests
+// Board discovery, reordering and the full solve flow against the fake board
+// (see helpers/fake-crossclimb.js), with the real page bridge in between.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension, createChrome } = require('./helpers/extension');
+const { FakeCrossclimb } = require('./helpers/fake-crossclimb');
+
+const PUZZLE = {
+  ladder: ['CORE', 'CARE', 'CART', 'DART', 'DARK', 'BARK', 'BANK'],
+  clues: ['Look after someone', 'Shopping trolley', 'Pub game missile', 'Without light', "A tree's outer layer"]
+};
+const MIDDLE = PUZZLE.ladder.slice(1, -1);
+// Middle words' starting order on the board (ladder indexes)
+const SCRAMBLED = [4, 2, 5, 1, 3];
+
+// A page with the extension loaded and a fake board on it
+function setup(options = {}) {
+  let game = null;
+  const chrome = createChrome({ onMessage: (message) => game.handleMessage(message) });
+  const page = loadExtension({ chrome, bridge: true });
+  game = new FakeCrossclimb(page.window, PUZZLE, options);
+
+  const Solver = page.get('Solver');
+  // Same waits the solver uses on the page, shortened where the fake answers at once
+  Object.assign(Solver.WAIT, { focus: 300, clue: 300, letters: 1500, order: 500, endpoints: 1000, feedback: 100, settle: 50 });
+  return { page, game, Solver, BoardState: page.get('BoardState') };
+}
+
+function puzzleData(page, overrides = {}) {
+  return page.get('PuzzleSchema').create({
+    wordLadder: PUZZLE.ladder,
+    clueAnswerPairs: MIDDLE.map((answer, i) => ({ clue: PUZZLE.clues[i], answer })),
+    startWord: PUZZLE.ladder[0],
+    endWord: PUZZLE.ladder[PUZZLE.ladder.length - 1],
+    ...overrides
+  });
+}
+
+// Put words straight into the middle rows, top to bottom
+function typeMiddleRows(game, words) {
+  game.order.forEach((row, i) => {
+    row.querySelectorAll('input').forEach((input, k) => { input.value = words[i][k]; });
+  });
+}
+
+test('BoardState.find reads the fake board', () => {
+  const { game, BoardState } = setup({ order: SCRAMBLED });
+  const board = BoardState.find(game.document);
+
+  assert.ok(board);
+  assert.equal(board.middleRows.length, 5);
+  assert.equal(board.lockedRows.length, 2);
+  assert.deepEqual({ ...board.shape }, { rows: 7, wordLength: 4 });
+});
+
+test('BoardState.snapshot orders rows by position, not DOM order', () => {
+  const { game, BoardState } = setup();
+  typeMiddleRows(game, MIDDLE);
+  game.drag(game.rowTop(game.order[4]) + 1, game.rowTop(game.order[0]) + 1);
+
+  const snapshot = BoardState.snapshot(BoardState.find(game.document));
+  assert.deepEqual([...snapshot.middleOrder], ['BARK', 'CARE', 'CART', 'DART', 'DARK']);
+  assert.equal(snapshot.rows[0].kind, 'endpoint');
+  assert.equal(snapshot.rows[0].locked, true);
+});
+
+test('BoardState reads the focused row from its exact class', () => {
+  const { game, BoardState } = setup();
+  const focusedRows = () => [...BoardState.snapshot(BoardState.find(game.document)).rows].filter(r => r.focused).map(r => r.position);
+
+  game.order[0].classList.add('crossclimb__guess--inactive');
+  assert.deepEqual(focusedRows(), []);
+  game.focusRow(game.order[2]);
+  assert.deepEqual(focusedRows(), [3]);
+});
+
+test('BoardState.observe watches the grid, not the rest of the page', async () => {
+  const { page, game, BoardState } = setup();
+  const settle = () => new Promise(resolve => setTimeout(resolve, BoardState.SETTLE_MS * 3));
+  const feed = page.document.body.appendChild(page.document.createElement('main'));
+  BoardState.disconnect();
+  BoardState.observe();
+  let scheduled = 0;
+  const schedule = BoardState._schedule;
+  BoardState._schedule = function () { scheduled++; return schedule.call(this); };
+  try {
+    feed.appendChild(page.document.createElement('div')).textContent = 'feed update';
+    await settle();
+    assert.equal(scheduled, 0);
+
+    game.grid.querySelector('input').value = 'C';
+    game.grid.querySelector('input').dispatchEvent(new page.window.Event('input', { bubbles: true }));
+    await settle();
+    assert.ok(scheduled > 0);
+    assert.equal(BoardState.current().middleOrder[0], 'C');
+  } finally {
+    BoardState._schedule = schedule;
+    BoardState.disconnect();
+  }
+});
+
+test('BoardState.observe follows the game to a re-rendered grid', async () => {
+  const { page, game, BoardState } = setup();
+  const settle = () => new Promise(resolve => setTimeout(resolve, BoardState.SETTLE_MS * 3));
+  BoardState.disconnect();
+  BoardState.observe();
+  try {
+    game.grid.closest('.crossclimb__wrapper').remove();
+    await settle();
+    assert.equal(BoardState.current().found, false);
+
+    const next = new FakeCrossclimb(page.window, PUZZLE);
+    await settle();
+    assert.equal(BoardState._grid, next.grid);
+    next.focusRow(next.order[1]);
+    await settle();
+    assert.equal(BoardState.current().focusedRow, 2);
+  } finally {
+    BoardState.disconnect();
+  }
+});
+
+test('Solver._reorderMiddleRows sorts the rows with the fewest drags', async () => {
+  const { game, Solver, BoardState } = setup({ order: SCRAMBLED });
+  typeMiddleRows(game, SCRAMBLED.map(i => PUZZLE.ladder[i]));
+  const board = BoardState.find(game.document);
+  Solver._tagBoardRows(board);
+
+  const expectedMoves = Solver._planReorder(game.middleWords(), MIDDLE).length;
+  const log = [];
+  await Solver._reorderMiddleRows(board, MIDDLE, [], (msg) => log.push(msg));
+
+  assert.deepEqual(game.middleWords(), MIDDLE, log.join('\n'));
+  assert.equal(game.drags.length, expectedMoves);
+});
+
+test('Solver._reorderMiddleRows falls back when the order left after a drag cannot be planned', async () => {
+  const { game, Solver, BoardState } = setup({ order: SCRAMBLED });
+  typeMiddleRows(game, SCRAMBLED.map(i => PUZZLE.ladder[i]));
+  const board = BoardState.find(game.document);
+  Solver._tagBoardRows(board);
+
+  // Plan the start and the first drag, then behave as if a row misread
+  const planReorder = Solver._planReorder;
+  let plans = 0;
+  Solver._planReorder = function (...args) { return ++plans <= 2 ? planReorder.apply(this, args) : null; };
+  const log = [];
+  try {
+    await Solver._reorderMiddleRows(board, MIDDLE, [], (msg) => log.push(msg));
+  } finally {
+    Solver._planReorder = planReorder;
+  }
+
+  assert.equal(game.drags.length, 1);
+  assert.ok(log.some(line => line.startsWith('Phase 2 (fallback)')), log.join('\n'));
+});
+
+test('Solver.solve fills, reorders and completes the board', async () => {
+  const { page, game, Solver } = setup({ order: SCRAMBLED });
+  const phases = [];
+  const errors = [];
+
+  await Solver.solve(puzzleData(page), {
+    onStatus: (phase) => phases.push(phase),
+    onError: (error) => errors.push(error)
+  });
+
+  assert.deepEqual(errors, []);
+  assert.equal(phases.at(-1), 'done');
+  assert.deepEqual(game.words(), PUZZLE.ladder, Solver.state.log.join('\n'));
+  assert.ok(game.solved);
+  assert.ok(Solver.state.fillResults.every(f => f.ok));
+});
+
+test('Solver.solve retypes rows the game marks wrong', async () => {
+  const { page, game, Solver } = setup({ order: SCRAMBLED, markWrongRows: true });
+  // The source has the clues for CART and DART swapped, so the first matching
+  // types each into the other's row; the game's wrong marks have to fix it
+  const data = puzzleData(page);
+  [data.clueAnswerPairs[1].clue, data.clueAnswerPairs[2].clue] = [PUZZLE.clues[2], PUZZLE.clues[1]];
+
+  await Solver.solve(data, {});
+
+  assert.deepEqual(game.words(), PUZZLE.ladder, Solver.state.log.join('\n'));
+  assert.ok(Solver.state.log.some(line => line.startsWith('Game rejected row')));
+});
+
+test('Solver.solve refuses a board that does not match the answers', async () => {
+  const { page, game, Solver } = setup({ order: SCRAMBLED });
+  const other = puzzleData(page, {
+    clueAnswerPairs: ['MINT', 'MIST', 'MUST', 'BUST', 'BEST'].map((answer, i) => ({ clue: `Unrelated clue ${i}`, answer })),
+    wordLadder: ['MINE', 'MINT', 'MIST', 'MUST', 'BUST', 'BEST', 'BEAT'],
+    startWord: 'MINE',
+    endWord: 'BEAT'
+  });
+  const errors = [];
+
+  await Solver.solve(other, { onError: (error) => errors.push(error) });
+
+  assert.equal(errors.length, 1);
+  assert.deepEqual(game.middleWords(), ['', '', '', '', '']);
+});
+
+test('Solver.solveWithoutAnswers returns null when the derived ladder cannot be solved', async () => {
+  const { page, game, Solver } = setup({ order: SCRAMBLED });
+  const DictionarySolver = page.get('DictionarySolver');
+  // Five-letter words for four-letter rows, so the solve that follows refuses them
+  const words = ['MINTS', 'MISTS', 'MUSTS', 'BUSTS', 'BESTS'];
+  DictionarySolver.derive = async (rowClues) => ({
+    ok: true,
+    chain: words,
+    rowWords: words.slice(0, rowClues.length),
+    constrainedRows: rowClues.length,
+    chainCount: 1
+  });
+  const errors = [];
+
+  const derived = await Solver.solveWithoutAnswers({ onError: (error) => errors.push(error) });
+
+  assert.equal(derived, null);
+  assert.equal(errors.length, 1);
+  assert.deepEqual(game.middleWords(), ['', '', '', '', '']);
+});
@@ -0,0 +1,73 @@
+// Copyright 2025 mcarthey
+// SPDX-License-Identifier: Apache-2.0
+//
+// CrossclimbSolver - Clue Matching Tests
+// Solver._globalMatchClues assigns every board row an answer at once
+// (Hungarian method) instead of row by row. These cases are built so that
+// the greedy matcher takes the wrong answer for the first row and leaves
+// the second row without one, while the global assignment gets both right.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension } = require('./helpers/extension');
+
+const page = loadExtension({ scripts: ['content/clue-similarity.js', 'content/solver.js'] });
+const Solver = page.get('Solver');
+
+const plain = (v) => JSON.parse(JSON.stringify(v));
+
+// Row 0's board clue names both answers' clues but contains CART's outright;
+// row 1's board clue only fits CART.
+const PUZZLE = {
+  clueAnswerPairs: [
+    { clue: 'Shopping trolley', answer: 'CART' },
+    { clue: 'Pub game missile', answer: 'DART' }
+  ]
+};
+const ROWS = [
+  { index: 0, clue: 'Shopping trolley missile' },
+  { index: 1, clue: 'Trolley for shopping' }
+];
+const ANSWERS = ['CART', 'DART'];
+
+const assignment = (matches) => Object.fromEntries(plain(matches).map(m => [m.index, m.answer]));
+
+test('_hungarian finds the cheapest assignment where picking row by row does not', () => {
+  // Row by row: row 0 takes column 0 (1), leaving row 1 column 1 (10) = 11
+  assert.deepEqual([...Solver._hungarian([[1, 2], [1, 10]])], [1, 0]);
+});
+
+test('_hungarian matches brute force on a 4x4 matrix', () => {
+  const cost = [
+    [7, 3, 9, 4],
+    [2, 8, 6, 5],
+    [6, 4, 3, 8],
+    [5, 9, 2, 7]
+  ];
+  const permutations = (items) => (items.length <= 1 ? [items] :
+    items.flatMap((x, i) => permutations(items.filter((_, j) => j !== i)).map(p => [x, ...p])));
+  const total = (cols) => cols.reduce((sum, c, r) => sum + cost[r][c], 0);
+  const best = Math.min(...permutations([0, 1, 2, 3]).map(total));
+
+  assert.equal(total([...Solver._hungarian(cost)]), best);
+});
+
+test('greedy matching gives row 0 the wrong answer and row 1 none', () => {
+  assert.equal(Solver._matchClueToAnswer(ROWS[0].clue, PUZZLE, []), 'CART');
+  assert.equal(Solver._matchClueToAnswer(ROWS[1].clue, PUZZLE, ['CART']), null);
+});
+
+test('global matching gives each row its own answer', () => {
+  const matches = Solver._globalMatchClues(ROWS, PUZZLE, ANSWERS, () => {});
+
+  assert.deepEqual(assignment(matches), { 0: 'DART', 1: 'CART' });
+});
+
+test('a rejected pairing is avoided when rows are matched again', () => {
+  // The game marked row 1 = CART wrong, so the solver re-matches with that
+  // pairing priced out
+  const rejected = new Set([Solver._pairKey(1, 'CART')]);
+  const matches = Solver._globalMatchClues(ROWS, PUZZLE, ANSWERS, () => {}, rejected);
+
+  assert.deepEqual(assignment(matches), { 0: 'CART', 1: 'DART' });
+});
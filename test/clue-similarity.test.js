@@ -0,0 +1,84 @@
+// Copyright 2025 mcarthey
+// SPDX-License-Identifier: Apache-2.0
+//
+// CrossclimbSolver - Clue Similarity Tests
+// Clue pairs worded the way LinkedIn's board and the answer site word the same
+// clue. The matcher needs a paraphrase of a clue to score above
+// Solver.MATCH_THRESHOLD and above every other clue of the puzzle, and unrelated
+// clues to stay well below it.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension } = require('./helpers/extension');
+
+const page = loadExtension({ scripts: ['content/clue-similarity.js', 'content/solver.js'] });
+const ClueSimilarity = page.get('ClueSimilarity');
+const MATCH_THRESHOLD = page.get('Solver.MATCH_THRESHOLD');
+
+// [board clue, answer-site clue] for the same answer
+const PARAPHRASES = [
+  ['Look after someone', 'Looking after'],
+  ['Shopping trolley', 'Trolley for shopping'],
+  ['Pub game missile', 'Missile in a pub game'],
+  ['Without light', 'Lacking any light'],
+  ["A tree's outer layer", 'Outer layer of a tree'],
+  ['Runs quickly', 'Running fast'],
+  ['Large body of water', 'Big body of water']
+];
+
+test('the same clue scores 1 regardless of case, punctuation and stop words', () => {
+  assert.equal(ClueSimilarity.score('The opposite of "early"', 'Opposite of early'), 1);
+  assert.equal(ClueSimilarity.score('Painted a picture', 'paints pictures'), 1);
+  assert.equal(ClueSimilarity.score('Wild berries', 'A wild berry'), 1);
+});
+
+test('a clue contained in the other scores 0.9', () => {
+  assert.equal(ClueSimilarity.score('Shopping trolley', 'A shopping trolley at the store'), 0.9);
+});
+
+test('stemming equates inflections', () => {
+  const stems = (words) => words.map(w => ClueSimilarity.stem(w));
+  assert.deepEqual(stems(['runs', 'running']), ['run', 'run']);
+  assert.deepEqual(stems(['berries', 'berry']), ['berry', 'berry']);
+  assert.deepEqual(stems(['painted', 'paints', 'paint']), ['paint', 'paint', 'paint']);
+  assert.deepEqual(stems(['boxes', 'box']), ['box', 'box']);
+  // Short words and -ss/-us endings are left alone
+  assert.deepEqual(stems(['bus', 'glass', 'cactus']), ['bus', 'glass', 'cactus']);
+});
+
+test('paraphrases score above the match threshold', () => {
+  for (const [board, source] of PARAPHRASES) {
+    const score = ClueSimilarity.score(board, source);
+    assert.ok(score > MATCH_THRESHOLD, `"${board}" vs "${source}" scored ${score.toFixed(2)}`);
+  }
+});
+
+test('a synonym swap in otherwise shared wording still matches', () => {
+  assert.ok(ClueSimilarity.score('Large body of water', 'Big body of water') > MATCH_THRESHOLD);
+  assert.ok(ClueSimilarity.score('Sound a dog makes', "A dog's sound") > MATCH_THRESHOLD);
+});
+
+test('bare synonyms with no shared words are not evidence', () => {
+  // No thesaurus: the Hungarian matcher places such rows by elimination instead
+  assert.ok(ClueSimilarity.score('Hurried', 'Rushed') < MATCH_THRESHOLD);
+  assert.ok(ClueSimilarity.score('Unlit, like a cave', 'Without light') < MATCH_THRESHOLD);
+});
+
+test('clues with no overlap score near zero', () => {
+  assert.ok(ClueSimilarity.score('Shopping trolley', 'Pub game missile') < 0.1);
+  assert.ok(ClueSimilarity.score('Look after someone', 'Without light') < 0.1);
+  assert.equal(ClueSimilarity.score('', 'Without light'), 0);
+  assert.equal(ClueSimilarity.score('the of a', 'Without light'), 0);
+});
+
+test("each board clue's best match is its own answer-site clue", () => {
+  const sources = PARAPHRASES.map(([, source]) => source);
+  for (const [i, [board]] of PARAPHRASES.entries()) {
+    const scores = sources.map(source => ClueSimilarity.score(board, source));
+    const best = scores.indexOf(Math.max(...scores));
+    assert.equal(sources[best], sources[i], `"${board}" matched "${sources[best]}"`);
+    // And by a clear margin over the runner-up
+    const runnerUp = Math.max(...scores.filter((_, k) => k !== i));
+    assert.ok(scores[i] - runnerUp > 0.2, `"${board}" margin ${(scores[i] - runnerUp).toFixed(2)}`);
+  }
+});
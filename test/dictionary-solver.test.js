@@ -0,0 +1,69 @@
+// Copyright 2025 mcarthey
+// SPDX-License-Identifier: Apache-2.0
+//
+// CrossclimbSolver - Dictionary Solver Tests
+// Answer-free ladders derived from clues over a small stand-in for the bundled
+// word list.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension } = require('./helpers/extension');
+
+const WORDS = ['CARE', 'ACRE', 'CART', 'DART', 'DARK', 'MARK', 'BARK', 'BARE', 'CORE'];
+
+function setup() {
+  const page = loadExtension({
+    scripts: ['shared/puzzle-schema.js', 'content/answer-parser.js', 'content/clue-similarity.js', 'content/dictionary-solver.js']
+  });
+  const DictionarySolver = page.get('DictionarySolver');
+  DictionarySolver._wordsByLength = { 4: new Set(WORDS) };
+  return { DictionarySolver };
+}
+
+const plain = (value) => JSON.parse(JSON.stringify(value));
+const rows = (clues) => clues.map((clue, index) => ({ index, clue }));
+
+test('the chain the clues support best is picked', async () => {
+  const { DictionarySolver } = setup();
+  const derived = plain(await DictionarySolver.derive(rows([
+    'Anagram of RACE',
+    'TRAC backwards',
+    'Reverse of TRAD',
+    'Marks left on a target',
+    'Without light'
+  ]), 4));
+
+  assert.equal(derived.ok, true, derived.reason);
+  assert.ok(derived.chainCount > 1);
+  assert.deepEqual(derived.chain, ['CARE', 'CART', 'DART', 'DARK', 'MARK']);
+  assert.deepEqual(derived.rowWords, ['CARE', 'CART', 'DART', 'MARK', 'DARK']);
+});
+
+test('chains the clues support equally are reported, not guessed', async () => {
+  const { DictionarySolver } = setup();
+  const derived = plain(await DictionarySolver.derive(rows([
+    'Anagram of RACE',
+    'TRAC backwards',
+    'Reverse of TRAD',
+    'Pub game',
+    'Without light'
+  ]), 4));
+
+  assert.equal(derived.ok, false);
+  assert.match(derived.reason, /chains fit the resolved clues equally well/);
+  assert.ok(derived.alternatives.length > 1);
+});
+
+test('a row the clues do not resolve still gets the one word left for it', async () => {
+  const { DictionarySolver } = setup();
+  const derived = plain(await DictionarySolver.derive(rows([
+    'Anagram of RACE',
+    'TRAC backwards',
+    'Reverse of TRAD',
+    'Without light',
+    'KRAM reversed'
+  ]), 4));
+
+  assert.equal(derived.ok, true, derived.reason);
+  assert.deepEqual(derived.rowWords, ['CARE', 'CART', 'DART', 'DARK', 'MARK']);
+});
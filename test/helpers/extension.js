@@ -0,0 +1,114 @@
+// Copyright 2025 mcarthey
+// SPDX-License-Identifier: Apache-2.0
+//
+// CrossclimbSolver - Test Helpers: Extension Loader
+// Runs the extension's scripts inside a jsdom window the way Chrome does: every
+// file is a classic script in one shared global scope, so the `const Solver = {...}`
+// modules see each other exactly as they do on the page. Also provides the small
+// pieces of the browser and extension APIs that jsdom lacks.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const EXTENSION_DIR = path.join(__dirname, '..', '..', 'extension');
+const MANIFEST = JSON.parse(fs.readFileSync(path.join(EXTENSION_DIR, 'manifest.json'), 'utf8'));
+
+// The manifest's content scripts minus the entry point and UI, which start
+// fetching and rendering on load
+const CONTENT_SCRIPTS = MANIFEST.content_scripts[0].js
+  .filter(file => !['content/main.js', 'content/overlay.js'].includes(file));
+
+// A fake of the chrome.* APIs the content scripts use. onMessage(message) answers
+// chrome.runtime.sendMessage; storage.local lives in `store`.
+function createChrome({ onMessage = () => ({ success: false, error: 'no handler' }) } = {}) {
+  const store = {};
+  const pick = (keys) => {
+    if (keys === null || keys === undefined) return { ...store };
+    const list = typeof keys === 'string' ? [keys] : Array.isArray(keys) ? keys : Object.keys(keys);
+    return Object.fromEntries(list.filter(k => k in store).map(k => [k, store[k]]));
+  };
+
+  return {
+    store,
+    runtime: {
+      lastError: undefined,
+      getManifest: () => MANIFEST,
+      getURL: (file) => `chrome-extension://test/${file}`,
+      sendMessage(message, callback) {
+        const response = Promise.resolve().then(() => onMessage(message));
+        if (callback) response.then(callback);
+        return response;
+      }
+    },
+    storage: {
+      local: {
+        get: async (keys) => pick(keys),
+        set: async (items) => { Object.assign(store, items); },
+        remove: async (keys) => { [].concat(keys).forEach(k => delete store[k]); }
+      }
+    }
+  };
+}
+
+// A jsdom page with the extension's scripts loaded.
+// Returns { window, document, chrome, get(name), run(source) }.
+function loadExtension({ html = '<!DOCTYPE html><html><head></head><body></body></html>',
+  scripts = CONTENT_SCRIPTS, chrome = createChrome(), bridge = false } = {}) {
+  // Script logs stay quiet unless DEBUG is set
+  const virtualConsole = new VirtualConsole();
+  if (process.env.DEBUG) virtualConsole.sendTo(console);
+
+  const dom = new JSDOM(html, { url: 'https://www.linkedin.com/games/crossclimb/', runScripts: 'outside-only', virtualConsole });
+  const { window } = dom;
+  const context = dom.getInternalVMContext();
+  const run = (source, filename) => new vm.Script(source, { filename }).runInContext(context);
+
+  installBrowserGaps(window);
+  window.chrome = chrome;
+
+  for (const file of scripts) {
+    run(fs.readFileSync(path.join(EXTENSION_DIR, file), 'utf8'), file);
+  }
+
+  // The page bridge normally arrives through a <script src> tag; load it directly
+  if (bridge) {
+    run(fs.readFileSync(path.join(EXTENSION_DIR, 'content/page-bridge.js'), 'utf8'), 'content/page-bridge.js');
+    run('CrossclimbDOM._bridgeReady = true;');
+  }
+
+  return { window, document: window.document, chrome, get: (name) => run(name), run };
+}
+
+// Browser behaviour the extension relies on that jsdom doesn't implement
+function installBrowserGaps(window) {
+  const { document } = window;
+
+  window.PointerEvent = class PointerEvent extends window.MouseEvent {
+    constructor(type, init = {}) {
+      super(type, init);
+      this.pointerId = init.pointerId ?? 0;
+      this.pointerType = init.pointerType ?? '';
+      this.isPrimary = init.isPrimary ?? false;
+    }
+  };
+
+  // jsdom leaves MessageEvent.source null; the bridge only trusts its own window
+  window.postMessage = (data) => {
+    setTimeout(() => window.dispatchEvent(new window.MessageEvent('message', { data, source: window })), 0);
+  };
+
+  // insertText replaces the focused input's selection and fires an input event
+  document.execCommand = (command, showUI, text) => {
+    const input = document.activeElement;
+    if (command !== 'insertText' || !input || input.tagName !== 'INPUT') return false;
+    const start = input.selectionStart ?? input.value.length;
+    const end = input.selectionEnd ?? input.value.length;
+    input.value = input.value.slice(0, start) + text + input.value.slice(end);
+    input.dispatchEvent(new window.InputEvent('input', { bubbles: true, inputType: 'insertText', data: text }));
+    return true;
+  };
+}
+
+module.exports = { EXTENSION_DIR, MANIFEST, CONTENT_SCRIPTS, createChrome, loadExtension };
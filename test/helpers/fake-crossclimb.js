@@ -0,0 +1,229 @@
+// Copyright 2025 mcarthey
+// SPDX-License-Identifier: Apache-2.0
+//
+// CrossclimbSolver - Test Helpers: Fake Crossclimb Board
+// A stand-in for LinkedIn's game with the markup the extension targets:
+//   .crossclimb__grid > .crossclimb__guess--lock (top), ol.crossclimb__guess__container
+//   of .crossclimb__guess--middle rows, .crossclimb__guess--lock (bottom), plus a
+//   .crossclimb__clue for the focused row.
+// It behaves the way the real game does where the solver depends on it:
+//   - clicking a row focuses it (--new-focus), shows its clue and focuses a box
+//   - typing into a box moves the cursor to the next box
+//   - rows are reordered only by trusted drags (chrome.debugger, see drag()), and
+//     move with CSS transforms, so DOM order is not ladder order
+//   - the endpoint rows have no inputs until the middle rows spell the ladder in
+//     order, then unlock; the puzzle is solved once they hold the endpoint words
+//
+// puzzle is { ladder: [words], clues: [clue per middle word] }; order is the
+// middle words' starting order (ladder indexes, 1-based like the ladder).
+
+const ROW_HEIGHT = 60;
+const ENDPOINT_CLUE = 'The top and bottom rows together';
+
+class FakeCrossclimb {
+  constructor(window, puzzle, { order, markWrongRows = false, unlockDelay = 30 } = {}) {
+    this.window = window;
+    this.document = window.document;
+    this.ladder = puzzle.ladder.map(w => w.toUpperCase());
+    this.clues = puzzle.clues;
+    this.markWrongRows = markWrongRows;
+    this.unlockDelay = unlockDelay;
+    this.unlocked = false;
+    this.drags = [];
+
+    const middleCount = this.ladder.length - 2;
+    const startOrder = order || [...Array(middleCount)].map((_, i) => i + 1);
+    this._render(startOrder);
+    this._installGeometry();
+    this._listen();
+  }
+
+  // ----- MARKUP -----
+
+  _render(startOrder) {
+    const doc = this.document;
+    const wordLength = this.ladder[0].length;
+    const boxes = (withInputs) => [...Array(wordLength)].map(() =>
+      `<div class="crossclimb__guess_box">${withInputs ? '<input class="ember-text-field" type="text" maxlength="1">' : ''}</div>`
+    ).join('');
+
+    const container = doc.createElement('div');
+    container.className = 'crossclimb__container';
+    container.innerHTML = `
+      <div class="crossclimb__wrapper">
+        <section class="crossclimb__grid">
+          <div class="crossclimb__guess crossclimb__guess--lock" data-fake="top">
+            <div class="crossclimb__guess__inner">${boxes(false)}</div>
+          </div>
+          <ol class="crossclimb__guess__container">
+            ${startOrder.map(ladderIndex => `
+              <li class="crossclimb__guess crossclimb__guess--middle" data-fake="${ladderIndex}">
+                <div class="crossclimb__guess-dragger" data-sortable-handle="true"></div>
+                <div class="crossclimb__guess__inner">${boxes(true)}</div>
+              </li>`).join('')}
+          </ol>
+          <div class="crossclimb__guess crossclimb__guess--lock" data-fake="bottom">
+            <div class="crossclimb__guess__inner">${boxes(false)}</div>
+          </div>
+        </section>
+        <div class="crossclimb__clue-section"><p class="crossclimb__clue"></p></div>
+      </div>`;
+    doc.body.appendChild(container);
+
+    this.grid = container.querySelector('.crossclimb__grid');
+    this.clueElement = container.querySelector('.crossclimb__clue');
+    this.topRow = container.querySelector('[data-fake="top"]');
+    this.bottomRow = container.querySelector('[data-fake="bottom"]');
+    // Middle row elements in visual order; the DOM order never changes
+    this.order = [...container.querySelectorAll('.crossclimb__guess--middle')];
+    this._layout();
+  }
+
+  // Rows move with transforms, like the real sortable list
+  _layout() {
+    const initial = [...this.grid.querySelectorAll('.crossclimb__guess--middle')];
+    this.order.forEach((row, position) => {
+      row.style.transform = `translateY(${(position - initial.indexOf(row)) * ROW_HEIGHT}px)`;
+    });
+  }
+
+  // ----- GEOMETRY -----
+
+  // Top edge of a row in viewport pixels
+  rowTop(row) {
+    if (row === this.topRow) return 0;
+    if (row === this.bottomRow) return (this.order.length + 1) * ROW_HEIGHT;
+    return (this.order.indexOf(row) + 1) * ROW_HEIGHT;
+  }
+
+  // The row under a viewport y, or null
+  rowAt(y) {
+    return [this.topRow, ...this.order, this.bottomRow]
+      .find(row => y >= this.rowTop(row) && y < this.rowTop(row) + ROW_HEIGHT) || null;
+  }
+
+  // jsdom has no layout; every element inside a row reports its row's box
+  _installGeometry() {
+    const game = this;
+    const original = this.window.Element.prototype.getBoundingClientRect;
+    this.window.Element.prototype.getBoundingClientRect = function () {
+      const row = this.closest?.('.crossclimb__guess');
+      if (!row || !game.grid.contains(row)) return original.call(this);
+      const top = game.rowTop(row);
+      return { top, bottom: top + ROW_HEIGHT, left: 0, right: 300, width: 300, height: ROW_HEIGHT, x: 0, y: top };
+    };
+  }
+
+  // ----- INPUT -----
+
+  _listen() {
+    this.grid.addEventListener('click', (event) => {
+      const row = event.target.closest('.crossclimb__guess');
+      if (row && this._isPlayable(row)) this.focusRow(row, event.target.closest('input'));
+    });
+
+    this.grid.addEventListener('input', (event) => {
+      const input = event.target;
+      const row = input.closest('.crossclimb__guess');
+      // One letter per box, whatever was typed last
+      input.value = input.value.slice(-1);
+      const inputs = [...row.querySelectorAll('input')];
+      const next = inputs[inputs.indexOf(input) + 1];
+      if (next) {
+        next.focus();
+        next.select();
+      }
+      this._judge(row);
+    });
+  }
+
+  _isPlayable(row) {
+    return this.order.includes(row) || !!row.querySelector('input');
+  }
+
+  focusRow(row, input = null) {
+    for (const r of this.grid.querySelectorAll('.crossclimb__guess--new-focus')) {
+      r.classList.remove('crossclimb__guess--new-focus');
+    }
+    row.classList.add('crossclimb__guess--new-focus');
+    this.clueElement.textContent = this.order.includes(row)
+      ? this.clues[Number(row.dataset.fake) - 1]
+      : ENDPOINT_CLUE;
+
+    const inputs = [...row.querySelectorAll('input')];
+    const target = input || inputs.find(i => !i.value) || inputs[0];
+    target?.focus();
+    target?.select();
+  }
+
+  // A full middle row holding anything but its own clue's answer is marked wrong
+  // (when enabled); a correct middle order unlocks the endpoints
+  _judge(row) {
+    if (this.order.includes(row) && this.markWrongRows) {
+      const word = this.wordOf(row);
+      const wrong = word.length === this.ladder[0].length && word !== this.ladder[Number(row.dataset.fake)];
+      row.classList.toggle('crossclimb__guess--incorrect', wrong);
+    }
+    this._checkUnlock();
+  }
+
+  _checkUnlock() {
+    if (this.unlocked || this.middleWords().join() !== this.ladder.slice(1, -1).join()) return;
+    this.unlocked = true;
+    setTimeout(() => {
+      for (const row of [this.topRow, this.bottomRow]) {
+        row.classList.remove('crossclimb__guess--lock');
+        for (const box of row.querySelectorAll('.crossclimb__guess_box')) {
+          box.innerHTML = '<input class="ember-text-field" type="text" maxlength="1">';
+        }
+      }
+    }, this.unlockDelay);
+  }
+
+  // ----- DRAGGING -----
+
+  // A trusted drag from one viewport y to another: the middle row under the start
+  // is dropped at the position of the middle row under the end, and the rows in
+  // between shift to close the gap. Anything else is ignored, as the game does.
+  drag(startY, endY) {
+    const source = this.rowAt(startY);
+    const target = this.rowAt(endY);
+    this.drags.push({ from: this.order.indexOf(source), to: this.order.indexOf(target) });
+    if (!this.order.includes(source) || !this.order.includes(target) || source === target) return false;
+
+    const to = this.order.indexOf(target);
+    this.order.splice(this.order.indexOf(source), 1);
+    this.order.splice(to, 0, source);
+    this._layout();
+    this._checkUnlock();
+    return true;
+  }
+
+  // chrome.runtime.sendMessage handler for the background worker's DEBUGGER_DRAG
+  handleMessage(message) {
+    if (message.type !== 'DEBUGGER_DRAG') return { success: false, error: `unhandled ${message.type}` };
+    return { success: true, data: { dragged: this.drag(message.startY, message.endY) } };
+  }
+
+  // ----- STATE -----
+
+  wordOf(row) {
+    return [...row.querySelectorAll('.crossclimb__guess_box')]
+      .map(box => (box.querySelector('input')?.value || '').toUpperCase()).join('');
+  }
+
+  middleWords() {
+    return this.order.map(row => this.wordOf(row));
+  }
+
+  // The ladder as shown, top to bottom
+  words() {
+    return [this.wordOf(this.topRow), ...this.middleWords(), this.wordOf(this.bottomRow)];
+  }
+
+  get solved() {
+    return this.unlocked && this.words().join() === this.ladder.join();
+  }
+}
+
+module.exports = { FakeCrossclimb, ROW_HEIGHT };
@@ -0,0 +1,57 @@
+// Copyright 2025 mcarthey
+// SPDX-License-Identifier: Apache-2.0
+//
+// CrossclimbSolver - Overlay Tests
+// The manual import panel: when it closes and how failures reach it.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension } = require('./helpers/extension');
+
+function setup() {
+  const page = loadExtension({ scripts: ['content/overlay.js'] });
+  const Overlay = page.get('Overlay');
+  Overlay.create();
+  Overlay.toggleImport(true);
+  const panel = {
+    visible: () => Overlay._import.classList.contains('ccs-visible'),
+    errors: () => [...Overlay._importErrors.children].map(el => el.textContent),
+    submit: () => Overlay._panel.querySelector('.ccs-import-btn').click()
+  };
+  return { Overlay, panel };
+}
+
+test('the import panel closes once the text parses, before the solve ends', async () => {
+  const { Overlay, panel } = setup();
+  let finishSolve;
+  Overlay.onImport((text, onParsed) => {
+    onParsed();
+    return new Promise(resolve => { finishSolve = () => resolve({ ok: true, errors: [] }); });
+  });
+
+  panel.submit();
+  await new Promise(resolve => setTimeout(resolve, 0));
+  assert.equal(panel.visible(), false);
+  finishSolve();
+});
+
+test('parse errors stay in the open panel', async () => {
+  const { Overlay, panel } = setup();
+  Overlay.onImport(async () => ({ ok: false, errors: ['No ladder'] }));
+
+  await Overlay._onImportClick();
+  assert.equal(panel.visible(), true);
+  assert.deepEqual(panel.errors(), ['No ladder']);
+});
+
+test('an import that throws reopens the panel with the error', async () => {
+  const { Overlay, panel } = setup();
+  Overlay.onImport(async (text, onParsed) => {
+    onParsed();
+    throw new Error('Board went away');
+  });
+
+  await Overlay._onImportClick();
+  assert.equal(panel.visible(), true);
+  assert.deepEqual(panel.errors(), ['Board went away']);
+});
@@ -0,0 +1,25 @@
+// Copyright 2025 mcarthey
+// SPDX-License-Identifier: Apache-2.0
+//
+// CrossclimbSolver - Puzzle Archive Tests
+// Day arithmetic behind the background prefetch's puzzle-number progression.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension } = require('./helpers/extension');
+
+const page = loadExtension({ scripts: ['shared/puzzle-archive.js'] });
+const PuzzleArchive = page.get('PuzzleArchive');
+
+test('daysBetween counts whole days across months and clock changes', () => {
+  assert.equal(PuzzleArchive.daysBetween('2025-03-05', '2025-03-05'), 0);
+  assert.equal(PuzzleArchive.daysBetween('2025-02-27', '2025-03-02'), 3);
+  assert.equal(PuzzleArchive.daysBetween('2025-03-08', '2025-03-10'), 2);
+  assert.equal(PuzzleArchive.daysBetween('2025-03-10', '2025-03-08'), -2);
+});
+
+test('daysBetween undoes addDays', () => {
+  for (const days of [1, 7, 30, 365]) {
+    assert.equal(PuzzleArchive.daysBetween('2024-12-30', PuzzleArchive.addDays('2024-12-30', days)), days);
+  }
+});
@@ -0,0 +1,60 @@
+// Copyright 2025 mcarthey
+// SPDX-License-Identifier: Apache-2.0
+//
+// CrossclimbSolver - Puzzle Identity Tests
+// Which puzzle the page shows, and when the loaded answers might not be its.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension } = require('./helpers/extension');
+
+const SCRIPTS = ['shared/puzzle-archive.js', 'content/puzzle-identity.js'];
+
+function setup(body = '') {
+  const page = loadExtension({ html: `<!DOCTYPE html><html><head></head><body>${body}</body></html>`, scripts: SCRIPTS });
+  return { page, PuzzleIdentity: page.get('PuzzleIdentity') };
+}
+
+const identity = (fields = {}) => ({ puzzleNumber: null, date: null, method: null, evidence: [], ...fields });
+
+test('today() is the puzzle day in the release timezone, not the local one', () => {
+  const { page, PuzzleIdentity } = setup();
+  const RealDate = page.window.Date;
+  // 05:00 UTC on March 6 is still the evening of March 5 in California
+  const now = RealDate.UTC(2025, 2, 6, 5);
+  page.window.Date = class extends RealDate {
+    constructor(...args) { super(...(args.length ? args : [now])); }
+  };
+  try {
+    assert.equal(PuzzleIdentity.today(), '2025-03-05');
+  } finally {
+    page.window.Date = RealDate;
+  }
+});
+
+test('a date in the game container is read', () => {
+  const { page, PuzzleIdentity } = setup('<div class="crossclimb__container"><span>March 5, 2025</span></div>');
+  assert.equal(PuzzleIdentity._fromDate(page.document), '2025-03-05');
+});
+
+test('a date elsewhere on the page is ignored', () => {
+  const { page, PuzzleIdentity } = setup('<div class="feed-post"><time datetime="2025-03-01">Mar 1</time> March 1, 2025</div>');
+  assert.equal(PuzzleIdentity._fromDate(page.document), null);
+  assert.equal(PuzzleIdentity.detect(page.document).date, null);
+});
+
+test('a different puzzle number is a mismatch whatever the source', () => {
+  const { PuzzleIdentity } = setup();
+  for (const source of ['crossclimbanswer', 'import']) {
+    assert.match(PuzzleIdentity.describeMismatch(identity({ puzzleNumber: 654 }), { puzzleNumber: 655, source }), /#654.*#655/);
+  }
+});
+
+test('an unconfirmed puzzle is only flagged for answers assumed to be the latest', () => {
+  const { PuzzleIdentity } = setup();
+  const unknown = identity();
+  assert.match(PuzzleIdentity.describeMismatch(unknown, { puzzleNumber: 655, source: 'crossclimbanswer' }), /Could not confirm/);
+  assert.equal(PuzzleIdentity.describeMismatch(unknown, { puzzleNumber: null, source: 'import' }), null);
+  assert.equal(PuzzleIdentity.describeMismatch(unknown, { puzzleNumber: null, source: 'dictionary' }), null);
+  assert.equal(PuzzleIdentity.describeMismatch(identity({ date: '2020-01-01' }), { puzzleNumber: null, source: 'import' }), null);
+});
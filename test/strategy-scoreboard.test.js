@@ -0,0 +1,109 @@
+// Copyright 2025 mcarthey
+// SPDX-License-Identifier: Apache-2.0
+//
+// CrossclimbSolver - Strategy Scoreboard Tests
+// Method ordering from recorded successes, failures and timings, on the fake
+// board (see helpers/fake-crossclimb.js).
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension } = require('./helpers/extension');
+const { FakeCrossclimb } = require('./helpers/fake-crossclimb');
+
+const METHODS = ['pageFillRow', 'pageTypeWord', 'simulateKeyPresses', 'clickVirtualKeyboard'];
+const PUZZLE = {
+  ladder: ['CORE', 'CARE', 'CART', 'DART', 'DARK', 'BARK', 'BANK'],
+  clues: ['Look after someone', 'Shopping trolley', 'Pub game missile', 'Without light', "A tree's outer layer"]
+};
+
+// A freshly loaded scoreboard for the fake board
+async function setup() {
+  const page = loadExtension();
+  const game = new FakeCrossclimb(page.window, PUZZLE);
+  const StrategyScoreboard = page.get('StrategyScoreboard');
+  await StrategyScoreboard.load(page.get('BoardState').find(game.document));
+  const order = (kind, now) => [...StrategyScoreboard.order(kind, METHODS, now)];
+  return { page, game, StrategyScoreboard, order };
+}
+
+test('without history the given order is kept', async () => {
+  const { order } = await setup();
+  assert.deepEqual(order('fill'), METHODS);
+});
+
+test('the last method that worked goes first', async () => {
+  const { StrategyScoreboard, order } = await setup();
+  StrategyScoreboard.record('fill', 'simulateKeyPresses', true, 100);
+  assert.deepEqual(order('fill'), ['simulateKeyPresses', 'pageFillRow', 'pageTypeWord', 'clickVirtualKeyboard']);
+});
+
+test('retypes are scored apart from whole-row fills', async () => {
+  const { StrategyScoreboard, order } = await setup();
+  StrategyScoreboard.record('fill', 'pageFillRow', true, 100);
+  StrategyScoreboard.record('retype', 'clickVirtualKeyboard', true, 100);
+  assert.equal(order('fill')[0], 'pageFillRow');
+  assert.equal(order('retype')[0], 'clickVirtualKeyboard');
+});
+
+test('ties go to the faster method, untried ones last', async () => {
+  const { StrategyScoreboard, order } = await setup();
+  StrategyScoreboard.record('fill', 'pageTypeWord', true, 900);
+  StrategyScoreboard.record('fill', 'simulateKeyPresses', true, 200);
+  StrategyScoreboard.record('fill', 'pageFillRow', true, 500);
+  // pageFillRow worked last; simulateKeyPresses is faster than pageTypeWord
+  assert.deepEqual(order('fill'), ['pageFillRow', 'simulateKeyPresses', 'pageTypeWord', 'clickVirtualKeyboard']);
+});
+
+test('retypes after a failed fill follow the retype scores', async () => {
+  const { page, game, StrategyScoreboard, order } = await setup();
+  const Solver = page.get('Solver');
+  Object.assign(Solver.WAIT, { letters: 50, settle: 0 });
+  // Only clickVirtualKeyboard gets letters into this row
+  const tried = [];
+  Solver._fillCells = async (strategy, rowElement, rowSel, answer, cells) => {
+    tried.push(strategy);
+    if (strategy !== 'clickVirtualKeyboard') return;
+    const inputs = rowElement.querySelectorAll('input');
+    for (const k of cells) inputs[k].value = answer[k];
+  };
+  StrategyScoreboard.record('retype', 'clickVirtualKeyboard', true, 100);
+
+  const row = game.order[0];
+  const board = page.get('BoardState').find(game.document);
+  Solver._tagBoardRows(board);
+  const result = await Solver._typeIntoRow(row, 'CARE', board);
+
+  assert.equal(result.ok, true);
+  assert.deepEqual(tried, ['pageFillRow', 'clickVirtualKeyboard']);
+  // A retype's success doesn't move the method up for whole-row fills
+  assert.notEqual(order('fill')[0], 'clickVirtualKeyboard');
+});
+
+test('a method on a failure streak is skipped, then retried after a while', async () => {
+  const { StrategyScoreboard, order } = await setup();
+  for (let i = 0; i < StrategyScoreboard.SKIP_AFTER_FAILURES; i++) {
+    StrategyScoreboard.record('fill', 'pageFillRow', false, 50);
+  }
+  const failedAt = Date.now();
+  assert.deepEqual(order('fill', failedAt), ['pageTypeWord', 'simulateKeyPresses', 'clickVirtualKeyboard']);
+
+  // Back in, behind the methods without failures
+  const later = failedAt + StrategyScoreboard.RETRY_AFTER_MS;
+  assert.deepEqual(order('fill', later), ['pageTypeWord', 'simulateKeyPresses', 'clickVirtualKeyboard', 'pageFillRow']);
+});
+
+test('when every method is on a streak all are tried', async () => {
+  const { StrategyScoreboard, order } = await setup();
+  for (const method of METHODS) {
+    for (let i = 0; i < StrategyScoreboard.SKIP_AFTER_FAILURES; i++) StrategyScoreboard.record('fill', method, false, 50);
+  }
+  assert.deepEqual(order('fill'), METHODS);
+});
+
+test('the scoreboard is saved per version and board fingerprint', async () => {
+  const { page, StrategyScoreboard } = await setup();
+  StrategyScoreboard.record('fill', 'pageFillRow', true, 100);
+  const keys = Object.keys(page.chrome.store);
+  assert.equal(keys.length, 1);
+  assert.match(keys[0], new RegExp(`^${StrategyScoreboard.KEY_PREFIX}${page.chrome.runtime.getManifest().version}:`));
+});